@@ -0,0 +1,364 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Assignments
+ * ==================================================
+ *
+ * Organizers assign parcels, or a survey zone, to named collectors. A parcel
+ * counts as done once the survey has a response for it, no matter who
+ * collected it.
+ */
+
+var async = require('async');
+
+var util = require('../util');
+var Assignment = require('../models/Assignment');
+var Response = require('../models/Response');
+var Survey = require('../models/Survey');
+var parcels = require('./parcels');
+
+/**
+ * Find the object IDs of the parcels in each assignment.
+ * @param  {String}   surveyId
+ * @param  {Array}    assignments
+ * @param  {Function} done        Called with an error or a list of object ID
+ *                                lists, in the same order as the assignments
+ */
+function getParcelIds(surveyId, assignments, done) {
+  var zoneParcels = {};
+  var zones = null;
+
+  function getZone(zoneId, next) {
+    if (zoneParcels[zoneId] !== undefined) {
+      return next(null, zoneParcels[zoneId]);
+    }
+
+    var i;
+    var zone;
+    var features = (zones && zones.features) || [];
+    for (i = 0; i < features.length; i += 1) {
+      if (features[i].id === zoneId) {
+        zone = features[i];
+      }
+    }
+
+    // The zone might have been deleted since we made the assignment.
+    if (zone === undefined) {
+      zoneParcels[zoneId] = [];
+      return next(null, []);
+    }
+
+    parcels.findInArea(zone.geometry, {}, function (error, found) {
+      if (error) { return next(error); }
+      zoneParcels[zoneId] = found.map(function (parcel) {
+        return parcel.object_id;
+      });
+      next(null, zoneParcels[zoneId]);
+    });
+  }
+
+  Survey.findOne({ id: surveyId })
+  .select('zones')
+  .lean()
+  .exec(function (error, survey) {
+    if (error) { return done(error); }
+    if (survey !== null) {
+      zones = survey.zones;
+    }
+
+    async.mapSeries(assignments, function (assignment, next) {
+      if (assignment.zone) {
+        return getZone(assignment.zone, next);
+      }
+      next(null, assignment.parcels || []);
+    }, done);
+  });
+}
+
+/**
+ * Add a progress field, with surveyed, remaining and percent complete, to
+ * each assignment.
+ * @param  {String}   surveyId
+ * @param  {Array}    assignments Assignment documents
+ * @param  {Function} done        Called with an error or the assignments as
+ *                                plain objects
+ */
+function withProgress(surveyId, assignments, done) {
+  async.parallel({
+    parcelIds: function (next) {
+      getParcelIds(surveyId, assignments, next);
+    },
+    surveyed: function (next) {
+      Response.getSurveyed(surveyId, next);
+    }
+  }, function (error, results) {
+    if (error) { return done(error); }
+
+    done(null, assignments.map(function (assignment, i) {
+      var output = assignment.toObject();
+      output.progress = util.progress(results.parcelIds[i], results.surveyed);
+      return output;
+    }));
+  });
+}
+
+// Build an assignment from a request body. Missing fields keep the values
+// from the existing assignment, if there is one.
+function setFields(assignment, data) {
+  ['collector', 'user', 'parcels', 'zone'].forEach(function (key) {
+    if (data[key] !== undefined) {
+      assignment[key] = data[key];
+    }
+  });
+  return assignment;
+}
+
+function sendValidationError(error, res) {
+  if (error.name === 'ValidationError') {
+    res.send(400, error);
+    return;
+  }
+  util.handleError(error, res);
+}
+
+/**
+ * GET /api/surveys/:surveyId/assignments
+ * List a survey's assignments, with their progress.
+ */
+exports.list = function list(req, res) {
+  var surveyId = req.params.surveyId;
+
+  Assignment.find({ survey: surveyId })
+  .sort({ collector: 1, created: 1 })
+  .exec(function (error, docs) {
+    if (util.handleError(error, res)) { return; }
+
+    withProgress(surveyId, docs, function (error, assignments) {
+      if (util.handleError(error, res)) { return; }
+      res.send({ assignments: assignments });
+    });
+  });
+};
+
+/**
+ * GET /api/surveys/:surveyId/assignments/mine
+ * List the assignments for the current user, or for the collector named by
+ * the collector query parameter, so the mobile app can show what's left.
+ */
+exports.mine = function mine(req, res) {
+  var surveyId = req.params.surveyId;
+  var name = req.query.collector;
+  var who = [];
+
+  if (req.user) {
+    who.push({ user: req.user._id });
+  }
+  if (name) {
+    who.push({ collector: name });
+  }
+
+  if (who.length === 0) {
+    res.send(400, {
+      name: 'QueryError',
+      message: 'Log in or specify a collector to get assignments'
+    });
+    return;
+  }
+
+  Assignment.find({ survey: surveyId, $or: who })
+  .sort({ created: 1 })
+  .exec(function (error, docs) {
+    if (util.handleError(error, res)) { return; }
+
+    withProgress(surveyId, docs, function (error, assignments) {
+      if (util.handleError(error, res)) { return; }
+      res.send({ assignments: assignments });
+    });
+  });
+};
+
+/**
+ * GET /api/surveys/:surveyId/assignments/:assignmentId
+ */
+exports.get = function get(req, res) {
+  var surveyId = req.params.surveyId;
+
+  Assignment.findOne({
+    survey: surveyId,
+    id: req.params.assignmentId
+  }).exec(function (error, doc) {
+    if (util.handleError(error, res)) { return; }
+    if (doc === null) {
+      res.send(404);
+      return;
+    }
+
+    withProgress(surveyId, [doc], function (error, assignments) {
+      if (util.handleError(error, res)) { return; }
+      res.send({ assignment: assignments[0] });
+    });
+  });
+};
+
+/**
+ * POST /api/surveys/:surveyId/assignments
+ * Add assignments. The body looks like { assignments: [...] }, where each
+ * assignment has a collector name and either parcels, a list of object IDs,
+ * or zone, the ID of a survey zone.
+ */
+exports.post = function post(req, res) {
+  var data = req.body.assignments;
+
+  if (!util.isArray(data)) {
+    res.send(400);
+    return;
+  }
+
+  async.mapSeries(data, function (item, next) {
+    var assignment = setFields(new Assignment({
+      survey: req.params.surveyId,
+      createdBy: req.user._id
+    }), item);
+    assignment.save(next);
+  }, function (error, docs) {
+    if (error) {
+      sendValidationError(error, res);
+      return;
+    }
+
+    res.send(201, {
+      assignments: docs.map(function (doc) {
+        return doc.toObject();
+      })
+    });
+  });
+};
+
+/**
+ * PUT /api/surveys/:surveyId/assignments/:assignmentId
+ * Change an assignment, for example to hand it to another collector.
+ */
+exports.put = function put(req, res) {
+  var data = req.body.assignment;
+
+  if (data === undefined || data === null) {
+    res.send(400);
+    return;
+  }
+
+  Assignment.findOne({
+    survey: req.params.surveyId,
+    id: req.params.assignmentId
+  }).exec(function (error, doc) {
+    if (util.handleError(error, res)) { return; }
+    if (doc === null) {
+      res.send(404);
+      return;
+    }
+
+    // Switching between parcels and a zone clears the other one.
+    if (data.zone !== undefined && data.parcels === undefined) {
+      doc.parcels = [];
+    } else if (data.parcels !== undefined && data.zone === undefined) {
+      doc.zone = undefined;
+    }
+
+    setFields(doc, data).save(function (error, saved) {
+      if (error) {
+        sendValidationError(error, res);
+        return;
+      }
+      res.send({ assignment: saved.toObject() });
+    });
+  });
+};
+
+/**
+ * DELETE /api/surveys/:surveyId/assignments/:assignmentId
+ */
+exports.del = function del(req, res) {
+  Assignment.findOneAndRemove({
+    survey: req.params.surveyId,
+    id: req.params.assignmentId
+  }, function (error, doc) {
+    if (util.handleError(error, res)) { return; }
+    if (doc === null) {
+      res.send(404);
+      return;
+    }
+    res.send(204);
+  });
+};
+
+/**
+ * GET /api/surveys/:surveyId/collectors
+ * Report each collector's completion: the progress across all of their
+ * assignments, plus how many responses they have submitted. Collectors with
+ * responses but no assignments show up too.
+ */
+exports.collectors = function collectors(req, res) {
+  var surveyId = req.params.surveyId;
+
+  async.parallel({
+    assignments: function (next) {
+      Assignment.find({ survey: surveyId }).exec(next);
+    },
+    responses: function (next) {
+      Response.aggregate([
+        { $match: { survey: surveyId } },
+        { $group: { _id: '$source.collector', count: { $sum: 1 } } }
+      ], next);
+    },
+    surveyed: function (next) {
+      Response.getSurveyed(surveyId, next);
+    }
+  }, function (error, results) {
+    if (util.handleError(error, res)) { return; }
+
+    getParcelIds(surveyId, results.assignments, function (error, parcelIds) {
+      if (util.handleError(error, res)) { return; }
+
+      var byName = {};
+      function getCollector(name) {
+        if (byName[name] === undefined) {
+          byName[name] = {
+            name: name,
+            assignments: 0,
+            responses: 0,
+            parcels: {}
+          };
+        }
+        return byName[name];
+      }
+
+      // Assignments can overlap, so count each parcel once per collector.
+      results.assignments.forEach(function (assignment, i) {
+        var collector = getCollector(assignment.collector);
+        collector.assignments += 1;
+        parcelIds[i].forEach(function (objectId) {
+          collector.parcels[objectId] = true;
+        });
+      });
+
+      results.responses.forEach(function (item) {
+        if (item._id) {
+          getCollector(item._id).responses = item.count;
+        }
+      });
+
+      var output = Object.keys(byName).sort().map(function (name) {
+        var collector = byName[name];
+        return {
+          name: name,
+          assignments: collector.assignments,
+          responses: collector.responses,
+          progress: util.progress(Object.keys(collector.parcels), results.surveyed)
+        };
+      });
+
+      res.send({ collectors: output });
+    });
+  });
+};
@@ -1,12 +1,15 @@
 /*jslint node: true */
 'use strict';
 
+var async = require('async');
 var util = require('../util');
 var Form = require('../models/Form');
+var FormVersion = require('../models/FormVersion');
 
 // List all forms for a survey.
 exports.list = function list(req, res) {
-  // Allow ascending or descending order according to creation time
+  // Allow ascending or descending order according to when the forms were
+  // last saved
   var sort = req.query.sort;
   if (sort !== 'asc') {
     sort = 'desc';
@@ -22,7 +25,7 @@ exports.list = function list(req, res) {
 
   var query = Form.find(conditions);
 
-  query.sort({ created: sort });
+  query.sort({ modified: sort, created: sort });
 
   query.lean()
   .exec(function (error, forms) {
@@ -93,13 +96,52 @@ exports.post = function post(req, res) {
       res.send(500);
       return;
     }
-    var output = Array.prototype.slice.call(arguments, 1).map(function (doc) {
-      return doc.toObject();
+    var docs = Array.prototype.slice.call(arguments, 1);
+
+    // Record the first version of each form.
+    async.each(docs, function (doc, next) {
+      FormVersion.snapshot(doc, next);
+    }, function (error) {
+      if (util.handleError(error, res)) { return; }
+
+      var output = docs.map(function (doc) {
+        return doc.toObject();
+      });
+      res.send(201, { forms: output });
     });
-    res.send(201, { forms: output });
   });
 };
 
+// Forms from before we kept versions don't have any. Record the current
+// version before changing the form, so we don't lose its questions.
+function ensureSnapshot(form, done) {
+  FormVersion.count({
+    survey: form.survey,
+    form: form.id
+  }, function (error, count) {
+    if (error) { return done(error); }
+    if (count > 0) { return done(); }
+
+    // Store the version we're recording, so the next change gets a new one.
+    Form.update({
+      survey: form.survey,
+      id: form.id,
+      version: { $exists: false }
+    }, {
+      $set: { version: form.version }
+    }, function (error) {
+      if (error) { return done(error); }
+      FormVersion.snapshot(form, function (error) {
+        // Someone else recorded it first.
+        if (error && error.code === 11000) {
+          return done();
+        }
+        done(error);
+      });
+    });
+  });
+}
+
 // Modify an existing form.
 exports.put = function put(req, res) {
   var modifiedForm = req.body.form;
@@ -118,25 +160,56 @@ exports.put = function put(req, res) {
         message: 'You cannot change the form type'
       });
     } else {
-      form.created = new Date();
-      if (form.type === 'mobile') {
-        form.questions = modifiedForm.questions;
-        form.markModified('questions');
-      } else if (form.type === 'paper') {
-        form.global = modifiedForm.global;
-        form.markModified('global');
-        form.parcels = modifiedForm.parcels;
-        form.markModified('parcels');
-      }
-
-      form.save(function (error, doc) {
-        if (error) {
-          res.send(500);
-          return;
+      ensureSnapshot(form, function (error) {
+        if (util.handleError(error, res)) { return; }
+
+        // Each change makes a new version. The old versions stay around, so
+        // we can tell which questions older responses were answering. We
+        // change the form and take the next version number in one update, so
+        // concurrent changes get versions of their own.
+        var changes = {
+          modified: new Date()
+        };
+        if (form.type === 'mobile') {
+          changes.questions = modifiedForm.questions;
+        } else if (form.type === 'paper') {
+          changes.global = modifiedForm.global;
+          changes.parcels = modifiedForm.parcels;
         }
 
-        res.send({ form: doc });
+        Form.findOneAndUpdate({
+          survey: form.survey,
+          id: form.id
+        }, {
+          $set: changes,
+          $inc: { version: 1 }
+        }, function (error, doc) {
+          if (util.handleError(error, res)) { return; }
+
+          FormVersion.snapshot(doc, function (error) {
+            if (util.handleError(error, res)) { return; }
+            res.send({ form: doc.toObject() });
+          });
+        });
       });
     }
   });
 };
+
+// List the versions of a form, oldest first.
+exports.versions = function versions(req, res) {
+  FormVersion.find({
+    survey: req.params.surveyId,
+    form: req.params.formId
+  })
+  .sort({ version: 'asc' })
+  .lean()
+  .exec(function (error, docs) {
+    if (util.handleError(error, res)) { return; }
+    if (docs.length === 0) {
+      res.send(404);
+      return;
+    }
+    res.send({ versions: docs });
+  });
+};
@@ -0,0 +1,343 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Invites
+ * ==================================================
+ *
+ * Survey owners and org admins invite people by email. The invitee follows
+ * the link in the email, logs in or signs up, and accepts the invite to get
+ * their role.
+ */
+
+var mailer = require('../email');
+var templates = require('../../templates/templates');
+var util = require('../util');
+var Invite = require('../models/Invite');
+var Org = require('../models/Org');
+var Survey = require('../models/Survey');
+
+function sendInviteError(res, message) {
+  res.send(400, {
+    name: 'InviteError',
+    message: message
+  });
+}
+
+// Find the survey or org that the request is about. Calls done with the
+// conditions that pick its invites and its name.
+function getTarget(req, res, done) {
+  if (req.params.surveyId) {
+    Survey.findOne({ id: req.params.surveyId })
+    .lean()
+    .exec(function (error, survey) {
+      if (util.handleError(error, res)) { return; }
+      if (survey === null) {
+        res.send(404);
+        return;
+      }
+      done({ survey: survey.id }, survey.name);
+    });
+    return;
+  }
+
+  Org.findOne({ _id: req.params.orgId })
+  .lean()
+  .exec(function (error, org) {
+    if (util.handleError(error, res)) { return; }
+    if (org === null) {
+      res.send(404);
+      return;
+    }
+    done({ org: String(org._id) }, org.name);
+  });
+}
+
+// Make the user the survey's owner. The earlier owners stay on as editors,
+// and the org, if any, no longer has access.
+function handOver(survey, members, userId, done) {
+  members = members.filter(function (member) {
+    return member.user !== userId;
+  }).map(function (member) {
+    if (member.role === 'owner') {
+      member.role = 'editor';
+    }
+    return member;
+  });
+  members.push({ user: userId, role: 'owner' });
+
+  Survey.update({ id: survey.id }, {
+    $set: {
+      members: members,
+      users: members.map(function (member) {
+        return member.user;
+      })
+    },
+    $unset: { org: 1 }
+  }, function (error) {
+    done(error, true);
+  });
+}
+
+// Give the user the invite's role, unless they already have a more powerful
+// one.
+function join(invite, userId, done) {
+  var Model = invite.survey ? Survey : Org;
+  var query = invite.survey ? { id: invite.survey } : { _id: invite.org };
+
+  Model.findOne(query)
+  .select('+users +members')
+  .lean()
+  .exec(function (error, target) {
+    if (error) { return done(error); }
+    if (target === null) {
+      return done(null, false);
+    }
+
+    var members = Model.getMembers(target);
+    var existing = members.filter(function (member) {
+      return member.user === userId;
+    })[0];
+
+    if (invite.transfer) {
+      return handOver(target, members, userId, done);
+    }
+
+    // We only touch the invitee's membership, so concurrent changes to other
+    // members stick.
+    if (invite.survey) {
+      if (existing !== undefined && Survey.roleIncludes(existing.role, invite.role)) {
+        return done(null, true);
+      }
+
+      Survey.upgradeMembers(target, function (error) {
+        if (error) { return done(error); }
+        Survey.addMember(target.id, userId, invite.role, function (error) {
+          done(error, true);
+        });
+      });
+      return;
+    }
+
+    if (existing !== undefined && existing.role === 'admin') {
+      return done(null, true);
+    }
+
+    Org.upgradeMembers(target, function (error) {
+      if (error) { return done(error); }
+      Org.addMember(invite.org, userId, invite.role, function (error) {
+        done(error, true);
+      });
+    });
+  });
+}
+
+/**
+ * Save an invite and email the link to the invitee. Inviting someone again
+ * replaces their old invite, once the new email goes out, and a survey only
+ * has one pending transfer at a time. If we can't send the email, we throw
+ * the new invite away.
+ * @param  {Object}   invite A new Invite, with its target, email, and role
+ * @param  {String}   name   The name of the survey or org
+ * @param  {Function} done   Called once the invite is saved and sent. Sends
+ *                           an error response instead if there's a problem.
+ */
+exports.send = function send(req, res, invite, name, done) {
+  var token = invite.makeToken();
+
+  // Clean up after a failure, so there's no invite the inviter doesn't
+  // know about.
+  function fail(error) {
+    Invite.remove({ id: invite.id }, function () {
+      util.handleError(error, res);
+    });
+  }
+
+  invite.save(function (error) {
+    if (util.handleError(error, res)) { return; }
+
+    templates.render(invite.transfer ? 'transfer' : 'invite', {
+      inviter: req.user.name,
+      name: name,
+      role: invite.role,
+      link: 'https://' + req.headers.host + '/#invites/' + token
+    }, function (error, text) {
+      if (error) { return fail(error); }
+
+      var subject = 'Your invitation to ' + name + ' on LocalData';
+      if (invite.transfer) {
+        subject = 'Take over ' + name + ' on LocalData';
+      }
+
+      mailer.send({
+        to: invite.email,
+        subject: subject,
+        text: text
+      }, function (error) {
+        if (error) { return fail(error); }
+
+        // Replace any earlier invites.
+        var conditions = {
+          id: { $ne: invite.id }
+        };
+        if (invite.survey) {
+          conditions.survey = invite.survey;
+        } else {
+          conditions.org = invite.org;
+        }
+        if (invite.transfer) {
+          conditions.transfer = true;
+        } else {
+          conditions.email = invite.email;
+          conditions.transfer = { $ne: true };
+        }
+
+        Invite.remove(conditions, function (error) {
+          if (util.handleError(error, res)) { return; }
+          done();
+        });
+      });
+    });
+  });
+};
+
+/**
+ * GET /api/surveys/:surveyId/invites
+ * GET /api/orgs/:orgId/invites
+ * List the invites that haven't been accepted and haven't expired.
+ */
+exports.list = function list(req, res) {
+  getTarget(req, res, function (conditions) {
+    conditions.expiry = { $gt: new Date() };
+    conditions.accepted = { $exists: false };
+
+    Invite.find(conditions)
+    .sort({ created: 1 })
+    .exec(function (error, invites) {
+      if (util.handleError(error, res)) { return; }
+      res.send({
+        invites: invites.map(function (invite) {
+          return invite.toObject();
+        })
+      });
+    });
+  });
+};
+
+/**
+ * POST /api/surveys/:surveyId/invites
+ * POST /api/orgs/:orgId/invites
+ * Invite someone by email. The body looks like
+ * { invite: { email: 'someone@example.com', role: 'editor' } }
+ */
+exports.post = function post(req, res) {
+  var data = req.body.invite || {};
+
+  if (typeof data.email !== 'string' || data.email.length === 0) {
+    sendInviteError(res, 'Email required');
+    return;
+  }
+
+  getTarget(req, res, function (conditions, name) {
+    var roles = conditions.survey ? Survey.ROLES : Org.ROLES;
+    if (roles.indexOf(data.role) === -1) {
+      sendInviteError(res, 'role must be one of ' + roles.join(', '));
+      return;
+    }
+
+    var invite = new Invite(conditions);
+    // Emails in the DB are lowercase
+    invite.email = data.email.toLowerCase();
+    invite.role = data.role;
+    invite.createdBy = req.user._id;
+
+    exports.send(req, res, invite, name, function () {
+      res.send(201, { invite: invite.toObject() });
+    });
+  });
+};
+
+/**
+ * DELETE /api/surveys/:surveyId/invites/:inviteId
+ * DELETE /api/orgs/:orgId/invites/:inviteId
+ * Revoke an invite, so its link stops working.
+ */
+exports.del = function del(req, res) {
+  getTarget(req, res, function (conditions) {
+    conditions.id = req.params.inviteId;
+
+    Invite.findOne(conditions, function (error, invite) {
+      if (util.handleError(error, res)) { return; }
+      if (invite === null) {
+        res.send(404);
+        return;
+      }
+
+      Invite.remove({ id: invite.id }, function (error) {
+        if (util.handleError(error, res)) { return; }
+        res.send(204);
+      });
+    });
+  });
+};
+
+/**
+ * POST /api/invites/accept
+ * Accept an invite as the current user. The body looks like
+ * { invite: { token: <token from the link> } }
+ * People who don't have an account yet sign up first. The link is what
+ * proves the invite is theirs, so the account's email doesn't have to match.
+ */
+exports.accept = function accept(req, res) {
+  var data = req.body.invite || {};
+
+  if (typeof data.token !== 'string' || data.token.length === 0) {
+    sendInviteError(res, 'Invite token required');
+    return;
+  }
+
+  Invite.findByToken(data.token, function (error, invite) {
+    if (util.handleError(error, res)) { return; }
+    if (invite === null) {
+      sendInviteError(res, 'Invalid or expired invite');
+      return;
+    }
+
+    // Invites only work once. Claim this one before we use it, so two
+    // requests with the same link can't both get the role.
+    Invite.findOneAndUpdate({
+      id: invite.id,
+      accepted: { $exists: false }
+    }, {
+      $set: { accepted: new Date() }
+    }, function (error, claimed) {
+      if (util.handleError(error, res)) { return; }
+      if (claimed === null) {
+        sendInviteError(res, 'Invalid or expired invite');
+        return;
+      }
+
+      join(invite, req.user._id, function (error, joined) {
+        if (error) {
+          // Let them try again.
+          Invite.update({ id: invite.id }, {
+            $unset: { accepted: 1 }
+          }, function () {
+            util.handleError(error, res);
+          });
+          return;
+        }
+
+        Invite.remove({ id: invite.id }, function (removeError) {
+          if (!joined) {
+            sendInviteError(res, 'The survey or organization no longer exists');
+            return;
+          }
+          if (util.handleError(removeError, res)) { return; }
+          res.send({ invite: invite.toObject() });
+        });
+      });
+    });
+  });
+};
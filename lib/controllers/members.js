@@ -0,0 +1,256 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Survey members
+ * ==================================================
+ *
+ * Owners add people to a survey by email and give them a role: owner,
+ * editor, collector, or viewer.
+ */
+
+var util = require('../util');
+var Survey = require('../models/Survey');
+var User = require('../models/User');
+
+function sendMemberError(res, message) {
+  res.send(400, {
+    name: 'MemberError',
+    message: message
+  });
+}
+
+function checkRole(role, res) {
+  if (Survey.ROLES.indexOf(role) === -1) {
+    sendMemberError(res, 'role must be one of ' + Survey.ROLES.join(', '));
+    return false;
+  }
+  return true;
+}
+
+// Get the members of the request's survey.
+function getMembers(req, res, done) {
+  Survey.findOne({ id: req.params.surveyId })
+  .select('+users +members')
+  .lean()
+  .exec(function (error, survey) {
+    if (util.handleError(error, res)) { return; }
+    if (survey === null) {
+      res.send(404);
+      return;
+    }
+
+    Survey.upgradeMembers(survey, function (error) {
+      if (util.handleError(error, res)) { return; }
+      done(Survey.getMembers(survey), survey);
+    });
+  });
+}
+
+// Make sure someone can still manage the survey after a member stops being
+// an owner. The admins of an org that owns the survey count as owners. We
+// check after the change, so concurrent changes can't both remove the last
+// owners, and put the member back if they were the last one.
+function keepOwner(req, res, survey, member, wasOwner, done) {
+  if (!wasOwner || member.role === 'owner' || survey.org) {
+    return done();
+  }
+
+  Survey.count({
+    id: survey.id,
+    'members.role': 'owner'
+  }, function (error, count) {
+    if (util.handleError(error, res)) { return; }
+    if (count > 0) {
+      return done();
+    }
+
+    Survey.setMemberRole(survey.id, member.user, 'owner', function (error) {
+      if (util.handleError(error, res)) { return; }
+      sendMemberError(res, 'Surveys need at least one owner');
+    });
+  });
+}
+
+function findMember(members, userId) {
+  var i;
+  for (i = 0; i < members.length; i += 1) {
+    if (members[i].user === userId) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Add the user's name and email to a member.
+function describe(member, user) {
+  return {
+    user: {
+      _id: member.user,
+      name: user ? user.name : undefined,
+      email: user ? user.email : undefined
+    },
+    role: member.role
+  };
+}
+
+/**
+ * GET /api/surveys/:surveyId/members
+ * List the survey's members with their names, emails, and roles.
+ */
+exports.list = function list(req, res) {
+  getMembers(req, res, function (members) {
+    var ids = members.map(function (member) {
+      return member.user;
+    });
+
+    User.find({ _id: { $in: ids } })
+    .lean()
+    .exec(function (error, users) {
+      if (util.handleError(error, res)) { return; }
+
+      var byId = {};
+      users.forEach(function (user) {
+        byId[String(user._id)] = user;
+      });
+
+      res.send({
+        members: members.map(function (member) {
+          return describe(member, byId[member.user]);
+        })
+      });
+    });
+  });
+};
+
+/**
+ * POST /api/surveys/:surveyId/members
+ * Add someone to the survey. The body looks like
+ * { member: { email: 'someone@example.com', role: 'editor' } }
+ * If they're already a member, we change their role.
+ */
+exports.post = function post(req, res) {
+  var data = req.body.member || {};
+
+  if (typeof data.email !== 'string' || data.email.length === 0) {
+    sendMemberError(res, 'Email required');
+    return;
+  }
+  if (!checkRole(data.role, res)) { return; }
+
+  // Emails in the DB are lowercase
+  User.findOne({ email: data.email.toLowerCase() }, function (error, user) {
+    if (util.handleError(error, res)) { return; }
+    if (user === null) {
+      sendMemberError(res, 'Account not found');
+      return;
+    }
+
+    getMembers(req, res, function (members, survey) {
+      var member = {
+        user: String(user._id),
+        role: data.role
+      };
+      var index = findMember(members, member.user);
+      var wasOwner = index !== -1 && members[index].role === 'owner';
+
+      Survey.addMember(survey.id, member.user, member.role, function (error) {
+        if (util.handleError(error, res)) { return; }
+        keepOwner(req, res, survey, member, wasOwner, function () {
+          res.send(201, { member: describe(member, user) });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * PUT /api/surveys/:surveyId/members/:userId
+ * Change a member's role. The body looks like { member: { role: 'viewer' } }
+ */
+exports.put = function put(req, res) {
+  var data = req.body.member || {};
+  if (!checkRole(data.role, res)) { return; }
+
+  getMembers(req, res, function (members, survey) {
+    var index = findMember(members, req.params.userId);
+    if (index === -1) {
+      res.send(404);
+      return;
+    }
+
+    var member = members[index];
+    var wasOwner = member.role === 'owner';
+    member.role = data.role;
+
+    Survey.setMemberRole(survey.id, member.user, member.role, function (error, found) {
+      if (util.handleError(error, res)) { return; }
+      // Someone removed them in the meantime.
+      if (!found) {
+        res.send(404);
+        return;
+      }
+
+      keepOwner(req, res, survey, member, wasOwner, function () {
+        User.findOne({ _id: member.user })
+        .lean()
+        .exec(function (error, user) {
+          if (util.handleError(error, res)) { return; }
+          res.send({ member: describe(member, user) });
+        });
+      });
+    });
+  });
+};
+
+// Remove a user from the request's survey.
+function removeUser(req, res, userId) {
+  getMembers(req, res, function (members, survey) {
+    var index = findMember(members, userId);
+    if (index === -1) {
+      res.send(404);
+      return;
+    }
+
+    // Removing an owner has to leave another one. The admins of an org that
+    // owns the survey count as owners.
+    var needOwner = members[index].role === 'owner' && !survey.org;
+    Survey.removeMember(survey.id, userId, needOwner, function (error, removed) {
+      if (util.handleError(error, res)) { return; }
+      if (!removed && needOwner) {
+        sendMemberError(res, 'Surveys need at least one owner');
+        return;
+      }
+      res.send(204);
+    });
+  });
+}
+
+/**
+ * DELETE /api/surveys/:surveyId/members?email=someone@example.com
+ * DELETE /api/surveys/:surveyId/members/:userId
+ * Remove someone from the survey, by email like we add them, or by user ID.
+ */
+exports.del = function del(req, res) {
+  if (req.params.userId !== undefined) {
+    removeUser(req, res, req.params.userId);
+    return;
+  }
+
+  var email = req.query.email;
+  if (typeof email !== 'string' || email.length === 0) {
+    sendMemberError(res, 'Email required');
+    return;
+  }
+
+  // Emails in the DB are lowercase
+  User.findOne({ email: email.toLowerCase() }, function (error, user) {
+    if (util.handleError(error, res)) { return; }
+    if (user === null) {
+      sendMemberError(res, 'Account not found');
+      return;
+    }
+    removeUser(req, res, String(user._id));
+  });
+};
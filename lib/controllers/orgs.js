@@ -2,8 +2,11 @@
 'use strict';
 
 var async = require('async');
+var __ = require('lodash');
 var util = require('../util');
 var Org = require('../models/Org');
+var Survey = require('../models/Survey');
+var User = require('../models/User');
 
 // List all orgs or list a user's orgs.
 exports.list = function list(req, res) {
@@ -52,6 +55,7 @@ exports.post = function post(req, res) {
 
   async.map(data, function (item, next) {
     item.users = [req.user._id];
+    item.members = [{ user: req.user._id, role: 'admin' }];
     var org = new Org(item);
     org.save(next);
   }, function (error, docs) {
@@ -73,11 +77,26 @@ exports.post = function post(req, res) {
 
 };
 
+function sendMemberError(res, message) {
+  res.send(400, {
+    name: 'MemberError',
+    message: message
+  });
+}
+
 exports.put = function put(req, res) {
   var orgId = req.params.orgId;
   var org = req.body.org;
 
-  Org.findOne({ _id: orgId }).select('+users').exec(function (error, doc) {
+  if (org === undefined || org === null || typeof org !== 'object') {
+    res.send(400, {
+      name: 'ValidationError',
+      message: 'You must provide an org object'
+    });
+    return;
+  }
+
+  Org.findOne({ _id: orgId }).select('+users +members').exec(function (error, doc) {
     if (util.handleError(error, res)) { return; }
 
     // We didn't find an org with that ID.
@@ -87,14 +106,277 @@ exports.put = function put(req, res) {
     }
 
     // Make sure the user is authorized.
-    if (doc.users.indexOf(req.user._id) === -1) {
+    if (Org.getRole(doc, req.user._id) !== 'admin') {
+      res.send(403);
+      return;
+    }
+
+    // Clients can still send the whole users list. People keep their roles,
+    // and new people become members. Roles have their own endpoints. We add
+    // and remove people one at a time, so we don't overwrite concurrent
+    // changes to other members.
+    var users = org.users;
+    delete org.users;
+    delete org.members;
+
+    if (users !== undefined && !util.isArray(users)) {
+      res.send(400, {
+        name: 'ValidationError',
+        message: 'users must be a list'
+      });
+      return;
+    }
+
+    Org.upgradeMembers(doc, function (error) {
+      if (util.handleError(error, res)) { return; }
+
+      changeUsers(doc, users, function (error, ok) {
+        if (util.handleError(error, res)) { return; }
+        if (!ok) {
+          sendMemberError(res, 'Organizations need at least one admin');
+          return;
+        }
+
+        Org.findOneAndUpdate({ _id: doc.id }, org).select('+users').exec(function (error, updated) {
+          if (util.handleError(error, res)) { return; }
+          res.send({ org: updated });
+        });
+      });
+    });
+  });
+};
+
+// Make an org's users match a list of user IDs. Calls done with an error and
+// false if that would leave the org without an admin.
+function changeUsers(doc, users, done) {
+  if (users === undefined) {
+    return done(null, true);
+  }
+
+  var current = Org.getMembers(doc).map(function (member) {
+    return member.user;
+  });
+  var removed = current.filter(function (user) {
+    return users.indexOf(user) === -1;
+  });
+  var added = __.uniq(users.filter(function (user) {
+    return current.indexOf(user) === -1;
+  }).map(String));
+
+  function remove(next) {
+    if (removed.length === 0) {
+      return next(null, true);
+    }
+    Org.removeMembers(doc.id, removed, next);
+  }
+
+  remove(function (error, ok) {
+    if (error || !ok) { return done(error, ok); }
+
+    async.eachSeries(added, function (user, next) {
+      Org.pushMember(doc.id, user, 'member', function (error) {
+        next(error);
+      });
+    }, function (error) {
+      done(error, true);
+    });
+  });
+}
+
+// Get the request's org, if the user has a role in it. Admins can do
+// anything a member can. Sends an error response if there's a problem.
+function getOrg(req, res, role, done) {
+  Org.findOne({ _id: req.params.orgId })
+  .select('+users +members')
+  .lean()
+  .exec(function (error, org) {
+    if (error && error.name === 'CastError') {
+      res.send(404);
+      return;
+    }
+    if (util.handleError(error, res)) { return; }
+    if (org === null) {
+      res.send(404);
+      return;
+    }
+
+    var userRole = Org.getRole(org, req.user._id);
+    if (userRole === null || (role === 'admin' && userRole !== 'admin')) {
       res.send(403);
       return;
     }
 
-    Org.findOneAndUpdate({ _id: doc.id }, org).select('+users').exec(function (error, updated) {
+    Org.upgradeMembers(org, function (error) {
+      if (util.handleError(error, res)) { return; }
+      done(org, Org.getMembers(org));
+    });
+  });
+}
+
+/**
+ * Middleware that makes sure the user is an admin of the request's org.
+ */
+exports.ensureAdmin = function ensureAdmin(req, res, next) {
+  getOrg(req, res, 'admin', function () {
+    next();
+  });
+};
+
+// Make sure someone can still manage the org after an admin becomes a
+// member. We check after the change, so concurrent changes can't both demote
+// the last admins, and make them an admin again if they were the last one.
+function keepAdmin(req, res, member, wasAdmin, done) {
+  if (!wasAdmin || member.role === 'admin') {
+    return done();
+  }
+
+  Org.count({
+    _id: req.params.orgId,
+    'members.role': 'admin'
+  }, function (error, count) {
+    if (util.handleError(error, res)) { return; }
+    if (count > 0) {
+      return done();
+    }
+
+    Org.setMemberRole(req.params.orgId, member.user, 'admin', function (error) {
+      if (util.handleError(error, res)) { return; }
+      sendMemberError(res, 'Organizations need at least one admin');
+    });
+  });
+}
+
+/**
+ * GET /api/orgs/:orgId/members
+ * List the org's members with their names, emails, and roles.
+ */
+exports.listMembers = function listMembers(req, res) {
+  getOrg(req, res, 'member', function (org, members) {
+    var ids = members.map(function (member) {
+      return member.user;
+    });
+
+    User.find({ _id: { $in: ids } })
+    .lean()
+    .exec(function (error, users) {
+      if (util.handleError(error, res)) { return; }
+
+      var byId = {};
+      users.forEach(function (user) {
+        byId[String(user._id)] = user;
+      });
+
+      res.send({
+        members: members.map(function (member) {
+          var user = byId[member.user] || {};
+          return {
+            user: {
+              _id: member.user,
+              name: user.name,
+              email: user.email
+            },
+            role: member.role
+          };
+        })
+      });
+    });
+  });
+};
+
+/**
+ * POST /api/orgs/:orgId/members
+ * Add someone to the org. The body looks like
+ * { member: { email: 'someone@example.com', role: 'member' } }
+ * If they're already a member, we change their role.
+ */
+exports.addMember = function addMember(req, res) {
+  var data = req.body.member || {};
+
+  if (typeof data.email !== 'string' || data.email.length === 0) {
+    sendMemberError(res, 'Email required');
+    return;
+  }
+  if (Org.ROLES.indexOf(data.role) === -1) {
+    sendMemberError(res, 'role must be one of ' + Org.ROLES.join(', '));
+    return;
+  }
+
+  getOrg(req, res, 'admin', function (org, members) {
+    // Emails in the DB are lowercase
+    User.findOne({ email: data.email.toLowerCase() }, function (error, user) {
+      if (util.handleError(error, res)) { return; }
+      if (user === null) {
+        sendMemberError(res, 'Account not found');
+        return;
+      }
+
+      var member = {
+        user: String(user._id),
+        role: data.role
+      };
+
+      var wasAdmin = members.some(function (item) {
+        return item.user === member.user && item.role === 'admin';
+      });
+
+      Org.addMember(req.params.orgId, member.user, member.role, function (error) {
+        if (util.handleError(error, res)) { return; }
+        keepAdmin(req, res, member, wasAdmin, function () {
+          res.send(201, {
+            member: {
+              user: {
+                _id: member.user,
+                name: user.name,
+                email: user.email
+              },
+              role: member.role
+            }
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * DELETE /api/orgs/:orgId/members/:userId
+ * Remove someone from the org. Members can remove themselves.
+ */
+exports.removeMember = function removeMember(req, res) {
+  var userId = req.params.userId;
+  var role = userId === req.user._id ? 'member' : 'admin';
+
+  getOrg(req, res, role, function (org, members) {
+    var found = members.some(function (member) {
+      return member.user === userId;
+    });
+    if (!found) {
+      res.send(404);
+      return;
+    }
+
+    Org.removeMembers(req.params.orgId, [userId], function (error, removed) {
+      if (util.handleError(error, res)) { return; }
+      if (!removed) {
+        sendMemberError(res, 'Organizations need at least one admin');
+        return;
+      }
+      res.send(204);
+    });
+  });
+};
+
+/**
+ * GET /api/orgs/:orgId/surveys
+ * List the surveys that the org owns.
+ */
+exports.listSurveys = function listSurveys(req, res) {
+  getOrg(req, res, 'member', function (org) {
+    Survey.find({ org: String(org._id) })
+    .lean()
+    .exec(function (error, surveys) {
       if (util.handleError(error, res)) { return; }
-      res.send({ org: updated });
+      res.send({ surveys: surveys });
     });
   });
 };
@@ -12,6 +12,21 @@
 var getClient = require('../postgres').getClient;
 var lru = require('lru-cache');
 var crypto = require('crypto');
+var mvt = require('../formats/mvt');
+
+// We don't serve parcel tiles closer than this.
+var MAX_TILE_ZOOM = 22;
+
+// Below this zoom level, a tile would hold too many parcels to be useful, so
+// we send empty tiles.
+var MIN_TILE_ZOOM = 12;
+
+// Parcel boundaries change rarely, so clients can keep tiles for a while.
+// 604800 seconds = 1 week
+var TILE_MAX_AGE = 604800;
+
+// Tiles are usually drawn 256 pixels across.
+var TILE_SIZE = 256;
 
 var cache = lru({
   max: 500,
@@ -232,6 +247,145 @@ exports.useCache = function useCache(req, res, next) {
   return next();
 };
 
+/**
+ * GET /api/parcels/tiles/:z/:x/:y.pbf
+ * Get a Mapbox Vector Tile of parcels, with a "parcels" layer. We simplify
+ * the shapes to about a pixel at each zoom level, so tiles stay small.
+ * Features have the parcel's object_id and address.
+ */
+exports.getTile = function getTile(req, response) {
+  var tile = {
+    z: Number(req.params.z),
+    x: Number(req.params.x),
+    y: Number(req.params.y)
+  };
+
+  if (!mvt.isValidTile(tile.z, tile.x, tile.y, MAX_TILE_ZOOM)) {
+    response.send(400);
+    return;
+  }
+
+  var features = [];
+
+  function send() {
+    response.set('Content-Type', 'application/x-protobuf');
+    response.set('Cache-Control', 'public, max-age=' + TILE_MAX_AGE);
+    response.send(mvt.encodeTile([{
+      name: 'parcels',
+      features: features
+    }], tile));
+  }
+
+  if (tile.z < MIN_TILE_ZOOM) {
+    send();
+    return;
+  }
+
+  var bounds = mvt.tileBounds(tile.z, tile.x, tile.y);
+  var tolerance = (bounds[2] - bounds[0]) / TILE_SIZE;
+
+  var queryConfig = {
+    text: 'SELECT object_id, name1, name2, ST_AsGeoJSON(ST_SimplifyPreserveTopology(wkb_geometry, $2)) AS geometry FROM objects WHERE ST_Intersects(wkb_geometry, ST_SetSRID($1::text, 4326))',
+    values: [bboxToPolygon(bounds), tolerance],
+    name: 'parcelTileQuery'
+  };
+
+  getClient(function (error, client, done) {
+    if (error) {
+      console.log('ERROR: ' + error.message);
+      response.send(500);
+      return;
+    }
+
+    client.query(queryConfig, function (error, result) {
+      done();
+      if (error) {
+        console.log(error);
+        response.send(500);
+        return;
+      }
+
+      try {
+        result.rows.forEach(function (row) {
+          if (row.geometry === null) {
+            return;
+          }
+          features.push({
+            geometry: JSON.parse(row.geometry),
+            properties: {
+              object_id: clean(row.object_id),
+              address: clean(row.name1) + ' ' + clean(row.name2)
+            }
+          });
+        });
+      } catch (e) {
+        console.log(e);
+        response.send(500);
+        return;
+      }
+
+      send();
+    });
+  });
+};
+
+// Parcels whose point on surface is inside the area. The bounding box check
+// comes first, so PostGIS can use the spatial index on wkb_geometry and only
+// compute points for the parcels near the area.
+var AREA_CONDITION = 'wkb_geometry && ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326) AND ST_Contains(ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326), ST_PointOnSurface(wkb_geometry))';
+
+/**
+ * Find the parcels inside an area. A parcel is inside if a point on its
+ * surface is, so parcels on the edge of neighboring areas count only once.
+ * @param  {Object}   area     A GeoJSON Polygon or MultiPolygon geometry
+ * @param  {Object}   options  Set geometry to true to get the parcel shapes
+ * @param  {Function} done     Called with an error or a list of parcels, with
+ *                             object_id, address, and maybe geometry
+ */
+exports.findInArea = function findInArea(area, options, done) {
+  var queryConfig;
+  if (options.geometry) {
+    queryConfig = {
+      text: 'SELECT object_id, name1, name2, ST_AsGeoJSON(wkb_geometry) AS geometry FROM objects WHERE ' + AREA_CONDITION,
+      values: [JSON.stringify(area)],
+      name: 'parcelAreaGeometryQuery'
+    };
+  } else {
+    queryConfig = {
+      text: 'SELECT object_id, name1, name2 FROM objects WHERE ' + AREA_CONDITION,
+      values: [JSON.stringify(area)],
+      name: 'parcelAreaQuery'
+    };
+  }
+
+  getClient(function (error, client, release) {
+    if (error) { return done(error); }
+
+    client.query(queryConfig, function (error, result) {
+      release();
+      if (error) { return done(error); }
+
+      var parcels;
+      try {
+        parcels = result.rows.map(function (row) {
+          var parcel = {
+            object_id: clean(row.object_id),
+            address: clean(row.name1) + ' ' + clean(row.name2)
+          };
+          if (options.geometry) {
+            parcel.geometry = JSON.parse(row.geometry);
+          }
+          return parcel;
+        });
+      } catch (e) {
+        return done(e);
+      }
+
+      done(null, parcels);
+    });
+  });
+};
+
 // Get parcels
 // Filter to include only parcels inside a bounding box or only parcels that
 // intersect a point.
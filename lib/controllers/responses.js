@@ -2,11 +2,22 @@
 'use strict';
 
 var async = require('async');
+var fs = require('fs');
 var knox = require('knox');
 var makeSlug = require('slugs');
-var request = require('request');
 var util = require('../util');
+var exporter = require('../exporter');
+var filters = require('../filters');
+var tiles = require('./tiles');
+var csv = require('../formats/csv');
+var geopackage = require('../formats/geopackage');
+var kml = require('../formats/kml');
+var shapefile = require('../formats/shapefile');
+var xlsx = require('../formats/xlsx');
+var ExportJob = require('../models/ExportJob');
 var Response = require('../models/Response');
+var ResponseRevision = require('../models/ResponseRevision');
+var Form = require('../models/Form');
 var Survey = require('../models/Survey');
 var settings = require('../../settings');
 
@@ -18,280 +29,21 @@ var client = knox.createClient({
 
 var uploadDir = settings.s3_dir;
 var uploadPrefix = 'http://' + settings.s3_bucket + '.s3.amazonaws.com/';
-var converterBaseUrl = settings.converterBase;
 
 var exportExpiration = 5 * 60 * 1000; // 5 minutes in milliseconds
+// We give up on export jobs that haven't finished after this long.
+var exportTimeout = 10 * 60 * 1000; // 10 minutes in milliseconds
 
-/**
-* Fetch all of the responses for a given survey. Grabs the entries in chunks,
-* so we don't run into problems with large data sets.
-* TODO: Very large data sets might take seconds, so we should probably use an
-* export/conversion service like with shapefile export.
-* @param surveyID {String}
-* @param done {Function} callback that accepts an error object and an array of responses
-*/
-function getAllResponses(surveyId, done) {
-  function getChunk(start, responses) {
-    var count = 1000;
-    console.log('Fetching chunk [' + start + ',' + count + ') from survey ' + surveyId);
-
-    var query = Response.find({
-      survey: surveyId
-    });
-
-    // Sort in ascending order of creation, so CSV exports vary only at the
-    // bottom (i.e., they grow from the bottom as we get more responses).
-    query.sort({ created: 'asc' });
-
-    query.skip(start);
-    query.limit(count);
-
-    query.lean().exec(function (error, items) {
-      if (error) {
-        return done(error);
-      }
-
-      // If we didn't get as many items as we asked for, then this is the last chunk.
-      if (items.length < count) {
-        return done(null, responses.concat(items));
-      }
-      getChunk(start + count, responses.concat(items));
-    });
-  }
-  getChunk(0, []);
-}
-
-/**
-* Export a given survey. Includes options to filter and format the results.
-*
-* @method exportResults
-* @param surveyID {String}
-* @param filters {Array} Prepares the results for exporting
-*           Each function in the array iterates through objects in the
-*           survey and manipulates them, eg selects the most recent results
-* @param writer {Function} Writes a given record to a string
-*/
-function exportResults(surveyId, filters, writer) {
-  getAllResponses(surveyId, function (error, items) {
-    if (error) {
-      writer(error);
-      return;
-    }
-
-    // Filter the items
-    filters.forEach(function (filter) {
-      items = filter(items);
-    });
-
-    // Start with some basic headers
-    var headers = ['parcel_id', 'address', 'collector', 'timestamp', 'source', 'centroid'];
-
-    // Record which header is at which index
-    var headerIndices = {};
-    var maxEltsInCell = {};
-    var i;
-    var j;
-    for (i = 0; i < headers.length; i += 1) {
-      headerIndices[headers[i]] = i;
-      maxEltsInCell[headers[i]] = 1;
-    }
-
-    // Iterate over each response
-    var rows = [];
-    for (i = 0; i < items.length; i += 1) {
-
-      // Add context entries (parcel ID, source type)
-      var row = [
-        items[i].parcel_id,
-        items[i].geo_info.humanReadableName || '',
-        items[i].source.collector,
-        items[i].created.toISOString(), // Convert the date to ISO8601 format
-        items[i].source.type,
-        items[i].geo_info.centroid[0] + ',' + items[i].geo_info.centroid[1]
-      ];
-
-      // Then, add the survey results
-      var resp;
-      var responses = items[i].responses;
-      for (resp in responses) {
-
-        if (responses.hasOwnProperty(resp)) {
-          // If we haven't encountered this column, track it.
-          if (!headerIndices.hasOwnProperty(resp)) {
-            headerIndices[resp] = headers.length;
-            maxEltsInCell[resp] = 1;
-            headers.push(resp);
-            // Add an empty entry to each existing row, since they didn't
-            // have this column.
-            for (j = 0; j < rows.length; j += 1) {
-              rows[j].push('');
-            }
-          }
-          var entry = responses[resp];
-
-          // Check if we have multiple answers.
-          if (util.isArray(entry)) {
-            if (entry.length > maxEltsInCell[resp]) {
-              maxEltsInCell[resp] = entry.length;
-            }
-          }
-
-          // Add the response to the CSV row.
-          row[headerIndices[resp]] = responses[resp];
-        }
-      }
-
-      // Add the CSV row.
-      rows.push(row);
-    } // End loop over every result
-
-
-    // Write the response
-    writer(null, rows, headers, maxEltsInCell);
-  });
-}
+// Grid cells should be about this many pixels across on a map.
+var gridCellPixels = 32;
+// We don't aggregate closer than this zoom level.
+var maxGridZoom = 22;
 
 /* Export helpers ............................................................*/
 
-/*
- * Turn a list of parcel attributes into a comma-separated string.
- * NOTE: Will break if used with strings with commas (doesn't escape!)
- */
-exports.listToCSVString = function listToCSVString(row, headers, maxEltsInCell) {
-  var arr = [];
-  var i;
-  for (i = 0; i < row.length; i += 1) {
-    if (maxEltsInCell[headers[i]] === 1) {
-
-      // Check if the value is undefined
-      if (row[i] === undefined) {
-        row[i] = '';
-      }
-
-      // Check if we need to escape the value
-      row[i] = String(row[i]);
-      if(row[i].indexOf(',') !== -1){
-        row[i] = '"' + row[i] + '"';
-      }
-
-      // No multiple-choice for this column
-      arr.push(row[i]);
-
-    } else {
-      // There might be multiple items in this cell.
-      // FIXME: It doesn't look like we use len
-      var len;
-      if (!util.isArray(row[i])) {
-
-        // This row only has one answer in this column, so just push that.
-        // Check first to see if it's an empty value
-        if(row[i] !== undefined) {
-
-          // Check if we need to escape the value
-          row[i] = String(row[i]);
-          if(row[i].indexOf(',') !== -1){
-            row[i] = '"' + row[i] + '"';
-          }
-
-          arr.push(row[i]);
-        } else {
-          arr.push('');
-        }
-
-        len = 1;
-      } else {
-        // If it's an array of responses, join them with a semicolon
-        arr.push(row[i].join(';'));
-      }
-    }
-  }
-  return arr.join(',');
-};
-
-function makeCSVWriter(response) {
-  /*
-   * Take a list of rows and export them as CSV
-   * Rows: a list of rows of survey data, eg:
-   * [ ["good", "bad", "4"], ["fine", "excellent", "5"]]
-   * Headers: a list of survey headers as strings
-   */
-  return function CSVWriter(error, rows, headers, maxEltsInCell) {
-    if (util.handleError(error, response)) { return; }
-
-    // CSV output
-    response.writeHead(200, {
-      'Content-Type': 'text/csv',
-      'Content-disposition': 'attachment; filename=Survey Export.csv'
-
-    });
-    // Turn each row into a CSV line
-    response.write(exports.listToCSVString(headers, headers, maxEltsInCell));
-    response.write('\n');
-    var i;
-    for (i = 0; i < rows.length; i += 1) {
-      response.write(exports.listToCSVString(rows[i], headers, maxEltsInCell));
-      response.write('\n');
-    }
-    response.end();
-  };
-}
-
-exports.listToKMLString = function listToKMLString(row, headers, maxEltsInCell) {
-  var i;
-  var elt = '\n<Placemark>';
-  elt += '<name></name>';
-  elt += '<description></description>';
-
-  // The coordinates come escaped, so we need to unescape them:
-  elt += '<Point><coordinates>' + row[4] + '</coordinates></Point>';
-
-  elt += '<ExtendedData>';
-  for (i = 0; i < row.length; i += 1) {
-      elt += '<Data name="' + headers[i] + '">';
-      elt += '<displayName>' + headers[i] + '</displayName>';
-
-      if (row[i] !== undefined) {
-        elt += '<value>' + row[i] + '</value>';
-      } else {
-        elt += '<value></value>';
-      }
-      elt += '</Data>';
-  }
-  elt += '</ExtendedData></Placemark>\n';
-
-  return elt;
-};
-
-function makeKMLWriter(response) {
-  /*
-   * Take a list of rows and export them as KML
-   */
-  return function KMLWriter(error, rows, headers, maxEltsInCell){
-    if (util.handleError(error, response)) { return; }
-
-    var i;
-
-    response.writeHead(200, {
-      'Content-Type': 'application/vnd.google-earth.kml+xml',
-      'Content-disposition': 'attachment; filename=Survey Export.kml'
-    });
-
-    response.write('<?xml version="1.0" encoding="UTF-8"?>\n');
-    response.write('<kml xmlns="http://www.opengis.net/kml/2.2">\n');
-    response.write('<Document><name>KML Export</name><open>1</open><description></description>\n');
-    response.write('<Folder>\n<name>Placemarks</name>\n<description></description>\n');
-
-    // Turn each row into a KML line
-    for (i = 0; i < rows.length; i += 1) {
-      response.write(exports.listToKMLString(rows[i], headers, maxEltsInCell));
-      response.write('\n');
-    }
-
-    response.write('\n</Folder></Document></kml>');
-
-    response.end();
-  };
-}
+// Kept here for existing callers.
+exports.listToCSVString = csv.listToCSVString;
+exports.listToKMLString = kml.listToKMLString;
 
 /**
  * Convert responses to GeoJSON
@@ -375,20 +127,47 @@ exports.filterToMostRecent = function filterToMostRecent(items) {
 };
 
 
+/**
+ * Build the URL of the next page of a cursor-paged list, by replacing the
+ * cursor parameter of the current request.
+ */
+function makeNextLink(req, item) {
+  var parts = req.originalUrl.split('?');
+  var params = [];
+  if (parts[1] !== undefined) {
+    params = parts[1].split('&').filter(function (param) {
+      return param.length > 0 && param.split('=')[0] !== 'cursor';
+    });
+  }
+  params.push('cursor=' + encodeURIComponent(util.encodeCursor(item)));
+  return req.protocol + '://' + req.headers.host + parts[0] + '?' + params.join('&');
+}
+
 exports.list = function list(req, res) {
   var objectId = req.query.objectId;
-  var collector = req.query.collector;
-  var bbox = req.query.bbox;
 
-  // Get paging parameters, if any
+  // Get paging parameters, if any. Clients can page with startIndex and
+  // count, or with count and the cursor from the previous page.
   var paging = util.getPagingParams(req);
+  var cursorPaging = null;
+  if (paging === null) {
+    if (req.query.cursor !== undefined && util.decodeCursor(req.query.cursor) === null) {
+      res.send(400, {
+        name: 'QueryError',
+        message: 'Invalid cursor'
+      });
+      return;
+    }
+    cursorPaging = util.getCursorParams(req);
+  }
 
-  // If the client hasn't restricted the query by base object or by bounding
-  // box, we require paging parameters.
-  if (paging === null && objectId === undefined && bbox === undefined) {
+  // If the client hasn't restricted the query by base object or by area, we
+  // require paging parameters.
+  if (paging === null && cursorPaging === null && objectId === undefined &&
+      !filters.hasSpatialFilter(req.query)) {
     res.send(400, {
       name: 'QueryError',
-      message: 'You must specify startIndex and count query parameters to avoid excessive server load'
+      message: 'You must specify startIndex and count query parameters, or a count and cursor, to avoid excessive server load'
     });
     return;
   }
@@ -403,32 +182,14 @@ exports.list = function list(req, res) {
     survey: req.params.surveyId
   };
 
-  if (bbox !== undefined) {
-    var coords = bbox.split(',');
-    if (coords.length !== 4) {
-      // There need to be four points.
-      res.send(400, {
-        name: 'QueryError',
-        message: 'You must specify 4 points for a bbox parameter'
-      });
-      return;
-    }
-
-    var i, ln;
-    for (i = 0, ln = coords.length; i < ln; i += 1) {
-      coords[i] = parseFloat(coords[i]);
-    }
-
-    var parsedBbox = [[coords[0], coords[1]], [coords[2],  coords[3]]];
-    conditions['geo_info.centroid'] = { '$within': { '$box': parsedBbox } };
-  }
-
-  if (objectId !== undefined) {
-    conditions.object_id = objectId;
+  var filterError = filters.apply(req.query, conditions);
+  if (filterError) {
+    res.send(400, filterError);
+    return;
   }
 
-  if (collector !== undefined) {
-    conditions['source.collector'] = collector;
+  if (cursorPaging !== null && cursorPaging.cursor !== null) {
+    util.addCursorConditions(conditions, cursorPaging.cursor, sort);
   }
 
   var query = Response.find(conditions);
@@ -436,18 +197,144 @@ exports.list = function list(req, res) {
   if (paging !== null) {
     query.skip(paging.startIndex);
     query.limit(paging.count);
+  } else if (cursorPaging !== null) {
+    query.limit(cursorPaging.count);
   }
 
-  query.sort({ created: sort });
+  // Break ties by ID, so cursors have a well-defined order.
+  query.sort({ created: sort, id: sort });
 
   query.lean()
   .exec(function (error, responses) {
     if (util.handleError(error, res)) { return; }
-    if (res.locals.format === 'geojson') {
-      res.send(responsesToGeoJSON(responses));
-    } else {
-      res.send({ responses: responses });
+
+    // If we filled the page, there might be more. Searches can't link to the
+    // next page, since the filters are in the body, so they get the cursor.
+    var next;
+    var cursor;
+    if (cursorPaging !== null && responses.length > 0 && responses.length === cursorPaging.count) {
+      if (req.method === 'POST') {
+        cursor = util.encodeCursor(responses[responses.length - 1]);
+      } else {
+        next = makeNextLink(req, responses[responses.length - 1]);
+      }
+    }
+
+    function send() {
+      var body;
+      if (res.locals.format === 'geojson') {
+        body = responsesToGeoJSON(responses);
+      } else {
+        body = { responses: responses };
+      }
+
+      if (next !== undefined) {
+        body.next = next;
+      }
+      if (cursor !== undefined) {
+        body.cursor = cursor;
+      }
+      res.send(body);
+    }
+
+    // add ?labels=true to a GeoJSON request to use the form's text instead of
+    // question names and answer values
+    if (res.locals.format !== 'geojson' || req.query.labels !== 'true') {
+      send();
+      return;
     }
+
+    exporter.getLabels(req.params.surveyId, function (error, labels) {
+      if (util.handleError(error, res)) { return; }
+      responses.forEach(function (item) {
+        item.responses = exporter.labelResponses(labels, item.responses);
+      });
+      send();
+    });
+  });
+};
+
+/**
+ * POST /api/surveys/:surveyId/responses/search
+ * List responses, with the filters and paging parameters in the body instead
+ * of the URL, since polygons can be too long for a URL. The polygon can be a
+ * GeoJSON object. Parameters in the URL still apply.
+ */
+exports.search = function search(req, res) {
+  var params = {};
+  var body = req.body || {};
+
+  Object.keys(req.query).forEach(function (key) {
+    params[key] = req.query[key];
+  });
+  Object.keys(body).forEach(function (key) {
+    params[key] = body[key];
+  });
+
+  req.query = params;
+  exports.list(req, res);
+};
+
+/**
+ * GET /api/surveys/:surveyId/responses/grid?bbox=<w>,<s>,<e>,<n>&zoom=<zoom>
+ * Count the responses in each cell of a grid, sized for a map zoom level.
+ * Add question=<question> to count each answer to a question, too. The other
+ * response filters work as they do for listing responses, and a polygon or
+ * radius can stand in for the bbox.
+ */
+exports.grid = function grid(req, res) {
+  var zoom = Number(req.query.zoom);
+  var question = req.query.question;
+
+  if (!filters.hasSpatialFilter(req.query)) {
+    res.send(400, {
+      name: 'QueryError',
+      message: 'You must specify a bbox, polygon, or radius'
+    });
+    return;
+  }
+
+  if (isNaN(zoom) || Math.floor(zoom) !== zoom || zoom < 0 || zoom > maxGridZoom) {
+    res.send(400, {
+      name: 'QueryError',
+      message: 'The zoom must be a whole number from 0 to ' + maxGridZoom
+    });
+    return;
+  }
+
+  if (question !== undefined &&
+      (typeof question !== 'string' || question.length === 0 || question[0] === '$' || question.indexOf('.') !== -1)) {
+    res.send(400, {
+      name: 'QueryError',
+      message: 'Invalid question name: ' + question
+    });
+    return;
+  }
+
+  var conditions = {
+    survey: req.params.surveyId
+  };
+
+  var filterError = filters.apply(req.query, conditions);
+  if (filterError) {
+    res.send(400, filterError);
+    return;
+  }
+
+  // Map tiles are 256 pixels across.
+  var size = 360 / Math.pow(2, zoom) / (256 / gridCellPixels);
+
+  Response.getGrid(conditions, {
+    size: size,
+    question: question
+  }, function (error, cells) {
+    if (util.handleError(error, res)) { return; }
+    res.send({
+      grid: {
+        size: size,
+        cells: cells
+      }
+    });
   });
 };
 
@@ -469,26 +356,286 @@ exports.get = function get(req, res) {
 
 
 exports.del = function del(req, res) {
+  var surveyId = req.params.surveyId;
+
   Response.findOne({
-    survey: req.params.surveyId,
+    survey: surveyId,
     id: req.params.responseId
   })
-  .lean()
   .exec(function (error, response) {
-    if (util.handleError(error)) { return; }
+    if (util.handleError(error, res)) { return; }
     if (response === null) {
       res.send(404);
       return;
     } else {
+      // Keep a copy in the revision log, so we can undelete the response.
+      // We record it first, so we never lose a response we can't restore.
+      var before = response.toObject();
+
+      ResponseRevision.record({
+        survey: surveyId,
+        response: before.id,
+        action: 'delete',
+        user: req.user._id,
+        before: before,
+        after: null
+      }, function (error) {
+        if (util.handleError(error, res)) { return; }
 
-      Response.remove({id: response.id}, function(error){
-        if(error) { res.send (500); return; }
-        res.send(204);
+        Response.remove({id: response.id}, function(error){
+          if(error) { res.send (500); return; }
+          tiles.invalidate(surveyId);
+          res.send(204);
+        });
       });
     }
   });
 };
 
+/**
+ * PUT /api/surveys/:surveyId/responses/:responseId
+ * Edit an existing response. Only the answers, the geo info, and the base
+ * object ID can change. The ID and creation date stay the same.
+ */
+exports.put = function put(req, res) {
+  var surveyId = req.params.surveyId;
+  var modified = req.body.response;
+
+  if (modified === undefined || modified === null) {
+    res.send(400, {
+      name: 'SyntaxError',
+      message: 'You must provide a response object'
+    });
+    return;
+  }
+
+  // Responses can't move between surveys.
+  if (modified.survey !== undefined && modified.survey !== surveyId) {
+    res.send(400, {
+      name: 'SyntaxError',
+      message: 'You cannot change the survey of a response'
+    });
+    return;
+  }
+
+  // Only check the answers if they're changing.
+  var toCheck = [];
+  if (modified.responses !== undefined) {
+    toCheck.push(modified);
+  }
+
+  checkResponses(surveyId, toCheck, function (error, mode, problems) {
+    if (util.handleError(error, res)) { return; }
+
+    if (mode === 'reject' && problems.length > 0) {
+      res.send(400, {
+        name: 'ValidationError',
+        message: 'Response does not match the survey form',
+        errors: problems
+      });
+      return;
+    }
+
+    var warnings = [];
+    if (mode === 'warn') {
+      warnings = problems;
+    }
+
+    Response.findOne({
+      survey: surveyId,
+      id: req.params.responseId
+    })
+    .exec(function (error, response) {
+      if (util.handleError(error, res)) { return; }
+      if (response === null) {
+        res.send(404);
+        return;
+      }
+
+      var before = response.toObject();
+
+      if (modified.responses !== undefined) {
+        response.responses = modified.responses;
+        response.markModified('responses');
+      }
+
+      if (modified.geo_info !== undefined) {
+        response.geo_info = modified.geo_info;
+      }
+
+      // We keep parcel_id in sync with object_id.
+      if (modified.object_id !== undefined) {
+        response.object_id = modified.object_id;
+        response.parcel_id = modified.object_id;
+      }
+
+      response.modified = new Date();
+      response.modifiedBy = req.user._id;
+
+      getZones(surveyId, function (error, zones) {
+        if (util.handleError(error, res)) { return; }
+        response.zones = Survey.zonesContaining(zones, response.geo_info.centroid);
+
+        response.save(function (error, doc) {
+          if (error) {
+            if (error.name === 'ValidationError') {
+              res.send(400, error);
+            } else {
+              console.log(error.name, error);
+              res.send(500);
+            }
+            return;
+          }
+
+          tiles.invalidate(surveyId);
+          var after = doc.toObject();
+          ResponseRevision.record({
+            survey: surveyId,
+            response: after.id,
+            action: 'update',
+            user: req.user._id,
+            before: before,
+            after: after
+          }, function (error) {
+            if (util.handleError(error, res)) { return; }
+            var body = { response: after };
+            if (warnings.length > 0) {
+              body.warnings = warnings;
+            }
+            res.send(body);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * GET /api/surveys/:surveyId/responses/:responseId/history
+ * List the revisions of a response, oldest first. Works for deleted
+ * responses, too.
+ */
+exports.history = function history(req, res) {
+  ResponseRevision.find({
+    survey: req.params.surveyId,
+    response: req.params.responseId
+  })
+  .sort({ revision: 'asc' })
+  .lean()
+  .exec(function (error, revisions) {
+    if (util.handleError(error, res)) { return; }
+    if (revisions.length === 0) {
+      res.send(404);
+      return;
+    }
+    res.send({ history: revisions });
+  });
+};
+
+/**
+ * POST /api/surveys/:surveyId/responses/:responseId/restore
+ * Bring back the version of a response recorded by a revision. The body can
+ * name the revision as { revision: <revision ID> }; otherwise we use the most
+ * recent revision, which undoes the last edit or undeletes the response.
+ */
+exports.restore = function restore(req, res) {
+  var surveyId = req.params.surveyId;
+  var responseId = req.params.responseId;
+  var revisionId = req.body.revision;
+
+  var conditions = {
+    survey: surveyId,
+    response: responseId
+  };
+
+  if (revisionId !== undefined) {
+    conditions.id = revisionId;
+  }
+
+  ResponseRevision.findOne(conditions)
+  .sort({ revision: 'desc' })
+  .lean()
+  .exec(function (error, revision) {
+    if (util.handleError(error, res)) { return; }
+    if (revision === null) {
+      res.send(404);
+      return;
+    }
+
+    if (revision.data === null) {
+      res.send(400, {
+        name: 'RestoreError',
+        message: 'There is no earlier version of the response in that revision'
+      });
+      return;
+    }
+
+    Response.findOne({
+      survey: surveyId,
+      id: responseId
+    })
+    .exec(function (error, response) {
+      if (util.handleError(error, res)) { return; }
+
+      var before = null;
+      var data = revision.data;
+
+      if (response === null) {
+        // The response was deleted, so we recreate it with its original ID
+        // and creation date.
+        response = new Response({
+          id: data.id,
+          survey: surveyId,
+          created: data.created
+        });
+      } else {
+        before = response.toObject();
+      }
+
+      response.source = data.source;
+      response.geo_info = data.geo_info;
+      response.files = data.files;
+      response.parcel_id = data.parcel_id;
+      response.object_id = data.object_id;
+      response.responses = data.responses;
+      response.markModified('responses');
+      response.modified = new Date();
+      response.modifiedBy = req.user._id;
+
+      getZones(surveyId, function (error, zones) {
+        if (util.handleError(error, res)) { return; }
+        response.zones = Survey.zonesContaining(zones, response.geo_info.centroid);
+
+        response.save(function (error, doc) {
+          if (error) {
+            if (error.name === 'ValidationError') {
+              res.send(400, error);
+            } else {
+              console.log(error.name, error);
+              res.send(500);
+            }
+            return;
+          }
+
+          tiles.invalidate(surveyId);
+          var after = doc.toObject();
+          ResponseRevision.record({
+            survey: surveyId,
+            response: responseId,
+            action: 'restore',
+            user: req.user._id,
+            before: before,
+            after: after
+          }, function (error) {
+            if (util.handleError(error, res)) { return; }
+            res.send({ response: after });
+          });
+        });
+      });
+    });
+  });
+};
+
 
 /**
  * Check if a given filename already exists
@@ -575,60 +722,145 @@ function makeFilename(orig, surveyId, objectName, done, suffix) {
 }
 
 
+/**
+ * Check a list of responses against the latest mobile form of a survey,
+ * according to the survey's responseValidation setting.
+ * @param  {String}   surveyId
+ * @param  {Array}    data     The list of responses
+ * @param  {Function} done     Params error, mode ('off', 'warn', or
+ *                             'reject'), problems (a list of
+ *                             { index, field, value, message }), and the
+ *                             form (null if the survey has no mobile form)
+ */
+function checkResponses(surveyId, data, done) {
+  Form.getLatestMobile(surveyId, function (error, form) {
+    if (error) { return done(error); }
+
+    // Without a form, there's nothing to check against.
+    if (form === null) {
+      return done(null, 'off', [], null);
+    }
+
+    Survey.findOne({ id: surveyId }, 'responseValidation')
+    .lean()
+    .exec(function (error, survey) {
+      if (error) { return done(error); }
+
+      var mode = 'off';
+      if (survey !== null && survey.responseValidation) {
+        mode = survey.responseValidation;
+      }
+
+      if (mode === 'off') {
+        return done(null, mode, [], form);
+      }
+
+      var problems = [];
+      data.forEach(function (item, index) {
+        form.checkResponses(item.responses).forEach(function (problem) {
+          problem.index = index;
+          problems.push(problem);
+        });
+      });
+
+      if (problems.length > 0) {
+        console.log('Info: ' + problems.length + ' problems validating responses for survey ' + surveyId);
+      }
+
+      done(null, mode, problems, form);
+    });
+  });
+}
+
+// Get a survey's zones, so we can tag responses with the ones that contain
+// them.
+function getZones(surveyId, done) {
+  Survey.findOne({ id: surveyId })
+  .select('zones')
+  .lean()
+  .exec(function (error, survey) {
+    if (error) { return done(error); }
+    done(null, survey === null ? undefined : survey.zones);
+  });
+}
+
 /**
  * Save a list of responses
  * @param  {Array}  data The list of responses
+ * @param  {Object} form The form the responses were collected with, or null
+ * @param  {Array}  warnings Validation problems to report to the client
  */
-function saveResponses(res, data, surveyId) {
+function saveResponses(res, data, surveyId, form, warnings) {
   var count = data.length;
   var itemError = null;
   var output = [];
 
-  data.forEach(function (item) {
-    // If we encountered an error saving one of the items, then we've already
-    // returned an error status, so let's not try to save remaining items.
-    if (itemError !== null) {
-      return;
-    }
-
-    var response = new Response({
-      survey: surveyId,
-      source: item.source,
-      geo_info: item.geo_info,
-      parcel_id: item.parcel_id,
-      object_id: item.object_id,
-      responses: item.responses
-    });
-
-    // Add file paths, if any
-    if (item.files !== undefined) {
-      console.log("ADDING FILES", item.files);
-      response.set('files', item.files);
-    }
+  // Look up the zones once for the whole batch.
+  getZones(surveyId, function (error, zones) {
+    if (util.handleError(error, res)) { return; }
 
-    response.save(function (error, doc) {
-      if (error) {
-        itemError = error;
-        if (error.name === 'ValidationError') {
-          res.send(400, error);
-        } else {
-          console.log(error.name, error);
-          res.send(500);
-        }
+    data.forEach(function (item) {
+      // If we encountered an error saving one of the items, then we've already
+      // returned an error status, so let's not try to save remaining items.
+      if (itemError !== null) {
         return;
       }
 
-      output.push(doc.toObject());
-      count -= 1;
+      var response = new Response({
+        survey: surveyId,
+        source: item.source,
+        geo_info: item.geo_info,
+        parcel_id: item.parcel_id,
+        object_id: item.object_id,
+        responses: item.responses
+      });
 
-      if (count === 0) {
-        output.sort(function (a, b) {
-          return a.created - b.created;
+      // Record which version of the form the response answered.
+      if (form !== null) {
+        response.set('form', {
+          id: form.id,
+          version: form.version
         });
-        res.send(201, { responses: output });
       }
-    });
 
+      // Add file paths, if any
+      if (item.files !== undefined) {
+        console.log("ADDING FILES", item.files);
+        response.set('files', item.files);
+      }
+
+      response.zones = Survey.zonesContaining(zones, response.geo_info.centroid);
+
+      response.save(function (error, doc) {
+        if (error) {
+          itemError = error;
+          if (error.name === 'ValidationError') {
+            res.send(400, error);
+          } else {
+            console.log(error.name, error);
+            res.send(500);
+          }
+          return;
+        }
+
+        tiles.invalidate(surveyId);
+        output.push(doc.toObject());
+        count -= 1;
+
+        if (count === 0) {
+          output.sort(function (a, b) {
+            return a.created - b.created;
+          });
+
+          var body = { responses: output };
+          if (warnings !== undefined && warnings.length > 0) {
+            body.warnings = warnings;
+          }
+          res.send(201, body);
+        }
+      });
+
+    });
   });
 }
 
@@ -665,132 +897,375 @@ exports.post = function post(req, res) {
     return;
   }
 
-  // Save each of the files
-  // Note: we assume that all files being uploaded are images
-  var savedFilePaths = [];
-  if (files) {
-    var fileList = [];
-    var key;
-    for (key in files) {
-      if (files.hasOwnProperty(key)) {
-        fileList.push(files[key]);
-      }
+  checkResponses(surveyId, data, function (error, mode, problems, form) {
+    if (util.handleError(error, res)) { return; }
+
+    if (mode === 'reject' && problems.length > 0) {
+      res.send(400, {
+        name: 'ValidationError',
+        message: 'Responses do not match the survey form',
+        errors: problems
+      });
+      return;
     }
 
-    async.each(fileList, function(file, callback) {
+    var warnings = [];
+    if (mode === 'warn') {
+      warnings = problems;
+    }
 
-      // Generate a name for the file
-      makeFilename(file.name, surveyId, data[0].geo_info.humanReadableName, function (error, fileName) {
-        if (error) {
-          callback(error);
-          return;
+    // Save each of the files
+    // Note: we assume that all files being uploaded are images
+    var savedFilePaths = [];
+    if (files) {
+      var fileList = [];
+      var key;
+      for (key in files) {
+        if (files.hasOwnProperty(key)) {
+          fileList.push(files[key]);
         }
+      }
 
-        console.log("Filename", fileName);
+      async.each(fileList, function(file, callback) {
 
-        // Save the file to S3
-        client.putFile(file.path, fileName, function (error, response) {
+        // Generate a name for the file
+        makeFilename(file.name, surveyId, data[0].geo_info.humanReadableName, function (error, fileName) {
           if (error) {
             callback(error);
             return;
           }
-          if (200 === response.statusCode) {
-            console.log('saved to %s', uploadPrefix + fileName);
-            savedFilePaths.push(uploadPrefix + fileName);
-            callback();
-          } else {
-            callback(new Error('Received status code ' + response.statusCode + ' trying to save a file to S3'));
-          }
+
+          console.log("Filename", fileName);
+
+          // Save the file to S3
+          client.putFile(file.path, fileName, function (error, response) {
+            if (error) {
+              callback(error);
+              return;
+            }
+            if (200 === response.statusCode) {
+              console.log('saved to %s', uploadPrefix + fileName);
+              savedFilePaths.push(uploadPrefix + fileName);
+              callback();
+            } else {
+              callback(new Error('Received status code ' + response.statusCode + ' trying to save a file to S3'));
+            }
+          });
         });
+
+      }, function callback(error) {
+        if (error) {
+          console.log(error);
+          res.send(500);
+          return;
+        }
+        // Once we have all of the files saved, attach the list of filenames
+        // to the first response object
+        data[0].files = savedFilePaths;
+        saveResponses(res, data, surveyId, form, warnings);
       });
+    } else {
+      // No files
+      // Boring, much less work to do.
+      saveResponses(res, data, surveyId, form, warnings);
+    }
+  });
+};
 
-    }, function callback(error) {
-      if (error) {
-        console.log(error);
-        res.send(500);
-        return;
-      }
-      // Once we have all of the files saved, attach the list of filenames
-      // to the first response object
-      data[0].files = savedFilePaths;
-      saveResponses(res, data, surveyId);
-    });
-  } else {
-    // No files
-    // Boring, much less work to do.
-    saveResponses(res, data, surveyId);
+/**
+ * Build the query conditions for an export from the request's filters.
+ * Sends a 400 and returns null if the filters are invalid.
+ */
+function getExportConditions(req, res) {
+  var conditions = {
+    survey: req.params.surveyId
+  };
+
+  var filterError = filters.apply(req.query, conditions);
+  if (filterError) {
+    res.send(400, filterError);
+    return null;
   }
 
-};
+  return conditions;
+}
 
 exports.sendCSV = function sendCSV(req, res) {
-  var surveyId = req.params.surveyId;
-  var filters = [];
-  var latest = req.query.latest;
+  var conditions = getExportConditions(req, res);
+  if (conditions === null) { return; }
 
-  // add ?latest=true to a CSV export to filter to the most recent
-  if (latest) {
-    filters.push(exports.filterToMostRecent);
+  var delimiter = csv.parseDelimiter(req.query.delimiter);
+  if (delimiter === null) {
+    res.send(400, {
+      name: 'QueryError',
+      message: 'The delimiter must be comma, semicolon, tab, pipe, or a single character'
+    });
+    return;
   }
 
-  exportResults(surveyId, filters, makeCSVWriter(res));
+  var options = {
+    // add ?latest=true to a CSV export to filter to the most recent
+    latest: Boolean(req.query.latest),
+    // add ?formVersions=true to label columns by form version
+    formVersions: req.query.formVersions === 'true',
+    // add ?expandMulti=true for a true/false column per multi-select choice
+    expandMulti: req.query.expandMulti === 'true',
+    // add ?labels=true to use the form's text instead of question names and
+    // answer values
+    labels: req.query.labels === 'true'
+  };
+
+  exporter.run(conditions, options, csv.makeWriter(res, {
+    delimiter: delimiter,
+    // add ?bom=true to help Excel with non-ASCII text
+    bom: req.query.bom === 'true'
+  }));
 };
 
 exports.sendKML = function sendKML(req, res) {
+  var conditions = getExportConditions(req, res);
+  if (conditions === null) { return; }
+
+  var options = {
+    formVersions: req.query.formVersions === 'true',
+    labels: req.query.labels === 'true'
+  };
+
+  // add ?colorBy=<question> to color placemarks by the answer to a question
+  var colorBy = req.query.colorBy;
+  if (colorBy === undefined) {
+    exporter.run(conditions, options, kml.makeWriter(res, {}));
+    return;
+  }
+
+  if (typeof colorBy !== 'string' || colorBy.length === 0 || colorBy[0] === '$' || colorBy.indexOf('.') !== -1) {
+    res.send(400, {
+      name: 'QueryError',
+      message: 'Invalid question name: ' + colorBy
+    });
+    return;
+  }
+
+  Response.distinct('responses.' + colorBy, conditions, function (error, answers) {
+    if (util.handleError(error, res)) { return; }
+
+    exporter.run(conditions, options, kml.makeWriter(res, {
+      colorBy: colorBy,
+      answers: answers.map(String).sort()
+    }));
+  });
+};
+
+exports.sendGeoPackage = function sendGeoPackage(req, res) {
   var surveyId = req.params.surveyId;
-  exportResults(surveyId, [], makeKMLWriter(res));
+  var conditions = getExportConditions(req, res);
+  if (conditions === null) { return; }
+
+  var options = {
+    // add ?latest=true to filter to the most recent
+    latest: Boolean(req.query.latest),
+    formVersions: req.query.formVersions === 'true',
+    labels: req.query.labels === 'true'
+  };
+
+  var writer = geopackage.makeWriter({ name: 'Survey ' + surveyId }, function (error, file) {
+    if (util.handleError(error, res)) { return; }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/geopackage+sqlite3',
+      'Content-disposition': 'attachment; filename=Survey Export.gpkg'
+    });
+
+    var stream = fs.createReadStream(file);
+    stream.on('close', function () {
+      fs.unlink(file, function (error) {
+        if (error) {
+          console.log('Error: could not remove ' + file + ': ' + error.message);
+        }
+      });
+    });
+    stream.pipe(res);
+  });
+
+  exporter.run(conditions, options, writer);
 };
 
-exports.handleShapefile = function handleShapefile(req, res) {
+exports.sendXLSX = function sendXLSX(req, res) {
   var surveyId = req.params.surveyId;
+  var conditions = getExportConditions(req, res);
+  if (conditions === null) { return; }
+
+  var options = {
+    // add ?latest=true to filter to the most recent
+    latest: Boolean(req.query.latest),
+    formVersions: req.query.formVersions === 'true',
+    expandMulti: req.query.expandMulti === 'true',
+    labels: req.query.labels === 'true'
+  };
 
-  // Check if we've recently generated a shapefile
-  Survey.findOne({ id: surveyId }, 'slug exports').exec(function (error, doc) {
+  async.parallel([
+    function (next) {
+      Form.getLatestMobile(surveyId, next);
+    },
+    function (next) {
+      Response.getStats(conditions, next);
+    }
+  ], function (error, results) {
     if (util.handleError(error, res)) { return; }
 
-    if (!doc) {
-      res.send(404);
-      return;
+    var form = results[0];
+    var stats = results[1][0];
+
+    var writer = xlsx.makeWriter({
+      dictionary: form ? Form.getDictionary(form.questions) : [],
+      stats: stats
+    }, function (error, buffer) {
+      if (util.handleError(error, res)) { return; }
+
+      res.writeHead(200, {
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-disposition': 'attachment; filename=Survey Export.xlsx'
+      });
+      res.end(buffer);
+    });
+
+    exporter.run(conditions, options, writer);
+  });
+};
+
+/**
+ * Mark an export job as finished.
+ * @param  {Object} job   ExportJob document
+ * @param  {Object} error Error, if the job failed
+ */
+function finishJob(job, error) {
+  if (error) {
+    console.log('Error: export job ' + job.id + ' failed: ' + error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  } else {
+    job.status = 'done';
+  }
+  job.finished = new Date();
+
+  job.save(function (error) {
+    if (error) {
+      console.log('Error: could not save export job ' + job.id + ': ' + error.message);
     }
+  });
+}
+
+/**
+ * Build a shapefile bundle and save it to S3.
+ * @param  {Object} job        ExportJob document
+ * @param  {Object} conditions Query conditions for the responses
+ * @param  {Object} options    Options for exporter.run
+ * @param  {String} slug       Slug of the survey, for naming the files
+ */
+function runShapefileJob(job, conditions, options, slug) {
+  var writer = shapefile.makeWriter({ name: slug }, function (error, buffer) {
+    if (error) { return finishJob(job, error); }
+
+    var name = uploadDir + '/exports/' + slug + '-' + job.id + '.zip';
+    client.putBuffer(buffer, name, { 'Content-Type': 'application/zip' }, function (error, response) {
+      if (!error && response.statusCode !== 200) {
+        error = new Error('Received status code ' + response.statusCode + ' trying to save an export to S3');
+      }
+      if (error) { return finishJob(job, error); }
+
+      job.url = uploadPrefix + name;
+      finishJob(job, null);
+    });
+  });
+
+  exporter.run(conditions, options, writer);
+}
+
+// Tell the client to check back on a job.
+function sendJob(req, res, job) {
+  res.set('Location', req.protocol + '://' + req.headers.host + '/api/surveys/' + job.survey + '/exports/' + job.id);
+  res.send(202, { job: job.toObject() });
+}
 
-    // If the generated shapefile is recent, then redirect the client with a 307 Temporary Redirect
-    if (doc.exports && doc.exports.shapefile && doc.exports.shapefile.requested > (new Date(Date.now() - exportExpiration))) {
-      res.send(307, 'Location: ' + doc.exports.shapefile.url);
+/**
+ * Export responses as a zipped shapefile bundle. Building the bundle can take
+ * a while, so we do it in the background: the first request starts a job and
+ * gets a 202 Accepted, with the job's status URL in the Location header. Once
+ * the job is done, requests for the same export redirect to the file.
+ */
+exports.handleShapefile = function handleShapefile(req, res) {
+  var surveyId = req.params.surveyId;
+
+  var conditions = getExportConditions(req, res);
+  if (conditions === null) { return; }
+
+  // Different filters make different exports.
+  var query = req.url.split('?')[1] || '';
+
+  Survey.findOne({ id: surveyId }, 'slug').exec(function (error, survey) {
+    if (util.handleError(error, res)) { return; }
+
+    if (!survey) {
+      res.send(404);
       return;
     }
 
-    // If the generated shapefile is old, or if we haven't generated one, then
-    // ask the subordinate service to generate the shapefile, and send a 202
-    // Accepted.
-    request({
-      method: 'POST',
-      url: converterBaseUrl + '/' + doc.slug,
-      json: {
-        url: 'http://' + req.headers.host + '/api/surveys/' + surveyId + '/responses.geojson'
-      }
-    }, function (error, response, body) {
+    ExportJob.findLatest(surveyId, 'shapefile', query, function (error, job) {
       if (util.handleError(error, res)) { return; }
 
-      if (response.statusCode !== 202) {
-        console.log('Error. Received an inappropriate status code from the shapefile conversion service: ' + response.statusCode);
-        res.send(500);
+      var now = Date.now();
+
+      // If we recently generated the shapefile, then redirect the client with
+      // a 307 Temporary Redirect.
+      if (job && job.status === 'done' && job.finished > new Date(now - exportExpiration)) {
+        res.redirect(307, job.url);
         return;
       }
 
-      if (doc.exports === undefined) {
-        doc.exports = {};
+      // If we're still working on it, then the client should keep waiting.
+      if (job && job.status === 'pending' && job.created > new Date(now - exportTimeout)) {
+        sendJob(req, res, job);
+        return;
       }
 
-      doc.exports.shapefile = {
-        requested: new Date(),
-        url: body.url
-      };
+      // Otherwise, start a new job.
+      job = new ExportJob({
+        survey: surveyId,
+        format: 'shapefile',
+        query: query
+      });
 
-      doc.update({ $set: { exports: doc.exports } }, function (error, numAffected) {
+      job.save(function (error) {
         if (util.handleError(error, res)) { return; }
-        res.send(202);
+
+        sendJob(req, res, job);
+
+        runShapefileJob(job, conditions, {
+          latest: Boolean(req.query.latest),
+          formVersions: req.query.formVersions === 'true',
+          expandMulti: req.query.expandMulti === 'true',
+          labels: req.query.labels === 'true'
+        }, survey.slug);
       });
     });
+  });
+};
+
+/**
+ * Get the status of an export job.
+ */
+exports.getExportJob = function getExportJob(req, res) {
+  ExportJob.findOne({
+    survey: req.params.surveyId,
+    id: req.params.jobId
+  }, function (error, job) {
+    if (util.handleError(error, res)) { return; }
+
+    if (!job) {
+      res.send(404);
+      return;
+    }
 
+    res.send({ job: job.toObject() });
   });
 };
@@ -1,27 +1,95 @@
 /*jslint node: true */
 'use strict';
 
+var async = require('async');
+
 var util = require('../util');
+var filters = require('../filters');
 var Survey = require('../models/Survey');
+var Org = require('../models/Org');
+var User = require('../models/User');
 var Response = require('../models/Response');
-var __ = require('lodash');
+var Invite = require('../models/Invite');
+var invites = require('./invites');
+var parcels = require('./parcels');
+
+// Response centroids sit inside their parcels, so we pad the response bounds
+// by about 100 meters to take in the parcels along the edges.
+var BOUNDS_PADDING = 0.001;
+
+// Survey types. Surveys without a type are parcel surveys.
+var SURVEY_TYPES = ['parcel', 'point', 'pointandparcel'];
+
+function oneOf(path) {
+  var values = Survey.schema.path(path).enumValues;
+  return function (value) {
+    if (values.indexOf(value) === -1) {
+      return 'must be one of ' + values.join(', ');
+    }
+  };
+}
+
+// The survey settings that a PUT can change, with a check for each one that
+// returns a message if the value isn't valid.
+var SETTINGS = {
+  name: function (value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return 'must be a non-empty string';
+    }
+  },
+  type: function (value) {
+    if (value !== null && SURVEY_TYPES.indexOf(value) === -1) {
+      return 'must be null or one of ' + SURVEY_TYPES.join(', ');
+    }
+  },
+  location: function (value) {
+    if (value !== null && typeof value !== 'string') {
+      return 'must be a string';
+    }
+  },
+  paperinfo: function (value) {
+    if (value !== null &&
+        (typeof value !== 'object' || typeof value.dpi !== 'number')) {
+      return 'must be an object with a dpi';
+    }
+  },
+  responseValidation: oneOf('responseValidation'),
+  visibility: oneOf('visibility'),
+  anonymousResponses: function (value) {
+    if (typeof value !== 'boolean') {
+      return 'must be true or false';
+    }
+  }
+};
 
 exports.list = function list(req, res) {
-  var query;
-  if(req.user) {
-    query = {
-      users: req.user._id
-    };
-  }else {
+  if(!req.user) {
     res.send(401);
     return;
   }
 
-  Survey.find(query)
+  // Include the surveys owned by the user's orgs.
+  Org.find({ users: req.user._id })
+  .select('_id')
   .lean()
-  .exec(function (error, surveys) {
+  .exec(function (error, orgs) {
     if (util.handleError(error, res)) { return; }
-    res.send({ surveys: surveys });
+
+    var orgIds = orgs.map(function (org) {
+      return String(org._id);
+    });
+
+    Survey.find({
+      $or: [
+        { users: req.user._id },
+        { org: { $in: orgIds } }
+      ]
+    })
+    .lean()
+    .exec(function (error, surveys) {
+      if (util.handleError(error, res)) { return; }
+      res.send({ surveys: surveys });
+    });
   });
 };
 
@@ -51,89 +119,21 @@ exports.get = function get(req, res) {
   });
 };
 
+// Get the survey stats. The response filters, like zone, work as they do for
+// listing responses.
 exports.stats = function getStats(req, res) {
-  var stats = {
-    Collectors: {}
-  };
-  var processed = {};
-  var count = 0;
-
   var surveyId = req.params.surveyId;
+  var conditions = {
+    survey: surveyId
+  };
 
-  function summer(memo, num) {
-    return memo + num;
-  }
-
-  function handleDoc(doc) {
-    var key,
-        val;
-
-    // Check if we've already processed an object with this id
-    if (doc.object_id && (processed[doc.object_id] !== undefined)) {
-      return;
-    }
-    processed[doc.object_id] = true;
-    count += 1;
-
-    // Record the collector
-    key = doc.source.collector;
-    val = stats.Collectors[key];
-    if (val !== undefined) {
-      val += 1;
-    } else {
-      val = 1;
-    }
-    stats.Collectors[key] = val;
-
-    // Count the answers
-    if (doc.responses === undefined) {
-      return;
-    }
-    var r = doc.responses;
-    Object.keys(r).forEach(function (key) {
-      var val = r[key];
-      var question = stats[key];
-      if (question === undefined) {
-        question = stats[key] = {};
-        question[val] = 1;
-      } else {
-        var tally = question[val];
-        if (tally === undefined) {
-          tally = 1;
-        } else {
-          tally += 1;
-        }
-        question[val] = tally;
-      }
-    });
-  }
-
-  function getChunk(start, done) {
-    var length = 5000;
-    Response.find({ survey: surveyId })
-    .sort('-created')
-    .skip(start).limit(length)
-    .lean()
-    .exec(function (error, chunk) {
-      if (error) {
-        done(error);
-        return;
-      }
-
-      var i;
-      for (i = 0; i < chunk.length; i += 1) {
-        handleDoc(chunk[i]);
-      }
-
-      if (chunk.length === length) {
-        getChunk(start + length, done);
-      } else {
-        done(null);
-      }
-    });
+  var filterError = filters.apply(req.query, conditions);
+  if (filterError) {
+    res.send(400, filterError);
+    return;
   }
 
-  getChunk(0, function (error) {
+  Response.getStats(conditions, function (error, stats, count) {
     if (error) {
       res.send(500);
       return;
@@ -159,19 +159,9 @@ exports.stats = function getStats(req, res) {
       return;
     }
 
-    // Calculate "no response" count for each question
-    Object.keys(stats).forEach(function (key) {
-      var stat = stats[key];
-      var sum = __.reduce(stat, summer, 0);
-      var remainder = count - sum;
-
-      stats[key]['no response'] = remainder;
-    });
-
     res.send({
       stats: stats
     });
-
   });
 };
 
@@ -184,6 +174,7 @@ exports.post = function post(req, response) {
 
   for (i = 0; i < data.length; i++) {
     data[i].users = [req.user._id];
+    data[i].members = [{ user: req.user._id, role: 'owner' }];
   }
 
   Survey.create(data, function (error) {
@@ -213,8 +204,42 @@ exports.put = function put(req, response) {
   var surveyId = req.params.surveyId;
   var survey = req.body.survey;
 
-  // Update the survey, asking MongoDB to return the updated document.
-  Survey.findOneAndUpdate({ id: surveyId }, survey, function (error, updated) {
+  if (survey === undefined || survey === null || typeof survey !== 'object') {
+    response.send(400, {
+      name: 'ValidationError',
+      message: 'You must provide a survey object'
+    });
+    return;
+  }
+
+  // Clients send back the whole survey, so we pick out the settings a PUT can
+  // change and ignore the rest. The ID and slug stay fixed. Zones, members,
+  // and the org have their own endpoints, which keep everything in sync and
+  // check who can make the change.
+  var changes = {};
+  var invalid = null;
+  Object.keys(SETTINGS).forEach(function (field) {
+    if (invalid !== null || survey[field] === undefined) { return; }
+
+    // findOneAndUpdate skips the schema validation, so we check the values
+    // ourselves.
+    var message = SETTINGS[field](survey[field]);
+    if (message) {
+      invalid = field + ' ' + message;
+      return;
+    }
+    changes[field] = survey[field];
+  });
+
+  if (invalid !== null) {
+    response.send(400, {
+      name: 'ValidationError',
+      message: invalid
+    });
+    return;
+  }
+
+  function sendSurvey(error, updated) {
     if (error) {
       console.log(error);
       response.send(500);
@@ -222,6 +247,283 @@ exports.put = function put(req, response) {
     }
 
     response.send({ survey: updated.toObject() });
+  }
+
+  // Mongo won't run an empty $set.
+  if (Object.keys(changes).length === 0) {
+    Survey.findOne({ id: surveyId }, sendSurvey);
+    return;
+  }
+
+  // Update the survey, asking MongoDB to return the updated document.
+  Survey.findOneAndUpdate({ id: surveyId }, { $set: changes }, sendSurvey);
+};
+
+function sendOwnerError(res, message) {
+  res.send(400, {
+    name: 'OwnerError',
+    message: message
+  });
+}
+
+// Save the new owners and send the updated survey.
+function saveOwner(surveyId, update, res) {
+  Survey.update({ id: surveyId }, update, function (error) {
+    if (util.handleError(error, res)) { return; }
+
+    Survey.findOne({ id: surveyId }, function (error, survey) {
+      if (util.handleError(error, res)) { return; }
+      res.send({ survey: survey.toObject() });
+    });
+  });
+}
+
+/**
+ * PUT /api/surveys/:surveyId/owner
+ * Transfer a survey to an org or to a user. The body looks like
+ * { owner: { org: <org ID> } } or { owner: { user: <user ID> } }
+ * Only admins of an org can give it a survey. The org's admins replace the
+ * survey's direct owners. Giving the survey to a user emails them a transfer
+ * invite, and we send 202 with the invite. Once they accept, they're the
+ * owner, the earlier owners become editors, and the org, if any, no longer
+ * has access.
+ */
+exports.transfer = function transfer(req, res) {
+  var surveyId = req.params.surveyId;
+  var owner = req.body.owner || {};
+
+  if (!owner.org === !owner.user) {
+    sendOwnerError(res, 'The new owner must be either an org or a user');
+    return;
+  }
+
+  Survey.findOne({ id: surveyId })
+  .select('+users +members')
+  .lean()
+  .exec(function (error, survey) {
+    if (util.handleError(error, res)) { return; }
+    if (survey === null) {
+      res.send(404);
+      return;
+    }
+
+    var members = Survey.getMembers(survey);
+
+    function withoutUsers(filter) {
+      var kept = members.filter(filter);
+      return {
+        members: kept,
+        users: kept.map(function (member) {
+          return member.user;
+        })
+      };
+    }
+
+    if (owner.org) {
+      Org.findOne({ _id: owner.org })
+      .select('+users +members')
+      .lean()
+      .exec(function (error, org) {
+        if (error && error.name === 'CastError') {
+          org = null;
+        } else if (util.handleError(error, res)) {
+          return;
+        }
+        if (org === null) {
+          sendOwnerError(res, 'Organization not found');
+          return;
+        }
+        if (Org.getRole(org, req.user._id) !== 'admin') {
+          res.send(403);
+          return;
+        }
+
+        var update = withoutUsers(function (member) {
+          return member.role !== 'owner';
+        });
+        update.org = String(org._id);
+        saveOwner(surveyId, { $set: update }, res);
+      });
+      return;
+    }
+
+    User.findOne({ _id: owner.user })
+    .lean()
+    .exec(function (error, user) {
+      if (error && error.name === 'CastError') {
+        user = null;
+      } else if (util.handleError(error, res)) {
+        return;
+      }
+      if (user === null) {
+        sendOwnerError(res, 'Account not found');
+        return;
+      }
+
+      var invite = new Invite({
+        survey: surveyId,
+        email: user.email,
+        role: 'owner',
+        transfer: true,
+        createdBy: req.user._id
+      });
+
+      invites.send(req, res, invite, survey.name, function () {
+        res.send(202, { invite: invite.toObject() });
+      });
+    });
+  });
+};
+
+function objectIds(parcelList) {
+  return parcelList.map(function (parcel) {
+    return parcel.object_id;
+  });
+}
+
+function values(obj) {
+  return Object.keys(obj).map(function (key) {
+    return obj[key];
+  });
+}
+
+// Get the areas to measure progress in: the survey's zones, or the bounds of
+// its responses if it doesn't have zones.
+function getAreas(survey, done) {
+  if (survey.zones && util.isArray(survey.zones.features) &&
+      survey.zones.features.length > 0) {
+    return done(null, survey.zones.features.map(function (zone) {
+      return {
+        id: zone.id,
+        name: zone.properties.name,
+        geometry: zone.geometry
+      };
+    }));
+  }
+
+  Response.getBounds(survey.id, function (error, bounds) {
+    if (error) { return done(error); }
+    if (bounds === null) {
+      return done(null, []);
+    }
+
+    var w = bounds[0][0] - BOUNDS_PADDING;
+    var s = bounds[0][1] - BOUNDS_PADDING;
+    var e = bounds[1][0] + BOUNDS_PADDING;
+    var n = bounds[1][1] + BOUNDS_PADDING;
+    done(null, [{
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]]
+      }
+    }]);
+  });
+}
+
+/**
+ * GET /api/surveys/:surveyId/progress
+ * Compare the surveyed parcels against all of the parcels in the survey's
+ * zones, or in the bounds of its responses if it has no zones.
+ *
+ * Query parameters:
+ *   zone        Only measure the zone with this ID
+ *   unsurveyed  If true, include the parcels that still need a response, as
+ *               a GeoJSON FeatureCollection
+ */
+exports.progress = function progress(req, res) {
+  var surveyId = req.params.surveyId;
+  var zoneId = req.query.zone;
+  var withUnsurveyed = req.query.unsurveyed === 'true';
+
+  Survey.findOne({ id: surveyId })
+  .lean()
+  .exec(function (error, survey) {
+    if (util.handleError(error, res)) { return; }
+    if (survey === null) {
+      res.send(404);
+      return;
+    }
+
+    async.parallel({
+      areas: function (next) {
+        getAreas(survey, next);
+      },
+      surveyed: function (next) {
+        Response.getSurveyed(surveyId, next);
+      }
+    }, function (error, results) {
+      if (util.handleError(error, res)) { return; }
+
+      var areas = results.areas;
+      if (zoneId !== undefined) {
+        areas = areas.filter(function (area) {
+          return area.id === zoneId;
+        });
+        if (areas.length === 0) {
+          res.send(400, {
+            name: 'QueryError',
+            message: 'The survey has no zone ' + zoneId
+          });
+          return;
+        }
+      }
+
+      var surveyed = results.surveyed;
+
+      async.mapSeries(areas, function (area, next) {
+        parcels.findInArea(area.geometry, { geometry: withUnsurveyed }, next);
+      }, function (error, parcelLists) {
+        if (util.handleError(error, res)) { return; }
+
+        // Zones can overlap, so count each parcel once overall.
+        var all = {};
+        var unsurveyed = {};
+        var zones = [];
+
+        parcelLists.forEach(function (parcelList, i) {
+          parcelList.forEach(function (parcel) {
+            all[parcel.object_id] = parcel;
+
+            if (withUnsurveyed && surveyed[parcel.object_id] !== true) {
+              var feature = unsurveyed[parcel.object_id];
+              if (feature === undefined) {
+                feature = unsurveyed[parcel.object_id] = {
+                  type: 'Feature',
+                  id: parcel.object_id,
+                  geometry: parcel.geometry,
+                  properties: {
+                    address: parcel.address,
+                    zones: []
+                  }
+                };
+              }
+              if (areas[i].id !== undefined) {
+                feature.properties.zones.push(areas[i].id);
+              }
+            }
+          });
+
+          if (areas[i].id !== undefined) {
+            var summary = util.progress(objectIds(parcelList), surveyed);
+            summary.id = areas[i].id;
+            summary.name = areas[i].name;
+            zones.push(summary);
+          }
+        });
+
+        var output = util.progress(Object.keys(all), surveyed);
+        output.zones = zones;
+
+        if (withUnsurveyed) {
+          output.unsurveyed = {
+            type: 'FeatureCollection',
+            features: values(unsurveyed)
+          };
+        }
+
+        res.send({ progress: output });
+      });
+    });
   });
 };
 
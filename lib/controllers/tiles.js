@@ -0,0 +1,251 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Vector tiles
+ * ==================================================
+ *
+ * Serves survey responses as Mapbox Vector Tiles, so the dashboard can draw
+ * a whole city without pulling every response as GeoJSON.
+ *
+ * Tiles are cached in memory. Changing a survey's responses invalidates its
+ * tiles on this process; other processes pick up the change when their
+ * entries expire.
+ */
+
+var crypto = require('crypto');
+var lru = require('lru-cache');
+var util = require('../util');
+var filters = require('../filters');
+var csv = require('../formats/csv');
+var mvt = require('../formats/mvt');
+var Response = require('../models/Response');
+
+// We don't serve tiles closer than this.
+var MAX_ZOOM = 22;
+
+// Below this zoom level, parcel shapes are too small to see, so we only send
+// centroids.
+var MIN_SHAPE_ZOOM = 14;
+
+// Below this zoom level, a tile can cover a whole city, so we send clusters
+// of responses instead of each one.
+var MIN_POINT_ZOOM = 12;
+
+// Clusters are cells this many pixels across, out of the 256 in a tile.
+var CLUSTER_PIXELS = 16;
+
+// Most responses we'll put in one tile. Even zoomed in, a tile with more is
+// too crowded to read, and we don't want to hold them all in memory.
+var MAX_FEATURES = 10000;
+
+// Look for centroids this far outside the tile, as a fraction of the tile
+// size, so shapes that straddle the edge show up on both sides.
+var BUFFER = 0.25;
+
+var cache = lru({
+  max: 1000,
+  maxAge: 1000 * 60 * 5 // 5 minutes
+});
+
+// Bumped whenever a survey's responses change, so old tiles stop matching.
+var generations = {};
+
+/**
+ * Throw away the cached tiles for a survey. Call this after adding, changing,
+ * or removing responses.
+ * @param  {String} surveyId
+ */
+exports.invalidate = function invalidate(surveyId) {
+  generations[surveyId] = (generations[surveyId] || 0) + 1;
+};
+
+function queryError(res, message) {
+  res.send(400, {
+    name: 'QueryError',
+    message: message
+  });
+}
+
+function sendTile(req, res, tile) {
+  res.set('Content-Type', 'application/x-protobuf');
+  res.set('ETag', tile.etag);
+  if (req.headers['if-none-match'] === tile.etag) {
+    res.send(304);
+    return;
+  }
+  res.send(tile.data);
+}
+
+// Encode and cache a tile, then send it.
+function sendFeatures(req, res, key, tile, features) {
+  var data = mvt.encodeTile([{
+    name: 'responses',
+    features: features
+  }], tile);
+
+  var hash = crypto.createHash('md5');
+  hash.update(data);
+
+  var entry = {
+    data: data,
+    etag: '"' + hash.digest('base64') + '"'
+  };
+  cache.set(key, entry);
+  sendTile(req, res, entry);
+}
+
+// Get the properties for a response's feature.
+function getProperties(item, answers) {
+  var properties = {
+    id: item.id,
+    object_id: item.object_id,
+    created: item.created && item.created.toISOString()
+  };
+
+  if (item.source !== undefined) {
+    properties.collector = item.source.collector;
+  }
+
+  answers.forEach(function (name) {
+    var value = item.responses && item.responses[name];
+    if (util.isArray(value)) {
+      value = value.join(csv.multiSeparator);
+    }
+    properties[name] = value;
+  });
+
+  return properties;
+}
+
+/**
+ * GET /api/surveys/:surveyId/tiles/:z/:x/:y.pbf
+ * Get a tile of responses. Responses are parcel shapes, if they have one and
+ * we're zoomed in enough to see it, or centroids. Zoomed out, below
+ * MIN_POINT_ZOOM, features are clusters of responses instead: points with
+ * just a count of the responses around them.
+ *
+ * Features have the response's id, object_id, created, and collector. Add
+ * ?answers=<question>,<question> to include answers, too. The response
+ * filters work as they do for listing responses, except for the spatial
+ * ones.
+ */
+exports.responses = function responses(req, res) {
+  var surveyId = req.params.surveyId;
+  var tile = {
+    z: Number(req.params.z),
+    x: Number(req.params.x),
+    y: Number(req.params.y)
+  };
+
+  if (!mvt.isValidTile(tile.z, tile.x, tile.y, MAX_ZOOM)) {
+    queryError(res, 'Invalid tile: ' + [req.params.z, req.params.x, req.params.y].join('/'));
+    return;
+  }
+
+  var answers = [];
+  if (req.query.answers !== undefined) {
+    answers = String(req.query.answers).split(',');
+  }
+
+  var i;
+  for (i = 0; i < answers.length; i += 1) {
+    if (answers[i].length === 0 || answers[i][0] === '$' || answers[i].indexOf('.') !== -1) {
+      queryError(res, 'Invalid question name: ' + answers[i]);
+      return;
+    }
+  }
+
+  var key = surveyId + ':' + (generations[surveyId] || 0) + ':' + req.url;
+  var cached = cache.get(key);
+  if (cached !== undefined) {
+    sendTile(req, res, cached);
+    return;
+  }
+
+  var conditions = {
+    survey: surveyId
+  };
+
+  var filterError = filters.apply(req.query, conditions);
+  if (filterError) {
+    res.send(400, filterError);
+    return;
+  }
+
+  var bounds = mvt.tileBounds(tile.z, tile.x, tile.y);
+  var dx = (bounds[2] - bounds[0]) * BUFFER;
+  var dy = (bounds[3] - bounds[1]) * BUFFER;
+  conditions['geo_info.centroid'] = filters.withinBox([
+    [bounds[0] - dx, bounds[1] - dy],
+    [bounds[2] + dx, bounds[3] + dy]
+  ]);
+
+  // Generations can change while we query, so hold on to the key we started
+  // with.
+  if (tile.z < MIN_POINT_ZOOM) {
+    Response.getGrid(conditions, {
+      size: (bounds[2] - bounds[0]) / (256 / CLUSTER_PIXELS)
+    }, function (error, cells) {
+      if (util.handleError(error, res)) { return; }
+
+      sendFeatures(req, res, key, tile, cells.map(function (cell) {
+        return {
+          geometry: {
+            type: 'Point',
+            coordinates: cell.center
+          },
+          properties: {
+            count: cell.count
+          }
+        };
+      }));
+    });
+    return;
+  }
+
+  var useShapes = tile.z >= MIN_SHAPE_ZOOM;
+  var fields = {
+    id: 1,
+    object_id: 1,
+    created: 1,
+    'source.collector': 1,
+    'geo_info.centroid': 1
+  };
+  if (useShapes) {
+    fields['geo_info.geometry'] = 1;
+  }
+  // Question names can have spaces, so we can't use a select string.
+  answers.forEach(function (name) {
+    fields['responses.' + name] = 1;
+  });
+
+  Response.find(conditions)
+  .select(fields)
+  .limit(MAX_FEATURES)
+  .lean()
+  .exec(function (error, items) {
+    if (util.handleError(error, res)) { return; }
+
+    var features = [];
+    items.forEach(function (item) {
+      var geometry = item.geo_info.geometry;
+      // Responses without a shape still get an empty geometry from Mongoose.
+      if (!useShapes || geometry === undefined ||
+          (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        geometry = {
+          type: 'Point',
+          coordinates: item.geo_info.centroid
+        };
+      }
+
+      features.push({
+        geometry: geometry,
+        properties: getProperties(item, answers)
+      });
+    });
+
+    sendFeatures(req, res, key, tile, features);
+  });
+};
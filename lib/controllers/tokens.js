@@ -0,0 +1,177 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * API tokens
+ * ==================================================
+ *
+ * Personal access tokens let scripts and other clients without a session use
+ * the API. Clients send them in an "Authorization: Bearer <token>" header.
+ */
+
+var util = require('../util');
+var Survey = require('../models/Survey');
+var User = require('../models/User');
+
+// Tokens can't manage tokens, so a leaked read-only token can't be turned
+// into a more powerful one.
+function rejectTokenAuth(req, res) {
+  if (req.authToken) {
+    res.send(403, {
+      type: 'AuthError',
+      message: 'Log in to manage API tokens'
+    });
+    return true;
+  }
+  return false;
+}
+
+function getUser(req, res, done) {
+  User.findOne({ _id: req.user._id })
+  .select('+tokens')
+  .exec(function (error, user) {
+    if (util.handleError(error, res)) { return; }
+    if (user === null) {
+      res.send(401);
+      return;
+    }
+    done(user);
+  });
+}
+
+function findToken(user, tokenId) {
+  return (user.tokens || []).filter(function (token) {
+    return token.id === tokenId;
+  })[0];
+}
+
+function sendTokenError(res, message) {
+  res.send(400, {
+    name: 'TokenError',
+    message: message
+  });
+}
+
+/**
+ * GET /api/user/tokens
+ * List the current user's API tokens. We never send the token values again
+ * after creating them.
+ */
+exports.list = function list(req, res) {
+  if (rejectTokenAuth(req, res)) { return; }
+
+  getUser(req, res, function (user) {
+    res.send({
+      tokens: (user.tokens || []).map(function (token) {
+        return token.toObject();
+      })
+    });
+  });
+};
+
+/**
+ * POST /api/user/tokens
+ * Create an API token. The body looks like
+ * { token: { name: 'ETL', survey: <survey ID>, access: 'read' } }
+ * survey and access are optional. Tokens default to read-only access to all
+ * of the user's surveys. The response includes the token's value, which we
+ * can't send again.
+ */
+exports.post = function post(req, res) {
+  if (rejectTokenAuth(req, res)) { return; }
+
+  var data = req.body.token || {};
+
+  if (typeof data.name !== 'string' || data.name.length === 0) {
+    sendTokenError(res, 'API tokens need a name');
+    return;
+  }
+
+  var access = data.access || 'read';
+  if (User.TOKEN_ACCESS.indexOf(access) === -1) {
+    sendTokenError(res, 'access must be one of ' + User.TOKEN_ACCESS.join(', '));
+    return;
+  }
+
+  function create() {
+    getUser(req, res, function (user) {
+      var token = user.addToken({
+        name: data.name,
+        survey: data.survey,
+        access: access
+      });
+
+      user.save(function (error) {
+        if (util.handleError(error, res)) { return; }
+        res.send(201, { token: token });
+      });
+    });
+  }
+
+  if (!data.survey) {
+    create();
+    return;
+  }
+
+  // Users can only make tokens for surveys they're members of. The token
+  // can't do more than the user's role allows.
+  Survey.findIfUserHasRole(data.survey, req.user._id, null, function (error, survey) {
+    if (!survey) {
+      sendTokenError(res, 'You do not have access to survey ' + data.survey);
+      return;
+    }
+    create();
+  });
+};
+
+/**
+ * PUT /api/user/tokens/:tokenId
+ * Rename an API token. To change a token's scope, make a new one.
+ */
+exports.put = function put(req, res) {
+  if (rejectTokenAuth(req, res)) { return; }
+
+  var data = req.body.token || {};
+  if (typeof data.name !== 'string' || data.name.length === 0) {
+    sendTokenError(res, 'API tokens need a name');
+    return;
+  }
+
+  getUser(req, res, function (user) {
+    var token = findToken(user, req.params.tokenId);
+    if (token === undefined) {
+      res.send(404);
+      return;
+    }
+
+    token.name = data.name;
+    user.save(function (error) {
+      if (util.handleError(error, res)) { return; }
+      res.send({ token: token.toObject() });
+    });
+  });
+};
+
+/**
+ * DELETE /api/user/tokens/:tokenId
+ * Revoke an API token.
+ */
+exports.del = function del(req, res) {
+  if (rejectTokenAuth(req, res)) { return; }
+
+  getUser(req, res, function (user) {
+    var token = findToken(user, req.params.tokenId);
+    if (token === undefined) {
+      res.send(404);
+      return;
+    }
+
+    // Tokens don't have their own _id, so remove them by position.
+    user.tokens.splice(user.tokens.indexOf(token), 1);
+    user.save(function (error) {
+      if (util.handleError(error, res)) { return; }
+      res.send(204);
+    });
+  });
+};
@@ -13,6 +13,15 @@ var util = require('../util');
 var Survey = require('../models/Survey');
 var User = require('../models/User');
 
+// We don't want to pass around sensitive stuff like password hashes
+function makeSafeUser(user) {
+  return {
+    name: user.name,
+    email: user.email,
+    _id: String(user._id)
+  };
+}
+
 // Passport session setup.
 //   To support persistent login sessions, Passport needs to be able to
 //   serialize users into and deserialize users out of the session.  Typically,
@@ -24,25 +33,13 @@ passport.serializeUser(function (user, done) {
   // We serialize the name and email address along with the ID, so we don't
   // need to hit the database when we deserialize.
 
-  // We don't want to pass around sensitive stuff like password hashes
-  var safeUser = {};
-  safeUser.name = user.name;
-  safeUser.email = user.email;
-  safeUser._id = user._id;
-
-  return done(null, safeUser);
+  return done(null, makeSafeUser(user));
 });
 
 passport.deserializeUser(function (user, done) {
   console.log('Deserializing a user');
 
-  // We don't want to pass around sensitive stuff like password hashes
-  var safeUser = {};
-  safeUser.name = user.name;
-  safeUser.email = user.email;
-  safeUser._id = user._id;
-
-  return done(null, safeUser);
+  return done(null, makeSafeUser(user));
 });
 
 // Use the local authentication strategy in Passport.
@@ -367,14 +364,99 @@ exports.resetPassword = function resetPassword(req, response, next) {
 
 // Utility / middleware ........................................................
 
+// Routes that use POST only to read, since their queries are too big for a
+// URL. Read-only API tokens can use them.
+var READ_ROUTES = [
+  '/api/surveys/:surveyId/responses/search'
+];
+
+// Check whether a request only reads data.
+function isRead(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return true;
+  }
+  return req.method === 'POST' && req.route !== undefined &&
+    READ_ROUTES.indexOf(req.route.path) !== -1;
+}
+
+// Check that an API token allows a request. Returns a message if it doesn't.
+function checkTokenScope(token, req) {
+  if (token.access !== 'write' && !isRead(req)) {
+    return 'This API token is read-only';
+  }
+
+  if (token.survey && req.params.surveyId !== token.survey) {
+    return 'This API token only works with survey ' + token.survey;
+  }
+
+  return null;
+}
+
+// Send a 403 if the request uses an API token that doesn't allow it. Returns
+// true if we sent a response.
+function rejectOutOfScope(req, res) {
+  if (!req.authToken) {
+    return false;
+  }
+
+  var message = checkTokenScope(req.authToken, req);
+  if (message === null) {
+    return false;
+  }
+
+  res.send(403, {
+    type: 'AuthError',
+    message: message
+  });
+  return true;
+}
+
+// Authenticate requests that have an "Authorization: Bearer <token>" header
+// with an API token, for scripts and other clients without a session.
+exports.tokenAuth = function tokenAuth(req, res, next) {
+  var match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match === null) {
+    return next();
+  }
+
+  User.findByToken(match[1], function (error, user, token) {
+    if (error) { return next(error); }
+
+    if (user === null) {
+      res.send(401, {
+        type: 'AuthError',
+        message: 'Invalid API token'
+      });
+      return;
+    }
+
+    req.user = makeSafeUser(user);
+    req.authToken = token.toObject();
+
+    // Keep track of when the token was last used, without holding up the
+    // request.
+    User.update({ 'tokens.id': token.id }, {
+      $set: { 'tokens.$.lastUsed': new Date() }
+    }, function (error) {
+      if (error) {
+        console.log('Error recording API token use', error);
+      }
+    });
+
+    next();
+  });
+};
+
 // Simple route middleware to ensure user is authenticated.
 //   Use this route middleware on any resource that needs to be protected.  If
 //   the request is authenticated (typically via a persistent login session),
 //   the request will proceed.
 //   Otherwise, the user will be sent a 401.
+//   Requests with API tokens must also be in the token's scope.
 // TODO: Should we return 403 Forbidden?
 exports.ensureAuthenticated = function ensureAuthenticated(req, res, next) {
   if (req.isAuthenticated()) {
+    if (rejectOutOfScope(req, res)) { return; }
     return next();
   }
 
@@ -384,14 +466,77 @@ exports.ensureAuthenticated = function ensureAuthenticated(req, res, next) {
   });
 };
 
-// Ensure that a user can use a survey
-exports.ensureSurveyAccess = function ensurePermissions(req, res, next) {
-  Survey.findIfOwnedByUser(req.params.surveyId, req.user._id, function(error, survey) {
-    if(!survey) {
-      res.send(error.code);
-      return;
+// Make middleware to ensure that a user has a role on a survey. Roles include
+// less powerful roles, so owners can do anything an editor can. If role is
+// null, any member will do.
+// Sets req.surveyRole to the user's role.
+exports.ensureSurveyRole = function ensureSurveyRole(role) {
+  return function ensureRole(req, res, next) {
+    if (rejectOutOfScope(req, res)) { return; }
+
+    Survey.findIfUserHasRole(req.params.surveyId, req.user._id, role, function(error, survey, userRole) {
+      if(!survey) {
+        res.send(error.code);
+        return;
+      }
+      req.surveyRole = userRole;
+      return next();
+    });
+  };
+};
+
+// Make sure the user is logged in and has a role on the survey.
+function requireRole(req, res, role, next) {
+  if (!req.isAuthenticated()) {
+    res.send(401, {
+      type: 'AuthError',
+      message: 'You must be logged in to access that resource'
+    });
+    return;
+  }
+  exports.ensureSurveyRole(role)(req, res, next);
+}
+
+// Make middleware to enforce a survey's visibility on routes that read it.
+// purpose is one of
+//   'view': look at the survey and individual responses. Needs the viewer
+//     role.
+//   'bulk': list, search, or export responses. Needs the viewer role.
+//   'collect': get what the mobile app needs to collect responses, like
+//     forms. Any member can.
+exports.ensureSurveyReadable = function ensureSurveyReadable(purpose) {
+  var role = purpose === 'collect' ? null : 'viewer';
+
+  return function ensureReadable(req, res, next) {
+    Survey.findOne({ id: req.params.surveyId })
+    .select('visibility')
+    .lean()
+    .exec(function (error, survey) {
+      if (util.handleError(error, res)) { return; }
+
+      // There are no settings to enforce for surveys we don't know about.
+      if (survey === null || Survey.isReadableByAnyone(survey, purpose)) {
+        return next();
+      }
+
+      requireRole(req, res, role, next);
+    });
+  };
+};
+
+// Ensure that the user can add responses to a survey. Anyone can, unless the
+// survey turned off anonymous responses.
+exports.ensureCanRespond = function ensureCanRespond(req, res, next) {
+  Survey.findOne({ id: req.params.surveyId })
+  .select('anonymousResponses')
+  .lean()
+  .exec(function (error, survey) {
+    if (util.handleError(error, res)) { return; }
+
+    if (survey === null || survey.anonymousResponses !== false) {
+      return next();
     }
-    return next();
+
+    requireRole(req, res, 'collector', next);
   });
 };
-
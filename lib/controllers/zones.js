@@ -0,0 +1,253 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Survey zones
+ * ==================================================
+ *
+ * Manages the named zones of a survey, like neighborhoods. Zones live in the
+ * survey's zones FeatureCollection. We change one zone at a time in place, so
+ * concurrent edits don't clobber each other. Whenever a zone changes, we
+ * retag the responses it covers, so the zone filter stays accurate.
+ */
+
+var __ = require('lodash');
+var util = require('../util');
+var filters = require('../filters');
+var Response = require('../models/Response');
+var Survey = require('../models/Survey');
+
+function emptyZones() {
+  return {
+    type: 'FeatureCollection',
+    features: []
+  };
+}
+
+function findZone(zones, zoneId) {
+  var i;
+  for (i = 0; i < zones.features.length; i += 1) {
+    if (zones.features[i].id === zoneId) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check a zone from a request body and make a Feature out of it.
+ * @param  {Object} data     A GeoJSON Feature with a name property and a
+ *                           Polygon or MultiPolygon geometry
+ * @param  {Object} existing The zone we're changing, if any. Missing fields
+ *                           keep their old values.
+ * @return {Object}          The zone, or an error object with a message
+ */
+function makeZone(data, existing) {
+  if (data === undefined || data === null || typeof data !== 'object') {
+    return { error: 'You must provide a zone object' };
+  }
+
+  var properties = data.properties || {};
+  var name = properties.name;
+  var geometry = data.geometry;
+
+  if (existing !== undefined) {
+    if (name === undefined) {
+      name = existing.properties.name;
+    }
+    if (geometry === undefined) {
+      geometry = existing.geometry;
+    }
+  }
+
+  if (typeof name !== 'string' || name.length === 0) {
+    return { error: 'Zones need a name property' };
+  }
+
+  geometry = filters.parsePolygon(geometry);
+  if (geometry === null) {
+    return { error: 'Zones need a Polygon or MultiPolygon geometry' };
+  }
+
+  return {
+    zone: {
+      type: 'Feature',
+      id: existing === undefined ? util.uuidv1() : existing.id,
+      properties: { name: name },
+      geometry: geometry
+    }
+  };
+}
+
+// Get a survey's zones.
+function getZones(surveyId, done) {
+  Survey.findOne({ id: surveyId })
+  .select('zones')
+  .lean()
+  .exec(function (error, survey) {
+    if (error) { return done(error); }
+    if (survey === null) {
+      return done(null, null);
+    }
+
+    var zones = survey.zones;
+    if (!zones || !util.isArray(zones.features)) {
+      zones = emptyZones();
+    }
+    done(null, zones);
+  });
+}
+
+// Look up the zones for a request and pass them to handle. Sends an error
+// response instead if there's a problem.
+function withZones(req, res, handle) {
+  getZones(req.params.surveyId, function (error, zones) {
+    if (util.handleError(error, res)) { return; }
+    if (zones === null) {
+      res.send(404);
+      return;
+    }
+    handle(zones);
+  });
+}
+
+/**
+ * GET /api/surveys/:surveyId/zones
+ * List a survey's zones, as a GeoJSON FeatureCollection.
+ */
+exports.list = function list(req, res) {
+  withZones(req, res, function (zones) {
+    res.send({ zones: zones });
+  });
+};
+
+/**
+ * GET /api/surveys/:surveyId/zones/:zoneId
+ */
+exports.get = function get(req, res) {
+  withZones(req, res, function (zones) {
+    var index = findZone(zones, req.params.zoneId);
+    if (index === -1) {
+      res.send(404);
+      return;
+    }
+    res.send({ zone: zones.features[index] });
+  });
+};
+
+/**
+ * POST /api/surveys/:surveyId/zones
+ * Add a zone. The body looks like { zone: <GeoJSON Feature> }, where the
+ * feature has a name property.
+ */
+exports.post = function post(req, res) {
+  var result = makeZone(req.body.zone);
+  if (result.error) {
+    res.send(400, {
+      name: 'ValidationError',
+      message: result.error
+    });
+    return;
+  }
+
+  var surveyId = req.params.surveyId;
+  var zone = result.zone;
+
+  Survey.update({ id: surveyId }, {
+    $set: { 'zones.type': 'FeatureCollection' },
+    $push: { 'zones.features': zone }
+  }, function (error, count) {
+    if (util.handleError(error, res)) { return; }
+    if (count === 0) {
+      res.send(404);
+      return;
+    }
+
+    Response.tagZone(surveyId, zone, function (error) {
+      if (util.handleError(error, res)) { return; }
+      res.send(201, { zone: zone });
+    });
+  });
+};
+
+/**
+ * PUT /api/surveys/:surveyId/zones/:zoneId
+ * Change a zone's name or geometry.
+ */
+exports.put = function put(req, res) {
+  withZones(req, res, function (zones) {
+    var index = findZone(zones, req.params.zoneId);
+    if (index === -1) {
+      res.send(404);
+      return;
+    }
+
+    var result = makeZone(req.body.zone, zones.features[index]);
+    if (result.error) {
+      res.send(400, {
+        name: 'ValidationError',
+        message: result.error
+      });
+      return;
+    }
+
+    var surveyId = req.params.surveyId;
+    var existing = zones.features[index];
+    var zone = result.zone;
+
+    Survey.update({
+      id: surveyId,
+      'zones.features.id': zone.id
+    }, {
+      $set: { 'zones.features.$': zone }
+    }, function (error, count) {
+      if (util.handleError(error, res)) { return; }
+      // Someone deleted the zone in the meantime.
+      if (count === 0) {
+        res.send(404);
+        return;
+      }
+
+      // Renaming a zone doesn't move any responses.
+      if (__.isEqual(existing.geometry, zone.geometry)) {
+        res.send({ zone: zone });
+        return;
+      }
+
+      Response.untagZone(surveyId, zone.id, function (error) {
+        if (util.handleError(error, res)) { return; }
+        Response.tagZone(surveyId, zone, function (error) {
+          if (util.handleError(error, res)) { return; }
+          res.send({ zone: zone });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * DELETE /api/surveys/:surveyId/zones/:zoneId
+ */
+exports.del = function del(req, res) {
+  withZones(req, res, function (zones) {
+    var index = findZone(zones, req.params.zoneId);
+    if (index === -1) {
+      res.send(404);
+      return;
+    }
+
+    var surveyId = req.params.surveyId;
+    var zoneId = req.params.zoneId;
+
+    Survey.update({ id: surveyId }, {
+      $pull: { 'zones.features': { id: zoneId } }
+    }, function (error) {
+      if (util.handleError(error, res)) { return; }
+      Response.untagZone(surveyId, zoneId, function (error) {
+        if (util.handleError(error, res)) { return; }
+        res.send(204);
+      });
+    });
+  });
+};
@@ -0,0 +1,620 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Response exports
+ * ==================================================
+ *
+ * Streams the responses of a survey, as rows of values, to a format writer.
+ * We work through the responses in chunks and hand each chunk to the writer
+ * as soon as we have it, so we never hold a whole survey in memory.
+ *
+ * A writer is an object with these methods:
+ *   start(headers)           Called once, before any rows
+ *   write(rows, items, next) Called for each chunk of rows, along with the
+ *                            responses they came from. Call next() when
+ *                            ready for more, or next(error) to give up.
+ *   end()                    Called after the last chunk
+ *   fail(error)              Called if something goes wrong, possibly after
+ *                            start
+ */
+
+var __ = require('lodash');
+var async = require('async');
+var util = require('./util');
+var Form = require('./models/Form');
+var FormVersion = require('./models/FormVersion');
+var Response = require('./models/Response');
+
+var exporter = module.exports;
+
+// Every export starts with these columns.
+exporter.baseHeaders = ['parcel_id', 'address', 'collector', 'timestamp', 'source', 'centroid'];
+
+var CHUNK_SIZE = 1000;
+
+function addNames(names, seen, questions) {
+  Form.getQuestionNames(questions).forEach(function (name) {
+    if (!seen[name]) {
+      seen[name] = true;
+      names.push(name);
+    }
+  });
+}
+
+/**
+ * Get a survey's mobile forms, along with every earlier version of them.
+ * @param  {String}   surveyId
+ * @param  {Function} done     Params error, list of form versions, list of
+ *                             current forms. Both are oldest first.
+ */
+function getMobileForms(surveyId, done) {
+  async.parallel([
+    function (next) {
+      FormVersion.find({ survey: surveyId, type: 'mobile' })
+      .sort({ created: 'asc' })
+      .lean()
+      .exec(next);
+    },
+    function (next) {
+      Form.find({ survey: surveyId, type: 'mobile' })
+      .sort({ created: 'asc' })
+      .lean()
+      .exec(next);
+    }
+  ], function (error, results) {
+    if (error) { return done(error); }
+    done(null, results[0], results[1]);
+  });
+}
+
+// Responses without a parcel ID are grouped together, like in
+// filterToMostRecent.
+function parcelKey(parcelId) {
+  if (parcelId === null || parcelId === undefined) {
+    return '';
+  }
+  return String(parcelId);
+}
+
+/**
+ * Make a filter that keeps only the most recent response for each base
+ * object. Use a new filter for each pass through the responses.
+ * @param  {Object}   latest From getLatestTimes, or null to keep everything
+ * @return {Function}        Takes and returns a list of responses
+ */
+function makeLatestFilter(latest) {
+  var written = {};
+
+  return function filterLatest(items) {
+    if (latest === null) {
+      return items;
+    }
+    return items.filter(function (item) {
+      var key = parcelKey(item.parcel_id);
+      if (written[key] || new Date(item.created).getTime() !== latest[key]) {
+        return false;
+      }
+      written[key] = true;
+      return true;
+    });
+  };
+}
+
+/**
+ * Go through the responses once to find the answers they have. This is the
+ * slow path: we only take it for surveys without a mobile form, or to find
+ * the multi-select choices, which the forms don't list.
+ *
+ * Every answer gets a name, in the order we first see them. The
+ * multi-select questions are the ones where some response has several
+ * answers, and we collect every answer given to each of them.
+ * @param  {Object}   conditions Query conditions, including the survey ID
+ * @param  {Object}   latest     From getLatestTimes, or null to include every
+ *                               response
+ * @param  {Boolean}  getChoices Whether to find the multi-select choices
+ * @param  {Function} done       Params error, list of answer names, object
+ *                               mapping the names of multi-select questions
+ *                               to sorted lists of choices
+ */
+function scanResponses(conditions, latest, getChoices, done) {
+  var names = [];
+  var seen = {};
+  var values = {};
+  var multiple = {};
+  var filterLatest = makeLatestFilter(latest);
+
+  function addValues(key, value) {
+    if (!getChoices || value === undefined || value === null) {
+      return;
+    }
+    if (util.isArray(value)) {
+      if (value.length > 1) {
+        multiple[key] = true;
+      }
+    } else {
+      value = [value];
+    }
+
+    var known = values[key] = values[key] || {};
+    value.forEach(function (item) {
+      known[String(item)] = true;
+    });
+  }
+
+  Response.eachChunk(conditions, {
+    sort: 'asc',
+    size: CHUNK_SIZE,
+    fields: ['responses', 'parcel_id']
+  }, function (items, next) {
+    filterLatest(items).forEach(function (item) {
+      var key;
+      for (key in item.responses) {
+        if (item.responses.hasOwnProperty(key)) {
+          if (!seen[key]) {
+            seen[key] = true;
+            names.push(key);
+          }
+          addValues(key, item.responses[key]);
+        }
+      }
+    });
+    next();
+  }, function (error) {
+    if (error) { return done(error); }
+
+    var choices = {};
+    __.each(multiple, function (isMultiple, key) {
+      choices[key] = Object.keys(values[key]).sort();
+    });
+    done(null, names, choices);
+  });
+}
+
+/**
+ * Figure out the answer columns for a survey from its mobile forms, in form
+ * order. Questions from the current forms come first, then questions that
+ * only earlier versions asked, newest first. If the survey doesn't have a
+ * mobile form, we fall back to collecting the answer names from the
+ * responses themselves, which takes an extra pass through the data.
+ * @param  {Object}   conditions Query conditions, including the survey ID
+ * @param  {Object}   latest     From getLatestTimes, or null to include every
+ *                               response
+ * @param  {Boolean}  getChoices Whether to find the multi-select choices
+ * @param  {Function} done       Params error, list of question names, object
+ *                               mapping the names of multi-select questions
+ *                               to sorted lists of choices
+ */
+function getQuestionColumns(conditions, latest, getChoices, done) {
+  getMobileForms(conditions.survey, function (error, versions, forms) {
+    if (error) { return done(error); }
+
+    if (forms.length === 0 && versions.length === 0) {
+      return scanResponses(conditions, latest, getChoices, done);
+    }
+
+    var names = [];
+    var seen = {};
+    forms.concat(versions.reverse()).forEach(function (form) {
+      addNames(names, seen, form.questions);
+    });
+
+    if (!getChoices) {
+      return done(null, names, {});
+    }
+
+    scanResponses(conditions, latest, true, function (error, answered, choices) {
+      done(error, names, choices);
+    });
+  });
+}
+
+/**
+ * Get human-readable labels for a survey's questions and answers, from the
+ * text of its mobile forms. When versions of a form disagree, the newest
+ * wins. If several questions have the same text, we add the question name to
+ * tell them apart.
+ * @param  {String}   surveyId
+ * @param  {Function} done     Params error, labels. labels.questions maps
+ *                             question names to text; labels.answers maps
+ *                             question names to objects that map answer
+ *                             values to text.
+ */
+exporter.getLabels = function getLabels(surveyId, done) {
+  getMobileForms(surveyId, function (error, versions, forms) {
+    if (error) { return done(error); }
+
+    var labels = {
+      questions: {},
+      answers: {}
+    };
+
+    versions.concat(forms).forEach(function (form) {
+      Form.getDictionary(form.questions).forEach(function (entry) {
+        if (entry.text) {
+          labels.questions[entry.name] = entry.text;
+        }
+        var answers = labels.answers[entry.name] = labels.answers[entry.name] || {};
+        entry.answers.forEach(function (answer) {
+          if (answer.text) {
+            answers[answer.value] = answer.text;
+          }
+        });
+      });
+    });
+
+    var counts = {};
+    __.each(labels.questions, function (text) {
+      counts[text] = (counts[text] || 0) + 1;
+    });
+    __.each(labels.questions, function (text, name) {
+      if (counts[text] > 1) {
+        labels.questions[name] = text + ' (' + name + ')';
+      }
+    });
+
+    done(null, labels);
+  });
+};
+
+/**
+ * Label a question, falling back to its name.
+ * @param  {Object} labels From getLabels
+ * @param  {String} name   Question name
+ * @return {String}
+ */
+exporter.labelQuestion = function labelQuestion(labels, name) {
+  if (labels.questions.hasOwnProperty(name)) {
+    return labels.questions[name];
+  }
+  return name;
+};
+
+/**
+ * Label an answer, falling back to the raw value for answers that aren't on
+ * the form.
+ * @param  {Object} labels From getLabels
+ * @param  {String} name   Question name
+ * @param  {*}      value  Answer value, or a list of them
+ * @return {*}
+ */
+exporter.labelAnswer = function labelAnswer(labels, name, value) {
+  if (util.isArray(value)) {
+    return value.map(function (item) {
+      return exporter.labelAnswer(labels, name, item);
+    });
+  }
+
+  var answers = labels.answers[name];
+  if (answers !== undefined && value !== undefined && value !== null &&
+      answers.hasOwnProperty(String(value))) {
+    return answers[String(value)];
+  }
+  return value;
+};
+
+/**
+ * Label the questions and answers in a response's answers object.
+ * @param  {Object} labels    From getLabels
+ * @param  {Object} responses The responses object of a response
+ * @return {Object}           A new object
+ */
+exporter.labelResponses = function labelResponses(labels, responses) {
+  var labeled = {};
+  __.each(responses, function (value, name) {
+    labeled[exporter.labelQuestion(labels, name)] = exporter.labelAnswer(labels, name, value);
+  });
+  return labeled;
+};
+
+/**
+ * Find out which versions of a survey's latest mobile form asked each
+ * question.
+ * @param  {String}   surveyId
+ * @param  {Function} done     Params error, object mapping question names to
+ *                             lists of version numbers
+ */
+function getQuestionVersions(surveyId, done) {
+  Form.getLatestMobile(surveyId, function (error, form) {
+    if (error) { return done(error); }
+    if (form === null) { return done(null, {}); }
+
+    FormVersion.find({
+      survey: surveyId,
+      form: form.id
+    })
+    .sort({ version: 'asc' })
+    .lean()
+    .exec(function (error, versions) {
+      if (error) { return done(error); }
+
+      var questionVersions = {};
+      versions.forEach(function (version) {
+        Form.getQuestionNames(version.questions).forEach(function (name) {
+          if (questionVersions[name] === undefined) {
+            questionVersions[name] = [];
+          }
+          questionVersions[name].push(version.version);
+        });
+      });
+      done(null, questionVersions);
+    });
+  });
+}
+
+/**
+ * Find the creation date of the most recent response for each base object.
+ * @param  {Object}   conditions Query conditions, including the survey ID
+ * @param  {Function} done       Params error, object mapping parcel IDs to
+ *                               times in milliseconds
+ */
+function getLatestTimes(conditions, done) {
+  Response.aggregate([
+    { $match: conditions },
+    { $group: { _id: '$parcel_id', created: { $max: '$created' } } }
+  ], function (error, results) {
+    if (error) { return done(error); }
+
+    var latest = {};
+    results.forEach(function (result) {
+      latest[parcelKey(result._id)] = new Date(result.created).getTime();
+    });
+    done(null, latest);
+  });
+}
+
+/**
+ * Label an answer column with the form versions that asked its question, like
+ * "lot (v1, v2)".
+ * @param  {String} header
+ * @param  {String} question         Name of the question
+ * @param  {Object} questionVersions Maps question names to version numbers
+ * @return {String}                  The labeled header
+ */
+function labelHeader(header, question, questionVersions) {
+  var versions = questionVersions[question];
+  if (versions === undefined) {
+    return header;
+  }
+  return header + ' (v' + versions.join(', v') + ')';
+}
+
+/**
+ * Turn a response into a row of values.
+ * @param  {Object} item     A response
+ * @param  {Array}  columns  Answer columns
+ * @param  {Object} options  formVersions: include the form version; choices:
+ *                           object mapping multi-select questions to their
+ *                           choices, to get a true/false value per choice
+ *                           instead of a list of answers; labels: labels from
+ *                           getLabels, to use the text of answers instead of
+ *                           their values
+ * @return {Array}
+ */
+exporter.makeRow = function makeRow(item, columns, options) {
+  var geoInfo = item.geo_info || {};
+  var centroid = geoInfo.centroid || [];
+  var source = item.source || {};
+  var responses = item.responses || {};
+
+  // Add context entries (parcel ID, source type)
+  var row = [
+    item.parcel_id,
+    geoInfo.humanReadableName || '',
+    source.collector,
+    new Date(item.created).toISOString(), // Convert the date to ISO8601 format
+    source.type,
+    centroid[0] + ',' + centroid[1]
+  ];
+
+  if (options.formVersions) {
+    row.push(item.form ? item.form.version : undefined);
+  }
+
+  // Then, add the survey results
+  columns.forEach(function (column) {
+    var value = responses[column];
+    var choices = options.choices && options.choices[column];
+
+    if (choices === undefined) {
+      if (options.labels) {
+        value = exporter.labelAnswer(options.labels, column, value);
+      }
+      row.push(value);
+      return;
+    }
+
+    // Leave every choice blank if the question wasn't answered.
+    if (value !== undefined && value !== null) {
+      value = (util.isArray(value) ? value : [value]).map(String);
+    }
+    choices.forEach(function (choice) {
+      if (value === undefined || value === null) {
+        row.push(undefined);
+      } else {
+        row.push(value.indexOf(choice) !== -1);
+      }
+    });
+  });
+
+  return row;
+};
+
+// Write the headers and then every row, once we know the columns.
+function writeResponses(conditions, options, writer, info) {
+  var columns = info.columns;
+  var choices = info.choices;
+  var questionVersions = info.questionVersions;
+  var labels = info.labels;
+  var filterLatest = makeLatestFilter(info.latest);
+  var rowOptions = {
+    formVersions: options.formVersions,
+    choices: choices,
+    labels: labels
+  };
+
+  function label(name) {
+    return labels === null ? name : exporter.labelQuestion(labels, name);
+  }
+
+  var headers = exporter.baseHeaders.slice();
+  if (options.formVersions) {
+    headers.push('form_version');
+  }
+  columns.forEach(function (column) {
+    var names = [label(column)];
+    if (choices[column] !== undefined) {
+      names = choices[column].map(function (choice) {
+        if (labels !== null) {
+          choice = exporter.labelAnswer(labels, column, choice);
+        }
+        return label(column) + '.' + choice;
+      });
+    }
+
+    names.forEach(function (name) {
+      if (questionVersions !== null) {
+        name = labelHeader(name, column, questionVersions);
+      }
+      headers.push(name);
+    });
+  });
+
+  writer.start(headers);
+
+  // Sort in ascending order of creation, so CSV exports vary only at the
+  // bottom (i.e., they grow from the bottom as we get more responses).
+  Response.eachChunk(conditions, { sort: 'asc', size: CHUNK_SIZE }, function (items, next) {
+    items = filterLatest(items);
+
+    var rows = items.map(function (item) {
+      return exporter.makeRow(item, columns, rowOptions);
+    });
+
+    writer.write(rows, items, next);
+  }, function (error) {
+    if (error) {
+      writer.fail(error);
+      return;
+    }
+    writer.end();
+  });
+}
+
+/**
+ * Stream the responses that match a set of conditions to a writer.
+ * @param  {Object} conditions Query conditions, including the survey ID
+ * @param  {Object} options    latest: only include the most recent response
+ *                             for each base object; formVersions: label the
+ *                             answer columns with the versions of the form
+ *                             that asked each question, and add a column with
+ *                             the form version of each response; expandMulti:
+ *                             give multi-select questions one true/false
+ *                             column per choice, named like "use.restaurant";
+ *                             labels: use the form's text for the question
+ *                             headers and answers, where there is some
+ * @param  {Object} writer     Format writer
+ */
+exporter.run = function run(conditions, options, writer) {
+  function getLatest(next) {
+    if (!options.latest) {
+      return next(null, null);
+    }
+    getLatestTimes(conditions, next);
+  }
+
+  getLatest(function (error, latest) {
+    if (error) {
+      writer.fail(error);
+      return;
+    }
+
+    async.parallel([
+      function (next) {
+        getQuestionColumns(conditions, latest, options.expandMulti, function (error, columns, choices) {
+          next(error, { columns: columns, choices: choices });
+        });
+      },
+      function (next) {
+        if (!options.formVersions) {
+          return next(null, null);
+        }
+        getQuestionVersions(conditions.survey, next);
+      },
+      function (next) {
+        if (!options.labels) {
+          return next(null, null);
+        }
+        exporter.getLabels(conditions.survey, next);
+      }
+    ], function (error, results) {
+      if (error) {
+        writer.fail(error);
+        return;
+      }
+
+      writeResponses(conditions, options, writer, {
+        columns: results[0].columns,
+        choices: results[0].choices,
+        questionVersions: results[1],
+        latest: latest,
+        labels: results[2]
+      });
+    });
+  });
+};
+
+/**
+ * Write to an HTTP response, waiting for it to drain if its buffer is full.
+ * If the client goes away while we wait, the response never drains, so we
+ * stop the export instead.
+ * @param  {Object}   response HTTP response
+ * @param  {String}   data
+ * @param  {Function} next     Called with an error, if the connection closed,
+ *                             or when we can write more
+ */
+exporter.writeAndWait = function writeAndWait(response, data, next) {
+  if (response.write(data)) {
+    next();
+    return;
+  }
+
+  function done(error) {
+    response.removeListener('drain', onDrain);
+    response.removeListener('close', onClose);
+    response.removeListener('error', done);
+    next(error);
+  }
+
+  function onDrain() {
+    done();
+  }
+
+  function onClose() {
+    done(new Error('The client closed the connection'));
+  }
+
+  response.on('drain', onDrain);
+  response.on('close', onClose);
+  response.on('error', done);
+};
+
+/**
+ * Handle an error during an export. Before we've started writing, we can
+ * still send an error status. Afterward, we drop the connection instead of
+ * ending the response, so clients can tell the export is incomplete.
+ * @param  {Object}  response HTTP response
+ * @param  {Object}  error
+ * @param  {Boolean} started  Whether we've sent the headers
+ */
+exporter.fail = function fail(response, error, started) {
+  if (!started) {
+    util.handleError(error, response);
+    return;
+  }
+  console.log('Error: export failed partway through: ' + error.message);
+  if (response.connection) {
+    response.connection.destroy();
+  }
+};
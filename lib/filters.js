@@ -0,0 +1,418 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Response filters
+ * ==================================================
+ *
+ * Turns query parameters into MongoDB conditions for selecting responses.
+ * The same filters work for listing responses and for the exports.
+ *
+ * Supported parameters:
+ *   objectId=<id>                 responses about one base object
+ *   collector=<name>              responses from one collector
+ *   zone=<zone ID>                responses in a survey zone. Separate several
+ *                                 zones with commas to match any of them.
+ *   bbox=<w>,<s>,<e>,<n>          responses with centroids in a bounding box
+ *   polygon=<polygon>             responses with centroids in a polygon, given
+ *                                 as a GeoJSON Polygon or MultiPolygon, or as
+ *                                 an encoded polyline of the outer ring
+ *   lon=<lon>&lat=<lat>&radius=<meters>
+ *                                 responses with centroids within a distance
+ *                                 of a point
+ *   responses[<question>]=<value> responses with that answer. Separate
+ *                                 several values with commas, or repeat the
+ *                                 parameter, to match any of them.
+ *   after=<date>                  responses created at or after a date
+ *   until=<date>                  responses created before a date
+ *   source=<type>                 responses from one source type, like
+ *                                 "mobile" or "paper"
+ *   hasFiles=<true|false>         responses with or without attached files
+ *
+ * Dates can be anything Date.parse understands, like ISO 8601 strings. Only
+ * one of the spatial filters (bbox, polygon, or radius) can apply at a time.
+ * Distances use the 2dsphere index on the centroids, so they're correct on
+ * the globe.
+ */
+
+var util = require('./util');
+
+var filters = module.exports;
+
+function queryError(message) {
+  return {
+    name: 'QueryError',
+    message: message
+  };
+}
+
+// Split a parameter that can be repeated or comma-separated into a list of
+// values.
+function splitValues(param) {
+  var values = [];
+  if (!util.isArray(param)) {
+    param = [param];
+  }
+  param.forEach(function (item) {
+    String(item).split(',').forEach(function (value) {
+      values.push(value);
+    });
+  });
+  return values;
+}
+
+// Query parameters that match a single value. Express turns parameters like
+// collector[$ne]=x into objects, which would become MongoDB operators, so we
+// only take strings.
+var SINGLE_VALUES = ['objectId', 'collector', 'source'];
+
+// Check that a parameter is a string, or a list of strings if it can be
+// repeated.
+function isValue(param, repeated) {
+  if (repeated && util.isArray(param)) {
+    return param.every(function (item) {
+      return typeof item === 'string';
+    });
+  }
+  return typeof param === 'string';
+}
+
+// Earth's radius in meters, for converting distances to radians
+var EARTH_RADIUS = 6378100;
+
+// Polyline encoding keeps 5 decimal places.
+var POLYLINE_PRECISION = 1e5;
+
+function parseDate(value) {
+  var time = Date.parse(value);
+  if (isNaN(time)) {
+    return null;
+  }
+  return new Date(time);
+}
+
+/**
+ * Parse a bbox parameter.
+ * @param  {String} bbox "w,s,e,n"
+ * @return {Array}       [[w, s], [e, n]], or null if the parameter is invalid
+ */
+filters.parseBbox = function parseBbox(bbox) {
+  var coords = String(bbox).split(',');
+  if (coords.length !== 4) {
+    return null;
+  }
+
+  var i;
+  for (i = 0; i < coords.length; i += 1) {
+    coords[i] = parseFloat(coords[i]);
+    if (isNaN(coords[i])) {
+      return null;
+    }
+  }
+
+  return [[coords[0], coords[1]], [coords[2], coords[3]]];
+};
+
+/**
+ * Decode a polyline in the encoding Google Maps uses, with 5 decimal places
+ * and latitude first.
+ * @param  {String} encoded
+ * @return {Array}          List of [lon, lat] positions, or null if the
+ *                          string isn't a valid polyline
+ */
+filters.decodePolyline = function decodePolyline(encoded) {
+  var positions = [];
+  var index = 0;
+  var lat = 0;
+  var lon = 0;
+
+  function next() {
+    var result = 0;
+    var shift = 0;
+    var b;
+    do {
+      if (index >= encoded.length) {
+        return null;
+      }
+      b = encoded.charCodeAt(index) - 63;
+      index += 1;
+      if (b < 0 || b > 63) {
+        return null;
+      }
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  }
+
+  while (index < encoded.length) {
+    var dlat = next();
+    var dlon = next();
+    if (dlat === null || dlon === null) {
+      return null;
+    }
+    lat += dlat;
+    lon += dlon;
+    positions.push([lon / POLYLINE_PRECISION, lat / POLYLINE_PRECISION]);
+  }
+  return positions;
+};
+
+function isPosition(position) {
+  return util.isArray(position) && position.length >= 2 &&
+    typeof position[0] === 'number' && isFinite(position[0]) &&
+    typeof position[1] === 'number' && isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+function isRing(ring) {
+  if (!util.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+    return false;
+  }
+  var first = ring[0];
+  var last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+function isPolygon(rings) {
+  return util.isArray(rings) && rings.length > 0 && rings.every(isRing);
+}
+
+/**
+ * Parse a polygon parameter.
+ * @param  {Object|String} polygon GeoJSON Polygon or MultiPolygon geometry,
+ *                                 as an object or a JSON string, or an
+ *                                 encoded polyline of the outer ring
+ * @return {Object}                GeoJSON geometry, or null if the parameter
+ *                                 is invalid
+ */
+filters.parsePolygon = function parsePolygon(polygon) {
+  if (typeof polygon === 'string') {
+    if (polygon.charAt(0) === '{') {
+      try {
+        polygon = JSON.parse(polygon);
+      } catch (e) {
+        return null;
+      }
+    } else {
+      var ring = filters.decodePolyline(polygon);
+      if (ring === null || ring.length < 3) {
+        return null;
+      }
+      // Polylines don't have to repeat the first point.
+      var first = ring[0];
+      var last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        ring.push(first);
+      }
+      polygon = {
+        type: 'Polygon',
+        coordinates: [ring]
+      };
+    }
+  }
+
+  if (polygon === null || typeof polygon !== 'object') {
+    return null;
+  }
+
+  if (polygon.type === 'Polygon' && isPolygon(polygon.coordinates)) {
+    return { type: 'Polygon', coordinates: polygon.coordinates };
+  }
+
+  if (polygon.type === 'MultiPolygon' && util.isArray(polygon.coordinates) &&
+      polygon.coordinates.length > 0 && polygon.coordinates.every(isPolygon)) {
+    return { type: 'MultiPolygon', coordinates: polygon.coordinates };
+  }
+
+  return null;
+};
+
+/**
+ * Make a condition for centroids inside a bounding box. Small boxes become
+ * GeoJSON polygons, so they can use the 2dsphere index. GeoJSON polygons have
+ * to fit in a hemisphere, though, so we check big boxes without the index.
+ * @param  {Array} bbox [[w, s], [e, n]]
+ * @return {Object}     Condition for the centroid field
+ */
+filters.withinBox = function withinBox(bbox) {
+  var w = Math.max(-180, bbox[0][0]);
+  var s = Math.max(-90, bbox[0][1]);
+  var e = Math.min(180, bbox[1][0]);
+  var n = Math.min(90, bbox[1][1]);
+
+  if (e - w >= 180 || n - s >= 90) {
+    return { '$geoWithin': { '$box': [[w, s], [e, n]] } };
+  }
+
+  return {
+    '$geoWithin': {
+      '$geometry': {
+        type: 'Polygon',
+        coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]]
+      }
+    }
+  };
+};
+
+/**
+ * Check if a query has any of the spatial filters.
+ * @param  {Object} query Query parameters
+ * @return {Boolean}
+ */
+filters.hasSpatialFilter = function hasSpatialFilter(query) {
+  return query.bbox !== undefined || query.polygon !== undefined ||
+    query.radius !== undefined;
+};
+
+// Add the condition for a spatial filter.
+function applySpatial(query, conditions) {
+  var count = 0;
+  if (query.bbox !== undefined) { count += 1; }
+  if (query.polygon !== undefined) { count += 1; }
+  if (query.radius !== undefined) { count += 1; }
+  if (count > 1) {
+    return queryError('Use only one of the bbox, polygon, and radius filters');
+  }
+
+  if (query.bbox !== undefined) {
+    var bbox = filters.parseBbox(query.bbox);
+    if (bbox === null) {
+      // There need to be four points.
+      return queryError('You must specify 4 points for a bbox parameter');
+    }
+    conditions['geo_info.centroid'] = filters.withinBox(bbox);
+  }
+
+  if (query.polygon !== undefined) {
+    var polygon = filters.parsePolygon(query.polygon);
+    if (polygon === null) {
+      return queryError('The polygon must be a GeoJSON Polygon or MultiPolygon, or an encoded polyline');
+    }
+    conditions['geo_info.centroid'] = { '$geoWithin': { '$geometry': polygon } };
+  }
+
+  if (query.radius !== undefined) {
+    var center = [parseFloat(query.lon), parseFloat(query.lat)];
+    var radius = parseFloat(query.radius);
+    if (!isPosition(center)) {
+      return queryError('You must specify a lon and lat with a radius');
+    }
+    if (isNaN(radius) || radius <= 0) {
+      return queryError('The radius must be a positive number of meters');
+    }
+    conditions['geo_info.centroid'] = {
+      '$geoWithin': { '$centerSphere': [center, radius / EARTH_RADIUS] }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Add conditions for the filters in a query to a set of MongoDB conditions.
+ * @param  {Object} query      Query parameters, like req.query
+ * @param  {Object} conditions Conditions object to modify
+ * @return {Object}            An error object if the query is invalid, or
+ *                             null
+ */
+filters.apply = function apply(query, conditions) {
+  var spatialError = applySpatial(query, conditions);
+  if (spatialError) {
+    return spatialError;
+  }
+
+  var i;
+  for (i = 0; i < SINGLE_VALUES.length; i++) {
+    if (query[SINGLE_VALUES[i]] !== undefined &&
+        !isValue(query[SINGLE_VALUES[i]], false)) {
+      return queryError('The ' + SINGLE_VALUES[i] + ' parameter must be a single value');
+    }
+  }
+
+  if (query.zone !== undefined && !isValue(query.zone, true)) {
+    return queryError('Filter zones with zone=<zone ID>');
+  }
+
+  if (query.objectId !== undefined) {
+    conditions.object_id = query.objectId;
+  }
+
+  if (query.collector !== undefined) {
+    conditions['source.collector'] = query.collector;
+  }
+
+  if (query.zone !== undefined) {
+    var zones = splitValues(query.zone);
+    if (zones.length === 1) {
+      conditions.zones = zones[0];
+    } else {
+      conditions.zones = { $in: zones };
+    }
+  }
+
+  if (query.source !== undefined) {
+    conditions['source.type'] = query.source;
+  }
+
+  // Answers
+  if (query.responses !== undefined) {
+    if (typeof query.responses !== 'object' || util.isArray(query.responses)) {
+      return queryError('Filter answers with responses[<question>]=<value>');
+    }
+
+    var key;
+    for (key in query.responses) {
+      if (query.responses.hasOwnProperty(key)) {
+        if (key.length === 0 || key[0] === '$' || key.indexOf('.') !== -1) {
+          return queryError('Invalid question name: ' + key);
+        }
+
+        var values = splitValues(query.responses[key]);
+        if (values.length === 1) {
+          conditions['responses.' + key] = values[0];
+        } else {
+          conditions['responses.' + key] = { $in: values };
+        }
+      }
+    }
+  }
+
+  // Creation date range
+  if (query.after !== undefined || query.until !== undefined) {
+    var range = {};
+    var date;
+
+    if (query.after !== undefined) {
+      date = parseDate(query.after);
+      if (date === null) {
+        return queryError('Invalid date for the after parameter');
+      }
+      range.$gte = date;
+    }
+
+    if (query.until !== undefined) {
+      date = parseDate(query.until);
+      if (date === null) {
+        return queryError('Invalid date for the until parameter');
+      }
+      range.$lt = date;
+    }
+
+    conditions.created = range;
+  }
+
+  // Attached files
+  if (query.hasFiles !== undefined) {
+    if (query.hasFiles === 'true') {
+      conditions['files.0'] = { $exists: true };
+    } else if (query.hasFiles === 'false') {
+      conditions['files.0'] = { $exists: false };
+    } else {
+      return queryError('The hasFiles parameter must be true or false');
+    }
+  }
+
+  return null;
+};
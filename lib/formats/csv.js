@@ -0,0 +1,132 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * CSV export
+ * ==================================================
+ *
+ * Writes export rows as RFC 4180 CSV: CRLF line endings, and fields quoted
+ * when they contain the delimiter, a double quote, or a line break, with
+ * embedded double quotes doubled.
+ */
+
+var exporter = require('../exporter');
+var util = require('../util');
+
+var csv = module.exports;
+
+// Several answers to one question end up in one field, separated by this.
+csv.multiSeparator = ';';
+
+// Names clients can use instead of the delimiter character itself.
+var delimiterNames = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|'
+};
+
+/**
+ * Figure out the delimiter from a query parameter.
+ * @param  {String} param A name from delimiterNames or a single character
+ * @return {String}       The delimiter, or null if the parameter is invalid
+ */
+csv.parseDelimiter = function parseDelimiter(param) {
+  if (param === undefined) {
+    return ',';
+  }
+  if (delimiterNames.hasOwnProperty(param)) {
+    return delimiterNames[param];
+  }
+  // Quotes and line breaks can't be delimiters.
+  if (param.length === 1 && '"\r\n'.indexOf(param) === -1) {
+    return param;
+  }
+  return null;
+};
+
+/**
+ * Escape a value for use as a CSV field.
+ * @param  {*}      value
+ * @param  {String} delimiter Defaults to a comma
+ * @return {String}
+ */
+csv.escapeField = function escapeField(value, delimiter) {
+  delimiter = delimiter || ',';
+
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  if (util.isArray(value)) {
+    value = value.join(csv.multiSeparator);
+  }
+
+  value = String(value);
+  if (value.indexOf(delimiter) !== -1 ||
+      value.indexOf('"') !== -1 ||
+      value.indexOf('\n') !== -1 ||
+      value.indexOf('\r') !== -1) {
+    value = '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+};
+
+/*
+ * Turn a list of parcel attributes into a delimited string, without a line
+ * ending. Arrays of answers are joined with semicolons.
+ * headers and maxEltsInCell are no longer needed, but we accept them so
+ * existing callers keep working.
+ */
+csv.listToCSVString = function listToCSVString(row, headers, maxEltsInCell, options) {
+  var delimiter = (options && options.delimiter) || ',';
+  return row.map(function (value) {
+    return csv.escapeField(value, delimiter);
+  }).join(delimiter);
+};
+
+/**
+ * Make an export writer that streams CSV to an HTTP response.
+ * @param  {Object} response HTTP response
+ * @param  {Object} options  delimiter: field separator (defaults to a
+ *                           comma); bom: start with a UTF-8 byte order mark,
+ *                           which helps Excel detect the encoding
+ * @return {Object}          Export writer
+ */
+csv.makeWriter = function makeWriter(response, options) {
+  var started = false;
+
+  function line(row) {
+    return csv.listToCSVString(row, null, null, options) + '\r\n';
+  }
+
+  return {
+    start: function start(headers) {
+      started = true;
+
+      response.writeHead(200, {
+        'Content-Type': 'text/csv',
+        'Content-disposition': 'attachment; filename=Survey Export.csv'
+      });
+
+      if (options.bom) {
+        response.write('\ufeff');
+      }
+
+      response.write(line(headers));
+    },
+
+    write: function write(rows, items, next) {
+      exporter.writeAndWait(response, rows.map(line).join(''), next);
+    },
+
+    end: function end() {
+      response.end();
+    },
+
+    fail: function fail(error) {
+      exporter.fail(response, error, started);
+    }
+  };
+};
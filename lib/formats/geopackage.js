@@ -0,0 +1,378 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * GeoPackage export
+ * ==================================================
+ *
+ * Writes the export rows to a feature table in a GeoPackage, which is an
+ * SQLite database with some standard metadata tables. Unlike shapefiles,
+ * GeoPackages keep long column names, UTF-8 text, and a mix of geometry types
+ * in one table: responses get their parcel shape if they have one, or a point
+ * at the centroid otherwise.
+ *
+ * See http://www.geopackage.org/spec/
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var sqlite3 = require('sqlite3');
+var csv = require('./csv');
+var util = require('../util');
+
+var geopackage = module.exports;
+
+// Name of the feature table
+var TABLE = 'responses';
+
+// "GPKG", for the SQLite header
+var APPLICATION_ID = 0x47504B47;
+// Version 1.2
+var USER_VERSION = 10200;
+
+var WGS84 = 4326;
+var WGS84_DEFINITION = 'GEOGCS["WGS 84",DATUM["WGS_1984",' +
+  'SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],' +
+  'AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],' +
+  'UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],' +
+  'AUTHORITY["EPSG","4326"]]';
+
+// WKB geometry types
+var WKB_POINT = 1;
+var WKB_POLYGON = 3;
+var WKB_MULTIPOLYGON = 6;
+
+// Tables every GeoPackage needs
+var SCHEMA = [
+  'CREATE TABLE gpkg_spatial_ref_sys (' +
+    'srs_name TEXT NOT NULL, ' +
+    'srs_id INTEGER NOT NULL PRIMARY KEY, ' +
+    'organization TEXT NOT NULL, ' +
+    'organization_coordsys_id INTEGER NOT NULL, ' +
+    'definition TEXT NOT NULL, ' +
+    'description TEXT)',
+  'CREATE TABLE gpkg_contents (' +
+    'table_name TEXT NOT NULL PRIMARY KEY, ' +
+    'data_type TEXT NOT NULL, ' +
+    'identifier TEXT UNIQUE, ' +
+    'description TEXT DEFAULT \'\', ' +
+    'last_change DATETIME NOT NULL DEFAULT (strftime(\'%Y-%m-%dT%H:%M:%fZ\',\'now\')), ' +
+    'min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, ' +
+    'srs_id INTEGER, ' +
+    'CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))',
+  'CREATE TABLE gpkg_geometry_columns (' +
+    'table_name TEXT NOT NULL, ' +
+    'column_name TEXT NOT NULL, ' +
+    'geometry_type_name TEXT NOT NULL, ' +
+    'srs_id INTEGER NOT NULL, ' +
+    'z TINYINT NOT NULL, ' +
+    'm TINYINT NOT NULL, ' +
+    'CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name), ' +
+    'CONSTRAINT uk_gc_table_name UNIQUE (table_name), ' +
+    'CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name), ' +
+    'CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))'
+];
+
+var SPATIAL_REF_SYS = [
+  ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system'],
+  ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system'],
+  ['WGS 84 geodetic', WGS84, 'EPSG', WGS84, WGS84_DEFINITION, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']
+];
+
+// Quote an SQLite identifier.
+function quote(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Make column names for the feature table. SQLite column names are case
+ * insensitive, and we need fid and geom for the ID and geometry.
+ * @param  {Array} headers Export column names
+ * @return {Array}         Column names
+ */
+geopackage.columnNames = function columnNames(headers) {
+  var used = {
+    fid: true,
+    geom: true
+  };
+
+  return headers.map(function (header) {
+    var name = String(header);
+    var i = 1;
+    while (used[name.toLowerCase()]) {
+      name = header + '_' + i;
+      i += 1;
+    }
+    used[name.toLowerCase()] = true;
+    return name;
+  });
+};
+
+function ringLength(ring) {
+  return 4 + 16 * ring.length;
+}
+
+function polygonLength(rings) {
+  var length = 9;
+  rings.forEach(function (ring) {
+    length += ringLength(ring);
+  });
+  return length;
+}
+
+function writePolygon(buffer, offset, rings) {
+  buffer.writeUInt8(1, offset);
+  buffer.writeUInt32LE(WKB_POLYGON, offset + 1);
+  buffer.writeUInt32LE(rings.length, offset + 5);
+  offset += 9;
+
+  rings.forEach(function (ring) {
+    buffer.writeUInt32LE(ring.length, offset);
+    offset += 4;
+    ring.forEach(function (point) {
+      buffer.writeDoubleLE(point[0], offset);
+      buffer.writeDoubleLE(point[1], offset + 8);
+      offset += 16;
+    });
+  });
+
+  return offset;
+}
+
+/**
+ * Encode a GeoJSON Point, Polygon, or MultiPolygon as little-endian WKB.
+ * @param  {Object} geometry
+ * @return {Buffer}
+ */
+geopackage.toWKB = function toWKB(geometry) {
+  var buffer;
+
+  if (geometry.type === 'Point') {
+    buffer = new Buffer(21);
+    buffer.writeUInt8(1, 0);
+    buffer.writeUInt32LE(WKB_POINT, 1);
+    buffer.writeDoubleLE(geometry.coordinates[0], 5);
+    buffer.writeDoubleLE(geometry.coordinates[1], 13);
+    return buffer;
+  }
+
+  if (geometry.type === 'Polygon') {
+    buffer = new Buffer(polygonLength(geometry.coordinates));
+    writePolygon(buffer, 0, geometry.coordinates);
+    return buffer;
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    var length = 9;
+    geometry.coordinates.forEach(function (rings) {
+      length += polygonLength(rings);
+    });
+
+    buffer = new Buffer(length);
+    buffer.writeUInt8(1, 0);
+    buffer.writeUInt32LE(WKB_MULTIPOLYGON, 1);
+    buffer.writeUInt32LE(geometry.coordinates.length, 5);
+
+    var offset = 9;
+    geometry.coordinates.forEach(function (rings) {
+      offset = writePolygon(buffer, offset, rings);
+    });
+    return buffer;
+  }
+
+  throw new Error('Unsupported geometry type: ' + geometry.type);
+};
+
+/**
+ * Figure out the geometry of a response.
+ * @param  {Object} geoInfo The response's geo_info
+ * @return {Object}         GeoJSON geometry, or null
+ */
+geopackage.getGeometry = function getGeometry(geoInfo) {
+  geoInfo = geoInfo || {};
+  var geometry = geoInfo.geometry;
+
+  if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+    return geometry;
+  }
+
+  if (geoInfo.centroid && geoInfo.centroid.length === 2) {
+    return { type: 'Point', coordinates: geoInfo.centroid };
+  }
+
+  return null;
+};
+
+function getEnvelope(geometry) {
+  var points;
+  if (geometry.type === 'Point') {
+    points = [geometry.coordinates];
+  } else if (geometry.type === 'Polygon') {
+    points = [].concat.apply([], geometry.coordinates);
+  } else {
+    points = [].concat.apply([], [].concat.apply([], geometry.coordinates));
+  }
+
+  var envelope = [Infinity, -Infinity, Infinity, -Infinity];
+  points.forEach(function (point) {
+    envelope[0] = Math.min(envelope[0], point[0]);
+    envelope[1] = Math.max(envelope[1], point[0]);
+    envelope[2] = Math.min(envelope[2], point[1]);
+    envelope[3] = Math.max(envelope[3], point[1]);
+  });
+  return envelope;
+}
+
+/**
+ * Encode a geometry as a GeoPackage geometry blob: a header with the SRS ID
+ * and envelope, followed by the WKB.
+ * @param  {Object} geometry GeoJSON geometry
+ * @return {Object}          blob: Buffer; envelope: [minx, maxx, miny, maxy]
+ */
+geopackage.encodeGeometry = function encodeGeometry(geometry) {
+  var envelope = getEnvelope(geometry);
+  var header = new Buffer(40);
+
+  header.write('GP', 0, 2, 'ascii');
+  header.writeUInt8(0, 2); // Version 1
+  // Little-endian, with an [minx, maxx, miny, maxy] envelope
+  header.writeUInt8(0x03, 3);
+  header.writeInt32LE(WGS84, 4);
+  envelope.forEach(function (value, i) {
+    header.writeDoubleLE(value, 8 + 8 * i);
+  });
+
+  return {
+    blob: Buffer.concat([header, geopackage.toWKB(geometry)]),
+    envelope: envelope
+  };
+};
+
+function toText(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (util.isArray(value)) {
+    return value.join(csv.multiSeparator);
+  }
+  return String(value);
+}
+
+/**
+ * Make an export writer that builds a GeoPackage in a temporary file.
+ * @param  {Object}   options name: identifier for the feature table
+ * @param  {Function} done    Params error, path to the file. The caller should
+ *                            delete the file when it's done with it.
+ * @return {Object}           Export writer
+ */
+geopackage.makeWriter = function makeWriter(options, done) {
+  var file = path.join(os.tmpDir(), 'export-' + util.uuidv1() + '.gpkg');
+  var db;
+  var insert;
+  var failure = null;
+  var extent = [Infinity, -Infinity, Infinity, -Infinity];
+
+  // Remember the first error. We report it once we've closed the database.
+  function check(error) {
+    if (error && failure === null) {
+      failure = error;
+    }
+  }
+
+  function finish(error) {
+    db.close(function (closeError) {
+      error = error || closeError;
+      if (error) {
+        fs.unlink(file, function () {
+          done(error);
+        });
+        return;
+      }
+      done(null, file);
+    });
+  }
+
+  return {
+    start: function start(headers) {
+      db = new sqlite3.Database(file);
+      var names = geopackage.columnNames(headers);
+
+      // Statements run in order, so we don't need to wait for each one.
+      db.serialize();
+
+      db.run('PRAGMA application_id = ' + APPLICATION_ID, check);
+      db.run('PRAGMA user_version = ' + USER_VERSION, check);
+      SCHEMA.forEach(function (statement) {
+        db.run(statement, check);
+      });
+      SPATIAL_REF_SYS.forEach(function (values) {
+        db.run('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)', values, check);
+      });
+
+      var columns = names.map(function (name) {
+        return quote(name) + ' TEXT';
+      });
+      db.run('CREATE TABLE ' + TABLE + ' (' +
+             'fid INTEGER PRIMARY KEY AUTOINCREMENT, ' +
+             'geom GEOMETRY, ' +
+             columns.join(', ') + ')', check);
+      db.run('INSERT INTO gpkg_contents (table_name, data_type, identifier, srs_id) VALUES (?, ?, ?, ?)',
+             [TABLE, 'features', options.name, WGS84], check);
+      db.run('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, ?, ?)',
+             [TABLE, 'geom', 'GEOMETRY', WGS84, 0, 0], check);
+
+      var placeholders = names.map(function () { return '?'; });
+      insert = db.prepare('INSERT INTO ' + TABLE + ' (geom, ' +
+                          names.map(quote).join(', ') + ') VALUES (?, ' +
+                          placeholders.join(', ') + ')', check);
+    },
+
+    write: function write(rows, items, next) {
+      db.run('BEGIN', check);
+      rows.forEach(function (row, i) {
+        var geometry = geopackage.getGeometry(items[i].geo_info);
+        var blob = null;
+
+        if (geometry !== null) {
+          var encoded = geopackage.encodeGeometry(geometry);
+          blob = encoded.blob;
+          extent[0] = Math.min(extent[0], encoded.envelope[0]);
+          extent[1] = Math.max(extent[1], encoded.envelope[1]);
+          extent[2] = Math.min(extent[2], encoded.envelope[2]);
+          extent[3] = Math.max(extent[3], encoded.envelope[3]);
+        }
+
+        insert.run([blob].concat(row.map(toText)), check);
+      });
+      db.run('COMMIT', function (error) {
+        check(error);
+        if (failure) { return next(failure); }
+        next();
+      });
+    },
+
+    end: function end() {
+      if (extent[0] !== Infinity) {
+        db.run('UPDATE gpkg_contents SET min_x = ?, max_x = ?, min_y = ?, max_y = ?',
+               extent, check);
+      }
+      insert.finalize(function (error) {
+        check(error);
+        finish(failure);
+      });
+    },
+
+    fail: function fail(error) {
+      if (db === undefined) {
+        done(error);
+        return;
+      }
+      if (insert !== undefined) {
+        insert.finalize();
+      }
+      finish(error);
+    }
+  };
+};
@@ -0,0 +1,220 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * KML export
+ * ==================================================
+ *
+ * Writes one placemark per response. Responses with a parcel shape get its
+ * Polygon or MultiPolygon; the rest get a Point at the centroid. Every export
+ * column goes in the placemark's ExtendedData.
+ */
+
+var exporter = require('../exporter');
+var util = require('../util');
+
+var kml = module.exports;
+
+// Colors for styled exports, in KML's aabbggrr order. We reuse them if there
+// are more answers than colors.
+kml.palette = [
+  'ffb4771f', // blue
+  'ff0e7fff', // orange
+  'ff2ca02c', // green
+  'ff2827d6', // red
+  'ffbd6794', // purple
+  'ff4b568c', // brown
+  'ffc277e3', // pink
+  'ff22bdbc', // olive
+  'ffcfbe17'  // cyan
+];
+
+// Color for placemarks without an answer to the styled question.
+var NO_ANSWER_COLOR = 'ff999999';
+
+/**
+ * Escape a value for use in XML text or attributes.
+ * @param  {*}      value
+ * @return {String}
+ */
+kml.escape = function escape(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (util.isArray(value)) {
+    value = value.join(';');
+  }
+  return util.escapeXML(value);
+};
+
+function coordinatesToKML(coordinates) {
+  return coordinates.map(function (point) {
+    return point[0] + ',' + point[1];
+  }).join(' ');
+}
+
+// GeoJSON polygon coordinates are a list of rings: the outer boundary, then
+// any holes.
+function polygonToKML(rings) {
+  var elt = '<Polygon>';
+  elt += '<outerBoundaryIs><LinearRing><coordinates>';
+  elt += coordinatesToKML(rings[0]);
+  elt += '</coordinates></LinearRing></outerBoundaryIs>';
+  rings.slice(1).forEach(function (ring) {
+    elt += '<innerBoundaryIs><LinearRing><coordinates>';
+    elt += coordinatesToKML(ring);
+    elt += '</coordinates></LinearRing></innerBoundaryIs>';
+  });
+  elt += '</Polygon>';
+  return elt;
+}
+
+/**
+ * Turn a response's location into a KML geometry.
+ * @param  {Object} geoInfo The response's geo_info
+ * @return {String}         A Polygon, MultiGeometry, or Point element, or an
+ *                          empty string if the response has no location
+ */
+kml.geometryToKML = function geometryToKML(geoInfo) {
+  geoInfo = geoInfo || {};
+  var geometry = geoInfo.geometry;
+
+  if (geometry && geometry.type === 'Polygon') {
+    return polygonToKML(geometry.coordinates);
+  }
+
+  if (geometry && geometry.type === 'MultiPolygon') {
+    return '<MultiGeometry>' + geometry.coordinates.map(polygonToKML).join('') + '</MultiGeometry>';
+  }
+
+  if (geoInfo.centroid && geoInfo.centroid.length === 2) {
+    return '<Point><coordinates>' + geoInfo.centroid[0] + ',' + geoInfo.centroid[1] + '</coordinates></Point>';
+  }
+
+  return '';
+};
+
+/**
+ * Make the style elements for coloring placemarks by answer.
+ * @param  {Array}  answers The possible answers to the styled question
+ * @return {String}
+ */
+kml.makeStyles = function makeStyles(answers) {
+  function style(id, color) {
+    return '<Style id="' + id + '">' +
+      '<IconStyle><color>' + color + '</color></IconStyle>' +
+      '<LineStyle><color>' + color + '</color><width>1</width></LineStyle>' +
+      // Make polygons partly transparent
+      '<PolyStyle><color>' + color.replace(/^ff/, '99') + '</color></PolyStyle>' +
+      '</Style>\n';
+  }
+
+  var styles = answers.map(function (answer, i) {
+    return style('answer-' + i, kml.palette[i % kml.palette.length]);
+  });
+  styles.push(style('no-answer', NO_ANSWER_COLOR));
+  return styles.join('');
+};
+
+/**
+ * Figure out the style for a response.
+ * @param  {Object} item    A response
+ * @param  {Object} options colorBy: question name; answers: the possible
+ *                          answers to it
+ * @return {String}         Style ID
+ */
+kml.getStyleId = function getStyleId(item, options) {
+  var value = (item.responses || {})[options.colorBy];
+  // Style responses with several answers by the first one.
+  if (util.isArray(value)) {
+    value = value[0];
+  }
+
+  var index = -1;
+  if (value !== undefined && value !== null) {
+    index = options.answers.indexOf(String(value));
+  }
+  if (index === -1) {
+    return 'no-answer';
+  }
+  return 'answer-' + index;
+};
+
+/*
+ * Turn a row of export values into a placemark.
+ * item is the response the row came from, for the location and style.
+ * options are the same as for makeWriter.
+ */
+kml.listToKMLString = function listToKMLString(row, headers, item, options) {
+  var i;
+  var geoInfo = item.geo_info || {};
+  var elt = '\n<Placemark>';
+  elt += '<name>' + kml.escape(geoInfo.humanReadableName || item.parcel_id) + '</name>';
+
+  if (options && options.colorBy !== undefined) {
+    elt += '<styleUrl>#' + kml.getStyleId(item, options) + '</styleUrl>';
+  }
+
+  elt += '<ExtendedData>';
+  for (i = 0; i < row.length; i += 1) {
+    elt += '<Data name="' + kml.escape(headers[i]) + '">';
+    elt += '<displayName>' + kml.escape(headers[i]) + '</displayName>';
+    elt += '<value>' + kml.escape(row[i]) + '</value>';
+    elt += '</Data>';
+  }
+  elt += '</ExtendedData>';
+
+  elt += kml.geometryToKML(geoInfo);
+  elt += '</Placemark>\n';
+
+  return elt;
+};
+
+/**
+ * Make an export writer that streams KML to an HTTP response.
+ * @param  {Object} response HTTP response
+ * @param  {Object} options  colorBy: name of a question to color placemarks
+ *                           by; answers: the possible answers to it
+ * @return {Object}          Export writer
+ */
+kml.makeWriter = function makeWriter(response, options) {
+  var headers;
+  var started = false;
+
+  return {
+    start: function start(list) {
+      headers = list;
+      started = true;
+
+      response.writeHead(200, {
+        'Content-Type': 'application/vnd.google-earth.kml+xml',
+        'Content-disposition': 'attachment; filename=Survey Export.kml'
+      });
+
+      response.write('<?xml version="1.0" encoding="UTF-8"?>\n');
+      response.write('<kml xmlns="http://www.opengis.net/kml/2.2">\n');
+      response.write('<Document><name>KML Export</name><open>1</open>\n');
+      if (options.colorBy !== undefined) {
+        response.write(kml.makeStyles(options.answers));
+      }
+      response.write('<Folder>\n<name>Placemarks</name>\n');
+    },
+
+    write: function write(rows, items, next) {
+      var placemarks = rows.map(function (row, i) {
+        return kml.listToKMLString(row, headers, items[i], options);
+      });
+      exporter.writeAndWait(response, placemarks.join(''), next);
+    },
+
+    end: function end() {
+      response.write('\n</Folder></Document></kml>');
+      response.end();
+    },
+
+    fail: function fail(error) {
+      exporter.fail(response, error, started);
+    }
+  };
+};
@@ -0,0 +1,384 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Mapbox Vector Tiles
+ * ==================================================
+ *
+ * Encodes features as Mapbox Vector Tiles (version 2 of the spec), which are
+ * protocol buffers. Tiles are small and only need a handful of message types,
+ * so we write the protocol buffer wire format directly.
+ *
+ * Features come in as GeoJSON geometries in longitude/latitude, and we
+ * project them into the tile's coordinate space with spherical mercator.
+ */
+
+var mvt = module.exports;
+
+// Tile coordinates run from 0 to the extent in each direction.
+mvt.EXTENT = 4096;
+
+// Mercator doesn't reach the poles.
+var MAX_LATITUDE = 85.0511287798;
+
+// Protocol buffer wire types
+var VARINT = 0;
+var FIXED64 = 1;
+var BYTES = 2;
+
+// Geometry types
+var POINT = 1;
+var POLYGON = 3;
+
+// Geometry commands
+var MOVE_TO = 1;
+var LINE_TO = 2;
+var CLOSE_PATH = 7;
+
+/**
+ * Writes the protocol buffer wire format.
+ */
+function Writer() {
+  this.bytes = [];
+}
+
+Writer.prototype.varint = function varint(value) {
+  // Use arithmetic instead of bit operators, which only handle 32 bits.
+  while (value >= 0x80) {
+    this.bytes.push((value % 0x80) + 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  this.bytes.push(value);
+};
+
+Writer.prototype.tag = function tag(field, type) {
+  this.varint(field * 8 + type);
+};
+
+Writer.prototype.raw = function raw(buffer) {
+  var i;
+  for (i = 0; i < buffer.length; i += 1) {
+    this.bytes.push(buffer[i]);
+  }
+};
+
+Writer.prototype.uint = function uint(field, value) {
+  this.tag(field, VARINT);
+  this.varint(value);
+};
+
+Writer.prototype.sint = function sint(field, value) {
+  this.tag(field, VARINT);
+  this.varint(mvt.zigzag(value));
+};
+
+Writer.prototype.bool = function bool(field, value) {
+  this.tag(field, VARINT);
+  this.varint(value ? 1 : 0);
+};
+
+Writer.prototype.double = function double(field, value) {
+  var buffer = new Buffer(8);
+  buffer.writeDoubleLE(value, 0);
+  this.tag(field, FIXED64);
+  this.raw(buffer);
+};
+
+Writer.prototype.string = function string(field, value) {
+  this.message(field, new Buffer(String(value), 'utf8'));
+};
+
+Writer.prototype.packed = function packed(field, values) {
+  var writer = new Writer();
+  values.forEach(function (value) {
+    writer.varint(value);
+  });
+  this.message(field, writer.toBuffer());
+};
+
+Writer.prototype.message = function message(field, buffer) {
+  this.tag(field, BYTES);
+  this.varint(buffer.length);
+  this.raw(buffer);
+};
+
+Writer.prototype.toBuffer = function toBuffer() {
+  return new Buffer(this.bytes);
+};
+
+/**
+ * Zigzag-encode a signed integer, so small negative numbers stay small.
+ * @param  {Number} value
+ * @return {Number}
+ */
+mvt.zigzag = function zigzag(value) {
+  return value < 0 ? -2 * value - 1 : 2 * value;
+};
+
+/**
+ * Get the bounds of a tile.
+ * @param  {Number} z
+ * @param  {Number} x
+ * @param  {Number} y
+ * @return {Array}    [west, south, east, north] in degrees
+ */
+mvt.tileBounds = function tileBounds(z, x, y) {
+  var n = Math.pow(2, z);
+
+  function lat(row) {
+    var radians = Math.atan(sinh(Math.PI * (1 - 2 * row / n)));
+    return radians * 180 / Math.PI;
+  }
+
+  return [x / n * 360 - 180, lat(y + 1), (x + 1) / n * 360 - 180, lat(y)];
+};
+
+function sinh(value) {
+  return (Math.exp(value) - Math.exp(-value)) / 2;
+}
+
+/**
+ * Check that z/x/y names a real tile.
+ * @param  {Number} z
+ * @param  {Number} x
+ * @param  {Number} y
+ * @param  {Number} maxZoom
+ * @return {Boolean}
+ */
+mvt.isValidTile = function isValidTile(z, x, y, maxZoom) {
+  var n = Math.pow(2, z);
+  return [z, x, y].every(function (value) {
+    return !isNaN(value) && Math.floor(value) === value && value >= 0;
+  }) && z <= maxZoom && x < n && y < n;
+};
+
+/**
+ * Project a longitude/latitude pair into tile coordinates.
+ * @param  {Array}  coords [lon, lat]
+ * @param  {Object} tile   z, x, y
+ * @return {Array}         [x, y], rounded to integers
+ */
+mvt.project = function project(coords, tile) {
+  var n = Math.pow(2, tile.z);
+  var lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, coords[1]));
+  var sin = Math.sin(lat * Math.PI / 180);
+
+  var x = (coords[0] + 180) / 360 * n;
+  var y = (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * n;
+
+  return [
+    Math.round((x - tile.x) * mvt.EXTENT),
+    Math.round((y - tile.y) * mvt.EXTENT)
+  ];
+};
+
+// Twice the signed area of a ring, in tile coordinates. Exterior rings are
+// positive, which looks clockwise since y points down.
+function ringArea(ring) {
+  var area = 0;
+  var i;
+  for (i = 0; i < ring.length; i += 1) {
+    var a = ring[i];
+    var b = ring[(i + 1) % ring.length];
+    area += a[0] * b[1] - b[0] * a[1];
+  }
+  return area;
+}
+
+// Project a GeoJSON ring, dropping the closing point and any points that
+// land on top of the previous one.
+function projectRing(ring, tile) {
+  var points = [];
+  ring.forEach(function (coords) {
+    var point = mvt.project(coords, tile);
+    var last = points[points.length - 1];
+    if (last === undefined || last[0] !== point[0] || last[1] !== point[1]) {
+      points.push(point);
+    }
+  });
+
+  var first = points[0];
+  var last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    points.pop();
+  }
+  return points;
+}
+
+/**
+ * Encode GeoJSON geometry as tile geometry commands.
+ * @param  {Object} geometry GeoJSON Point, MultiPoint, Polygon, or
+ *                           MultiPolygon
+ * @param  {Object} tile     z, x, y
+ * @return {Object}          type: MVT geometry type; commands: list of
+ *                           integers. Null if nothing is left of the geometry
+ *                           at this zoom level.
+ */
+mvt.encodeGeometry = function encodeGeometry(geometry, tile) {
+  var commands = [];
+  var cursor = [0, 0];
+
+  function command(id, count) {
+    commands.push((id & 0x7) | (count << 3));
+  }
+
+  function moveCursor(point) {
+    commands.push(mvt.zigzag(point[0] - cursor[0]));
+    commands.push(mvt.zigzag(point[1] - cursor[1]));
+    cursor = point;
+  }
+
+  function addRing(points) {
+    command(MOVE_TO, 1);
+    moveCursor(points[0]);
+    command(LINE_TO, points.length - 1);
+    points.slice(1).forEach(moveCursor);
+    command(CLOSE_PATH, 1);
+  }
+
+  function addPolygon(rings) {
+    var projected = rings.map(function (ring) {
+      return projectRing(ring, tile);
+    });
+
+    // Without an exterior ring, the holes don't mean anything.
+    if (projected[0].length < 3) {
+      return;
+    }
+
+    projected.forEach(function (points, i) {
+      if (points.length < 3) {
+        return;
+      }
+      var area = ringArea(points);
+      if (area === 0) {
+        return;
+      }
+      if ((i === 0) !== (area > 0)) {
+        points.reverse();
+      }
+      addRing(points);
+    });
+  }
+
+  if (geometry.type === 'Point' || geometry.type === 'MultiPoint') {
+    var points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+    command(MOVE_TO, points.length);
+    points.forEach(function (coords) {
+      moveCursor(mvt.project(coords, tile));
+    });
+    return { type: POINT, commands: commands };
+  }
+
+  if (geometry.type === 'Polygon') {
+    addPolygon(geometry.coordinates);
+  } else if (geometry.type === 'MultiPolygon') {
+    geometry.coordinates.forEach(addPolygon);
+  }
+
+  if (commands.length === 0) {
+    return null;
+  }
+  return { type: POLYGON, commands: commands };
+};
+
+// Write a layer value, using the most compact type that fits.
+function encodeValue(value) {
+  var writer = new Writer();
+  if (typeof value === 'boolean') {
+    writer.bool(7, value);
+  } else if (typeof value === 'number') {
+    if (Math.floor(value) === value && Math.abs(value) <= 9007199254740991) {
+      if (value < 0) {
+        writer.sint(6, value);
+      } else {
+        writer.uint(5, value);
+      }
+    } else {
+      writer.double(3, value);
+    }
+  } else {
+    writer.string(1, value);
+  }
+  return writer.toBuffer();
+}
+
+/**
+ * Encode a layer.
+ * @param  {Object} layer name; features: list of features, each with a
+ *                        GeoJSON geometry and an object of properties
+ * @param  {Object} tile  z, x, y
+ * @return {Buffer}
+ */
+mvt.encodeLayer = function encodeLayer(layer, tile) {
+  var keys = [];
+  var keyIndexes = {};
+  var values = [];
+  var valueIndexes = {};
+  var features = [];
+
+  function index(list, indexes, key, item) {
+    if (!indexes.hasOwnProperty(key)) {
+      indexes[key] = list.length;
+      list.push(item);
+    }
+    return indexes[key];
+  }
+
+  layer.features.forEach(function (feature) {
+    var geometry = mvt.encodeGeometry(feature.geometry, tile);
+    if (geometry === null) {
+      return;
+    }
+
+    var tags = [];
+    Object.keys(feature.properties).forEach(function (key) {
+      var value = feature.properties[key];
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (typeof value !== 'number' && typeof value !== 'boolean') {
+        value = String(value);
+      }
+
+      tags.push(index(keys, keyIndexes, key, key));
+      tags.push(index(values, valueIndexes, typeof value + ':' + value, value));
+    });
+
+    var writer = new Writer();
+    writer.packed(2, tags);
+    writer.uint(3, geometry.type);
+    writer.packed(4, geometry.commands);
+    features.push(writer.toBuffer());
+  });
+
+  var writer = new Writer();
+  writer.uint(15, 2);
+  writer.string(1, layer.name);
+  features.forEach(function (feature) {
+    writer.message(2, feature);
+  });
+  keys.forEach(function (key) {
+    writer.string(3, key);
+  });
+  values.forEach(function (value) {
+    writer.message(4, encodeValue(value));
+  });
+  writer.uint(5, mvt.EXTENT);
+  return writer.toBuffer();
+};
+
+/**
+ * Encode a tile.
+ * @param  {Array}  layers Layers, as for encodeLayer
+ * @param  {Object} tile   z, x, y
+ * @return {Buffer}
+ */
+mvt.encodeTile = function encodeTile(layers, tile) {
+  var writer = new Writer();
+  layers.forEach(function (layer) {
+    writer.message(3, mvt.encodeLayer(layer, tile));
+  });
+  return writer.toBuffer();
+};
@@ -0,0 +1,419 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Shapefile export
+ * ==================================================
+ *
+ * Builds a zipped shapefile bundle from the export rows. A shapefile holds
+ * only one type of geometry, so we make two layers: polygons for responses
+ * with a parcel shape, and points at the centroid for everything else.
+ *
+ * DBF field names can only have 10 characters, so we shorten the column names
+ * and include fields.csv, which maps each field back to its full column name.
+ *
+ * Since the DBF header needs the width of every field, we collect the whole
+ * export before writing anything. Shapefile exports run in the background,
+ * so that's OK.
+ */
+
+var csv = require('./csv');
+var util = require('../util');
+var zip = require('../zip');
+
+var shapefile = module.exports;
+
+var NULL_SHAPE = 0;
+var POINT = 1;
+var POLYGON = 5;
+
+// Widest a DBF character field can be
+var MAX_FIELD_LENGTH = 254;
+
+// Most fields a DBF file can have, and the most bytes in a DBF record
+var MAX_FIELDS = 255;
+var MAX_RECORD_LENGTH = 65535;
+
+// Responses are in WGS 84.
+shapefile.prj = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+  'SPHEROID["WGS_1984",6378137,298.257223563]],PRIMEM["Greenwich",0],' +
+  'UNIT["Degree",0.017453292519943295]]';
+
+/**
+ * Make DBF field names for a list of columns: at most 10 characters, only
+ * letters, numbers, and underscores, and unique regardless of case.
+ * @param  {Array} headers Column names
+ * @return {Array}         Field names
+ */
+shapefile.fieldNames = function fieldNames(headers) {
+  var used = {};
+
+  return headers.map(function (header) {
+    var base = String(header).replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10);
+    if (base.length === 0) {
+      base = 'FIELD';
+    }
+
+    var name = base;
+    var suffix;
+    var i = 1;
+    while (used[name.toUpperCase()]) {
+      suffix = '_' + i;
+      name = base.slice(0, 10 - suffix.length) + suffix;
+      i += 1;
+    }
+
+    used[name.toUpperCase()] = true;
+    return name;
+  });
+};
+
+// Twice the signed area of a ring. Positive means clockwise.
+function ringArea(ring) {
+  var sum = 0;
+  var i;
+  for (i = 0; i < ring.length - 1; i += 1) {
+    sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+  }
+  return sum;
+}
+
+// Shapefiles want outer rings clockwise and holes counterclockwise.
+function orientRing(ring, clockwise) {
+  if ((ringArea(ring) > 0) !== clockwise) {
+    return ring.slice().reverse();
+  }
+  return ring;
+}
+
+/**
+ * Turn a response's location into a shape.
+ * @param  {Object} geoInfo The response's geo_info
+ * @return {Object}         type: POINT, POLYGON, or NULL_SHAPE; parts: list
+ *                          of rings for polygons; point: coordinates for
+ *                          points
+ */
+shapefile.getShape = function getShape(geoInfo) {
+  geoInfo = geoInfo || {};
+  var geometry = geoInfo.geometry;
+  var polygons;
+
+  if (geometry && geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry && geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  }
+
+  if (polygons !== undefined) {
+    var parts = [];
+    polygons.forEach(function (rings) {
+      rings.forEach(function (ring, i) {
+        parts.push(orientRing(ring, i === 0));
+      });
+    });
+    return { type: POLYGON, parts: parts };
+  }
+
+  if (geoInfo.centroid && geoInfo.centroid.length === 2) {
+    return { type: POINT, point: geoInfo.centroid };
+  }
+
+  return { type: NULL_SHAPE };
+};
+
+function shapeBox(shape) {
+  var points = shape.type === POINT ? [shape.point] : [].concat.apply([], shape.parts);
+  var box = [Infinity, Infinity, -Infinity, -Infinity];
+  points.forEach(function (point) {
+    box[0] = Math.min(box[0], point[0]);
+    box[1] = Math.min(box[1], point[1]);
+    box[2] = Math.max(box[2], point[0]);
+    box[3] = Math.max(box[3], point[1]);
+  });
+  return box;
+}
+
+function shapeContent(shape) {
+  var content;
+
+  if (shape.type === NULL_SHAPE) {
+    content = new Buffer(4);
+    content.writeInt32LE(NULL_SHAPE, 0);
+    return content;
+  }
+
+  if (shape.type === POINT) {
+    content = new Buffer(20);
+    content.writeInt32LE(POINT, 0);
+    content.writeDoubleLE(shape.point[0], 4);
+    content.writeDoubleLE(shape.point[1], 12);
+    return content;
+  }
+
+  var box = shapeBox(shape);
+  var numPoints = 0;
+  shape.parts.forEach(function (ring) {
+    numPoints += ring.length;
+  });
+
+  content = new Buffer(44 + 4 * shape.parts.length + 16 * numPoints);
+  content.writeInt32LE(POLYGON, 0);
+  box.forEach(function (value, i) {
+    content.writeDoubleLE(value, 4 + 8 * i);
+  });
+  content.writeInt32LE(shape.parts.length, 36);
+  content.writeInt32LE(numPoints, 40);
+
+  var offset = 44;
+  var start = 0;
+  shape.parts.forEach(function (ring) {
+    content.writeInt32LE(start, offset);
+    offset += 4;
+    start += ring.length;
+  });
+  shape.parts.forEach(function (ring) {
+    ring.forEach(function (point) {
+      content.writeDoubleLE(point[0], offset);
+      content.writeDoubleLE(point[1], offset + 8);
+      offset += 16;
+    });
+  });
+
+  return content;
+}
+
+// The .shp and .shx files share a header.
+function fileHeader(length, shapeType, box) {
+  var header = new Buffer(100);
+  header.fill(0);
+  header.writeInt32BE(9994, 0);
+  // Lengths are in 16-bit words.
+  header.writeInt32BE(length / 2, 24);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(shapeType, 32);
+  box.forEach(function (value, i) {
+    header.writeDoubleLE(value, 36 + 8 * i);
+  });
+  return header;
+}
+
+/**
+ * Write the .shp and .shx files for a list of shapes.
+ * @param  {Array}  shapes    Shapes from getShape
+ * @param  {Number} shapeType POINT or POLYGON
+ * @return {Object}           shp and shx Buffers
+ */
+shapefile.writeShapes = function writeShapes(shapes, shapeType) {
+  var box = [Infinity, Infinity, -Infinity, -Infinity];
+  var records = [];
+  var index = [];
+  var offset = 100;
+
+  shapes.forEach(function (shape, i) {
+    var content = shapeContent(shape);
+
+    if (shape.type !== NULL_SHAPE) {
+      var shapeBounds = shapeBox(shape);
+      box[0] = Math.min(box[0], shapeBounds[0]);
+      box[1] = Math.min(box[1], shapeBounds[1]);
+      box[2] = Math.max(box[2], shapeBounds[2]);
+      box[3] = Math.max(box[3], shapeBounds[3]);
+    }
+
+    var recordHeader = new Buffer(8);
+    recordHeader.writeInt32BE(i + 1, 0);
+    recordHeader.writeInt32BE(content.length / 2, 4);
+
+    var indexRecord = new Buffer(8);
+    indexRecord.writeInt32BE(offset / 2, 0);
+    indexRecord.writeInt32BE(content.length / 2, 4);
+
+    records.push(recordHeader, content);
+    index.push(indexRecord);
+    offset += 8 + content.length;
+  });
+
+  // Empty layers get an empty box.
+  if (box[0] === Infinity) {
+    box = [0, 0, 0, 0];
+  }
+
+  return {
+    shp: Buffer.concat([fileHeader(offset, shapeType, box)].concat(records)),
+    shx: Buffer.concat([fileHeader(100 + 8 * shapes.length, shapeType, box)].concat(index))
+  };
+};
+
+function toText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (util.isArray(value)) {
+    return value.join(csv.multiSeparator);
+  }
+  return String(value);
+}
+
+// Cut UTF-8 text to a number of bytes without splitting a character.
+function truncate(buffer, length) {
+  if (buffer.length <= length) {
+    return buffer;
+  }
+  // Back up past continuation bytes.
+  while (length > 0 && (buffer[length] & 0xC0) === 0x80) {
+    length -= 1;
+  }
+  return buffer.slice(0, length);
+}
+
+/**
+ * Write a DBF file with a character field for every column. Throws an error
+ * if there are too many fields for a DBF file.
+ * @param  {Array} names DBF field names
+ * @param  {Array} rows  Rows of values
+ * @return {Buffer}
+ */
+shapefile.writeDBF = function writeDBF(names, rows) {
+  if (names.length > MAX_FIELDS) {
+    throw new Error('Shapefiles can only have ' + MAX_FIELDS + ' fields, not ' + names.length);
+  }
+
+  var now = new Date();
+  var lengths = names.map(function () { return 1; });
+
+  var values = rows.map(function (row) {
+    return names.map(function (name, i) {
+      var value = truncate(new Buffer(toText(row[i]), 'utf8'), MAX_FIELD_LENGTH);
+      lengths[i] = Math.max(lengths[i], value.length);
+      return value;
+    });
+  });
+
+  var headerLength = 32 + 32 * names.length + 1;
+  var recordLength = 1;
+  lengths.forEach(function (length) {
+    recordLength += length;
+  });
+  if (recordLength > MAX_RECORD_LENGTH) {
+    throw new Error('Shapefile records can only have ' + MAX_RECORD_LENGTH + ' bytes');
+  }
+
+  var buffer = new Buffer(headerLength + recordLength * rows.length + 1);
+  buffer.fill(0x20);
+  buffer.fill(0, 0, headerLength);
+
+  buffer.writeUInt8(0x03, 0);
+  buffer.writeUInt8(now.getFullYear() - 1900, 1);
+  buffer.writeUInt8(now.getMonth() + 1, 2);
+  buffer.writeUInt8(now.getDate(), 3);
+  buffer.writeUInt32LE(rows.length, 4);
+  buffer.writeUInt16LE(headerLength, 8);
+  buffer.writeUInt16LE(recordLength, 10);
+
+  names.forEach(function (name, i) {
+    var offset = 32 + 32 * i;
+    buffer.write(name, offset, 10, 'ascii');
+    buffer.write('C', offset + 11, 1, 'ascii');
+    buffer.writeUInt8(lengths[i], offset + 16);
+  });
+  buffer.writeUInt8(0x0D, headerLength - 1);
+
+  // Each record starts with a space, which means it's not deleted. The
+  // values are padded with spaces.
+  var offset = headerLength;
+  values.forEach(function (row) {
+    offset += 1;
+    row.forEach(function (value, i) {
+      value.copy(buffer, offset);
+      offset += lengths[i];
+    });
+  });
+  buffer.writeUInt8(0x1A, offset);
+
+  return buffer;
+};
+
+/**
+ * Make an export writer that builds a zipped shapefile bundle. Exports with
+ * too many columns for a DBF file fail as soon as we know.
+ * @param  {Object}   options name: base name for the layer files
+ * @param  {Function} done    Params error, Buffer with the ZIP file
+ * @return {Object}           Export writer
+ */
+shapefile.makeWriter = function makeWriter(options, done) {
+  var headers;
+  var headerError = null;
+  var layers = {
+    points: { type: POINT, rows: [], shapes: [] },
+    polygons: { type: POLYGON, rows: [], shapes: [] }
+  };
+
+  return {
+    start: function start(list) {
+      headers = list;
+      if (headers.length > MAX_FIELDS) {
+        headerError = new Error('Shapefiles can only have ' + MAX_FIELDS +
+          ' fields, but this export has ' + headers.length + ' columns');
+      }
+    },
+
+    write: function write(rows, items, next) {
+      // Stop reading responses we can't write.
+      if (headerError !== null) {
+        return next(headerError);
+      }
+
+      rows.forEach(function (row, i) {
+        var shape = shapefile.getShape(items[i].geo_info);
+        var layer = shape.type === POLYGON ? layers.polygons : layers.points;
+        layer.rows.push(row);
+        layer.shapes.push(shape);
+      });
+      next();
+    },
+
+    end: function end() {
+      var files = [];
+
+      // We run in a database callback, so make sure errors reach done
+      // instead of taking down the process.
+      try {
+        var names = shapefile.fieldNames(headers);
+
+        // Map the field names back to the columns.
+        var mapping = ['field,column\r\n'];
+        names.forEach(function (name, i) {
+          mapping.push(csv.listToCSVString([name, headers[i]]) + '\r\n');
+        });
+        files.push({ name: 'fields.csv', data: mapping.join('') });
+
+        Object.keys(layers).forEach(function (key) {
+          var layer = layers[key];
+          // Skip empty layers, unless there's nothing at all.
+          if (layer.rows.length === 0 &&
+              !(key === 'points' && layers.polygons.rows.length === 0)) {
+            return;
+          }
+
+          var base = options.name + '_' + key;
+          var shapes = shapefile.writeShapes(layer.shapes, layer.type);
+          files.push({ name: base + '.shp', data: shapes.shp });
+          files.push({ name: base + '.shx', data: shapes.shx });
+          files.push({ name: base + '.dbf', data: shapefile.writeDBF(names, layer.rows) });
+          files.push({ name: base + '.prj', data: shapefile.prj });
+          files.push({ name: base + '.cpg', data: 'UTF-8' });
+        });
+      } catch (error) {
+        done(error);
+        return;
+      }
+
+      zip.create(files, done);
+    },
+
+    fail: function fail(error) {
+      done(error);
+    }
+  };
+};
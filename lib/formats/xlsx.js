@@ -0,0 +1,315 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * Excel export
+ * ==================================================
+ *
+ * Builds an Office Open XML workbook (.xlsx) with three sheets:
+ *   Responses  The export rows. Timestamps are real dates, and text stays
+ *              text, so Excel doesn't strip the leading zeros from parcel
+ *              IDs like "03001529".
+ *   Questions  The survey's form: each question's name, prompt, and type, and
+ *              the allowed answers with their labels.
+ *   Stats      The survey stats, as question, answer, count.
+ *
+ * A workbook is a ZIP archive of XML files, so we build it in memory.
+ */
+
+var csv = require('./csv');
+var util = require('../util');
+var zip = require('../zip');
+
+var xlsx = module.exports;
+
+var MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+var REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+var PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+var CONTENT_TYPE_PREFIX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.';
+
+// Cell styles, as indexes into cellXfs in styles.xml
+var STYLE_HEADER = 1;
+var STYLE_DATE = 2;
+
+// Excel cells can't hold more text than this.
+var MAX_TEXT_LENGTH = 32767;
+
+// Days between Excel's epoch (1899-12-30) and the Unix epoch
+var EXCEL_EPOCH_OFFSET = 25569;
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+var XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+var STYLES = XML_HEADER +
+  '<styleSheet xmlns="' + MAIN_NS + '">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+  '<fonts count="2">' +
+  '<font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+  '</fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Get the letters for a column, like A for 0 and AA for 26.
+ * @param  {Number} index Zero-based column index
+ * @return {String}
+ */
+xlsx.columnName = function columnName(index) {
+  var name = '';
+  index += 1;
+  while (index > 0) {
+    var remainder = (index - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    index = Math.floor((index - 1) / 26);
+  }
+  return name;
+};
+
+/**
+ * Convert a date to an Excel serial date, in UTC.
+ * @param  {Date}   date
+ * @return {Number}
+ */
+xlsx.toSerialDate = function toSerialDate(date) {
+  return date.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+};
+
+// XML can't hold most control characters, even escaped.
+function escapeText(text) {
+  text = text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  if (text.length > MAX_TEXT_LENGTH) {
+    text = text.slice(0, MAX_TEXT_LENGTH);
+  }
+  return util.escapeXML(text);
+}
+
+/**
+ * Make the XML for a cell.
+ * @param  {*}      value
+ * @param  {String} ref   Cell reference, like B3
+ * @param  {Object} options date: treat the value as a date;
+ *                          style: cell style for text
+ * @return {String}         Empty if there's no value
+ */
+xlsx.cell = function cell(value, ref, options) {
+  options = options || {};
+
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+
+  if (options.date && !(value instanceof Date)) {
+    var time = Date.parse(value);
+    if (!isNaN(time)) {
+      value = new Date(time);
+    }
+  }
+
+  if (value instanceof Date) {
+    return '<c r="' + ref + '" s="' + STYLE_DATE + '"><v>' + xlsx.toSerialDate(value) + '</v></c>';
+  }
+
+  if (typeof value === 'boolean') {
+    return '<c r="' + ref + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>';
+  }
+
+  if (typeof value === 'number' && isFinite(value)) {
+    return '<c r="' + ref + '"><v>' + value + '</v></c>';
+  }
+
+  if (util.isArray(value)) {
+    value = value.join(csv.multiSeparator);
+  }
+
+  var style = options.style ? ' s="' + options.style + '"' : '';
+  return '<c r="' + ref + '"' + style + ' t="inlineStr"><is><t xml:space="preserve">' +
+    escapeText(String(value)) + '</t></is></c>';
+};
+
+/**
+ * Make the XML for a row.
+ * @param  {Array}  values
+ * @param  {Number} index       One-based row number
+ * @param  {Object} options     style: cell style for text; dateColumns:
+ *                              object with the indexes of date columns as
+ *                              keys
+ * @return {String}
+ */
+xlsx.row = function row(values, index, options) {
+  options = options || {};
+  var dateColumns = options.dateColumns || {};
+
+  var cells = values.map(function (value, i) {
+    return xlsx.cell(value, xlsx.columnName(i) + index, {
+      date: dateColumns[i],
+      style: options.style
+    });
+  });
+  return '<row r="' + index + '">' + cells.join('') + '</row>';
+};
+
+// Wrap rows in a worksheet, with the first row frozen.
+function sheet(rows) {
+  return XML_HEADER +
+    '<worksheet xmlns="' + MAIN_NS + '" xmlns:r="' + REL_NS + '">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    '<sheetData>' + rows.join('') + '</sheetData>' +
+    '</worksheet>';
+}
+
+// Make a sheet from a header row and rows of values.
+function simpleSheet(headers, rows) {
+  var xml = [xlsx.row(headers, 1, { style: STYLE_HEADER })];
+  rows.forEach(function (values, i) {
+    xml.push(xlsx.row(values, i + 2));
+  });
+  return sheet(xml);
+}
+
+/**
+ * Make the Questions sheet.
+ * @param  {Array}  dictionary Entries from Form.getDictionary
+ * @return {String}
+ */
+xlsx.dictionarySheet = function dictionarySheet(dictionary) {
+  var rows = [];
+  dictionary.forEach(function (entry) {
+    if (entry.answers.length === 0) {
+      rows.push([entry.name, entry.text, entry.type]);
+      return;
+    }
+    entry.answers.forEach(function (answer) {
+      rows.push([entry.name, entry.text, entry.type, answer.value, answer.text]);
+    });
+  });
+  return simpleSheet(['Question', 'Prompt', 'Type', 'Answer', 'Label'], rows);
+};
+
+/**
+ * Make the Stats sheet.
+ * @param  {Object} stats Stats from Response.getStats
+ * @return {String}
+ */
+xlsx.statsSheet = function statsSheet(stats) {
+  var rows = [];
+  Object.keys(stats).forEach(function (question) {
+    Object.keys(stats[question]).forEach(function (answer) {
+      rows.push([question, answer, stats[question][answer]]);
+    });
+  });
+  return simpleSheet(['Question', 'Answer', 'Count'], rows);
+};
+
+// Package the sheets into a workbook.
+function workbookFiles(sheets) {
+  var names = Object.keys(sheets);
+  var files = [];
+
+  var overrides = names.map(function (name, i) {
+    return '<Override PartName="/xl/worksheets/sheet' + (i + 1) + '.xml" ' +
+      'ContentType="' + CONTENT_TYPE_PREFIX + 'worksheet+xml"/>';
+  });
+
+  files.push({
+    name: '[Content_Types].xml',
+    data: XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="' + CONTENT_TYPE_PREFIX + 'sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="' + CONTENT_TYPE_PREFIX + 'styles+xml"/>' +
+      overrides.join('') +
+      '</Types>'
+  });
+
+  files.push({
+    name: '_rels/.rels',
+    data: XML_HEADER +
+      '<Relationships xmlns="' + PACKAGE_REL_NS + '">' +
+      '<Relationship Id="rId1" Type="' + REL_NS + '/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'
+  });
+
+  files.push({
+    name: 'xl/workbook.xml',
+    data: XML_HEADER +
+      '<workbook xmlns="' + MAIN_NS + '" xmlns:r="' + REL_NS + '"><sheets>' +
+      names.map(function (name, i) {
+        return '<sheet name="' + util.escapeXML(name) + '" sheetId="' + (i + 1) + '" r:id="rId' + (i + 1) + '"/>';
+      }).join('') +
+      '</sheets></workbook>'
+  });
+
+  files.push({
+    name: 'xl/_rels/workbook.xml.rels',
+    data: XML_HEADER +
+      '<Relationships xmlns="' + PACKAGE_REL_NS + '">' +
+      names.map(function (name, i) {
+        return '<Relationship Id="rId' + (i + 1) + '" Type="' + REL_NS + '/worksheet" ' +
+          'Target="worksheets/sheet' + (i + 1) + '.xml"/>';
+      }).join('') +
+      '<Relationship Id="rId' + (names.length + 1) + '" Type="' + REL_NS + '/styles" Target="styles.xml"/>' +
+      '</Relationships>'
+  });
+
+  files.push({ name: 'xl/styles.xml', data: STYLES });
+
+  names.forEach(function (name, i) {
+    files.push({ name: 'xl/worksheets/sheet' + (i + 1) + '.xml', data: sheets[name] });
+  });
+
+  return files;
+}
+
+/**
+ * Make an export writer that builds a workbook.
+ * @param  {Object}   options dictionary: entries from Form.getDictionary;
+ *                            stats: stats from Response.getStats
+ * @param  {Function} done    Params error, Buffer with the workbook
+ * @return {Object}           Export writer
+ */
+xlsx.makeWriter = function makeWriter(options, done) {
+  var rows = [];
+  var dateColumns = {};
+
+  return {
+    start: function start(headers) {
+      var index = headers.indexOf('timestamp');
+      if (index !== -1) {
+        dateColumns[index] = true;
+      }
+      rows.push(xlsx.row(headers, 1, { style: STYLE_HEADER }));
+    },
+
+    write: function write(chunk, items, next) {
+      chunk.forEach(function (values) {
+        rows.push(xlsx.row(values, rows.length + 1, { dateColumns: dateColumns }));
+      });
+      next();
+    },
+
+    end: function end() {
+      zip.create(workbookFiles({
+        Responses: sheet(rows),
+        Questions: xlsx.dictionarySheet(options.dictionary),
+        Stats: xlsx.statsSheet(options.stats)
+      }), done);
+    },
+
+    fail: function fail(error) {
+      done(error);
+    }
+  };
+};
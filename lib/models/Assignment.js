@@ -0,0 +1,71 @@
+/*jslint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+var util = require('../util');
+
+// A set of parcels, or a survey zone, that an organizer gave to a collector.
+var assignmentSchema = new mongoose.Schema({
+  // We don't use the native mongo ID when communicating with clients.
+  _id: { type: mongoose.Schema.Types.ObjectId, select: false },
+  __v: { type: Number, select: false },
+  id: String,
+  survey: String,
+  // Name of the collector, as the mobile app reports it in source.collector
+  collector: { type: String, required: true },
+  // ID of the collector's user account, if they have one
+  user: String,
+  // Object IDs of the assigned parcels
+  parcels: [String],
+  // ID of the assigned survey zone. Assignments have parcels or a zone.
+  zone: String,
+  created: Date,
+  createdBy: String
+}, {
+  autoIndex: false
+});
+
+// Indexes
+
+// We list a survey's assignments and look them up by collector.
+assignmentSchema.index({ survey: 1, collector: 1 });
+assignmentSchema.index({ survey: 1, user: 1 });
+
+// Exactly one of parcels or zone
+assignmentSchema.pre('validate', function checkTarget(next) {
+  var hasParcels = util.isArray(this.parcels) && this.parcels.length > 0;
+  var hasZone = typeof this.zone === 'string' && this.zone.length > 0;
+
+  if (hasParcels === hasZone) {
+    this.invalidate('parcels', 'Assignments need a list of parcels or a zone, but not both');
+  }
+  next();
+});
+
+assignmentSchema.set('toObject', {
+  transform: function (doc, ret, options) {
+    return {
+      id: ret.id,
+      survey: ret.survey,
+      collector: ret.collector,
+      user: ret.user,
+      parcels: ret.parcels,
+      zone: ret.zone,
+      created: ret.created,
+      createdBy: ret.createdBy
+    };
+  }
+});
+
+// Set the ID.
+assignmentSchema.pre('save', function setId(next) {
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
+  if (!this.created) {
+    this.created = new Date();
+  }
+  next();
+});
+
+var Assignment = module.exports = mongoose.model('Assignment', assignmentSchema, 'assignmentCollection');
@@ -0,0 +1,89 @@
+/*jslint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+var util = require('../util');
+
+// An export that we generate in the background, like a shapefile bundle.
+// Clients poll the job until it's done, then download the file from its URL.
+var exportJobSchema = new mongoose.Schema({
+  // We don't use the native mongo ID when communicating with clients.
+  _id: { type: mongoose.Schema.Types.ObjectId, select: false },
+  __v: { type: Number, select: false },
+  id: String,
+  survey: String,
+  // 'shapefile'
+  format: String,
+  // Query string with the export's filters and options. Empty for a full
+  // export.
+  query: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  },
+  // Where to download the file, once the job is done
+  url: String,
+  // What went wrong, if the job failed
+  error: String,
+  created: Date,
+  finished: Date
+}, {
+  autoIndex: false
+});
+
+// Indexes
+
+// We look for the most recent job for an export.
+exportJobSchema.index({ survey: 1, format: 1, query: 1, created: -1 });
+
+exportJobSchema.set('toObject', {
+  transform: function (doc, ret, options) {
+    return {
+      id: ret.id,
+      survey: ret.survey,
+      format: ret.format,
+      query: ret.query,
+      status: ret.status,
+      url: ret.url,
+      error: ret.error,
+      created: ret.created,
+      finished: ret.finished
+    };
+  }
+});
+
+// Set the ID.
+exportJobSchema.pre('save', function setId(next) {
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
+  next();
+});
+
+// Set the creation date.
+exportJobSchema.pre('save', function setCreated(next) {
+  if (!this.created) {
+    this.created = new Date();
+  }
+  next();
+});
+
+/**
+ * Find the most recent job for an export.
+ * @param  {String}   surveyId
+ * @param  {String}   format
+ * @param  {String}   query    Query string of the export
+ * @param  {Function} done     Params error, job (or null)
+ */
+exportJobSchema.statics.findLatest = function findLatest(surveyId, format, query, done) {
+  this.findOne({
+    survey: surveyId,
+    format: format,
+    query: query
+  })
+  .sort({ created: 'desc' })
+  .exec(done);
+};
+
+var ExportJob = module.exports = mongoose.model('ExportJob', exportJobSchema, 'exportJobCollection');
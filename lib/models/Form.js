@@ -10,7 +10,14 @@ var formSchema = new mongoose.Schema({
   __v: { type: Number, select: false },
   id: String,
   survey: String,
+  // When the form was first saved
   created: Date,
+  // When the latest version was saved. The FormVersion model keeps the dates
+  // of earlier versions. The most recently saved form is the one mobile
+  // clients use, so we sort forms by this.
+  modified: Date,
+  // Incremented on each change. Old versions live in the FormVersion model.
+  version: { type: Number, default: 1 },
   type: { type: String },
   questions: [], // Used by mobile forms
   global: {}, // Used by paper forms
@@ -21,8 +28,8 @@ var formSchema = new mongoose.Schema({
 
 // Indexes
 
-// Index the creation date, which we use to sort
-formSchema.index({ survey: 1, created: -1 });
+// Index the save dates, which we use to sort
+formSchema.index({ survey: 1, modified: -1, created: -1 });
 
 // Index the parcel IDs, used by paper forms
 formSchema.index({ survey: 1, 'parcels.parcel_id': 1 });
@@ -36,6 +43,8 @@ formSchema.set('toObject', {
       id: ret.id,
       survey: ret.survey,
       created: ret.created,
+      modified: ret.modified,
+      version: ret.version,
       type: ret.type
     };
 
@@ -52,14 +61,251 @@ formSchema.set('toObject', {
 
 // Set the ID.
 formSchema.pre('save', function setId(next) {
-  this.id = util.uuidv1();
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
   next();
 });
 
 // Set the creation date.
 formSchema.pre('save', function setCreated(next) {
-  this.created = new Date();
+  if (this.created === undefined) {
+    this.created = new Date();
+  }
+  if (this.modified === undefined) {
+    this.modified = this.created;
+  }
   next();
 });
 
+/**
+ * Collect the names of every question in a tree of questions, including
+ * conditional sub-questions.
+ * @param  {Array}  questions
+ * @param  {Object} memo      Names are added as keys
+ * @return {Object}           memo
+ */
+function collectNames(questions, memo) {
+  (questions || []).forEach(function (question) {
+    if (question.type === 'checkbox') {
+      (question.answers || []).forEach(function (answer) {
+        memo[answer.name] = true;
+      });
+    } else {
+      memo[question.name] = true;
+    }
+
+    (question.answers || []).forEach(function (answer) {
+      collectNames(answer.questions, memo);
+    });
+  });
+  return memo;
+}
+
+function findAnswer(question, value) {
+  var i;
+  var answers = question.answers || [];
+  for (i = 0; i < answers.length; i += 1) {
+    if (answers[i].value === value) {
+      return answers[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the answers of a response against a tree of questions. We only
+ * descend into the sub-questions of answers that were actually selected.
+ * @param  {Array}  questions
+ * @param  {Object} answers   The responses object of a response
+ * @param  {Object} asked     Names of the questions reached so far are added
+ *                            as keys
+ * @param  {Array}  errors    Problems are added as { field, value, message }
+ */
+function checkQuestions(questions, answers, asked, errors) {
+  (questions || []).forEach(function (question) {
+    // Checkboxes store each answer under its own name.
+    if (question.type === 'checkbox') {
+      (question.answers || []).forEach(function (answer) {
+        asked[answer.name] = true;
+        var value = answers[answer.name];
+        if (value === undefined) {
+          return;
+        }
+        if (value !== answer.value) {
+          errors.push({
+            field: answer.name,
+            value: value,
+            message: 'Value is not a valid answer'
+          });
+          return;
+        }
+        checkQuestions(answer.questions, answers, asked, errors);
+      });
+      return;
+    }
+
+    asked[question.name] = true;
+    var value = answers[question.name];
+    if (value === undefined) {
+      return;
+    }
+
+    // Free-form questions accept any text.
+    if (question.type === 'text' || question.type === 'file') {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push({
+          field: question.name,
+          value: value,
+          message: 'Value must be text'
+        });
+      }
+      return;
+    }
+
+    var values = util.isArray(value) ? value : [value];
+    values.forEach(function (item) {
+      var answer = findAnswer(question, item);
+      if (answer === null) {
+        errors.push({
+          field: question.name,
+          value: item,
+          message: 'Value is not a valid answer'
+        });
+        return;
+      }
+      checkQuestions(answer.questions, answers, asked, errors);
+    });
+  });
+}
+
+/**
+ * Validate the answers of a response against this form's questions.
+ * @param  {Object} answers The responses object of a response
+ * @return {Array}          Problems as { field, value, message }; empty if
+ *                          the answers are valid
+ */
+formSchema.methods.checkResponses = function checkResponses(answers) {
+  var errors = [];
+  var asked = {};
+
+  if (answers === null || typeof answers !== 'object') {
+    return [{
+      field: 'responses',
+      value: answers,
+      message: 'Responses must be an object'
+    }];
+  }
+
+  checkQuestions(this.questions, answers, asked, errors);
+
+  // Anything we didn't reach is either not on the form or belongs to a
+  // sub-question that doesn't apply given the other answers.
+  var known = collectNames(this.questions, {});
+  Object.keys(answers).forEach(function (key) {
+    if (asked[key]) {
+      return;
+    }
+    errors.push({
+      field: key,
+      value: answers[key],
+      message: known[key] ? 'Question does not apply given the other answers' : 'Question is not on the form'
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * List the names of every question in a tree of questions, including
+ * conditional sub-questions.
+ * @param  {Array} questions
+ * @return {Array}
+ */
+formSchema.statics.getQuestionNames = function getQuestionNames(questions) {
+  return Object.keys(collectNames(questions, {}));
+};
+
+/**
+ * Collect the text of every question in a tree of questions, and of their
+ * answers.
+ * @param  {Array}  questions
+ * @param  {Array}  entries   Entries are added in form order
+ * @param  {Object} byName    Maps names to entries we've already added
+ */
+function collectDictionary(questions, entries, byName) {
+  function add(entry) {
+    var existing = byName[entry.name];
+    if (existing === undefined) {
+      byName[entry.name] = entry;
+      entries.push(entry);
+      return;
+    }
+
+    // The same question can show up under several answers.
+    entry.answers.forEach(function (answer) {
+      var found = existing.answers.some(function (item) {
+        return item.value === answer.value;
+      });
+      if (!found) {
+        existing.answers.push(answer);
+      }
+    });
+  }
+
+  (questions || []).forEach(function (question) {
+    // Checkboxes store each answer under its own name.
+    if (question.type === 'checkbox') {
+      (question.answers || []).forEach(function (answer) {
+        add({
+          name: answer.name,
+          text: question.text ? question.text + ': ' + answer.text : answer.text,
+          type: question.type,
+          answers: [{ value: answer.value, text: answer.text }]
+        });
+      });
+    } else {
+      add({
+        name: question.name,
+        text: question.text,
+        type: question.type,
+        answers: (question.answers || []).map(function (answer) {
+          return { value: answer.value, text: answer.text };
+        })
+      });
+    }
+
+    (question.answers || []).forEach(function (answer) {
+      collectDictionary(answer.questions, entries, byName);
+    });
+  });
+}
+
+/**
+ * Describe every question in a tree of questions, including conditional
+ * sub-questions.
+ * @param  {Array} questions
+ * @return {Array}           List of { name, text, type, answers }, where
+ *                           answers is a list of { value, text }
+ */
+formSchema.statics.getDictionary = function getDictionary(questions) {
+  var entries = [];
+  collectDictionary(questions, entries, {});
+  return entries;
+};
+
+/**
+ * Get the most recent mobile form for a survey.
+ * @param  {String}   surveyId
+ * @param  {Function} done     Params error, form (null if there isn't one)
+ */
+formSchema.statics.getLatestMobile = function getLatestMobile(surveyId, done) {
+  this.findOne({
+    survey: surveyId,
+    type: 'mobile'
+  })
+  .sort({ modified: 'desc', created: 'desc' })
+  .exec(done);
+};
+
 var Form = module.exports = mongoose.model('Form', formSchema, 'formCollection');
@@ -0,0 +1,79 @@
+/*jslint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+
+// An immutable copy of a form, as it was at one version. We add one every time
+// a form is created or modified.
+var formVersionSchema = new mongoose.Schema({
+  // We don't use the native mongo ID when communicating with clients.
+  _id: { type: mongoose.Schema.Types.ObjectId, select: false },
+  __v: { type: Number, select: false },
+  // ID of the form
+  form: String,
+  survey: String,
+  version: Number,
+  created: Date,
+  type: { type: String },
+  questions: [], // Used by mobile forms
+  global: {}, // Used by paper forms
+  parcels: [] // Used by paper forms
+}, {
+  autoIndex: false
+});
+
+// Indexes
+
+// We look up the versions of a form in order.
+formVersionSchema.index({ survey: 1, form: 1, version: 1 }, { unique: true });
+
+formVersionSchema.set('toObject', {
+  transform: function (doc, ret, options) {
+    var obj = {
+      form: ret.form,
+      survey: ret.survey,
+      version: ret.version,
+      created: ret.created,
+      type: ret.type
+    };
+
+    if (ret.type === 'mobile') {
+      obj.questions = ret.questions;
+    } else if (ret.type === 'paper') {
+      obj.global = ret.global;
+      obj.parcels = ret.parcels;
+    }
+
+    return obj;
+  }
+});
+
+// Versions never change once they're saved.
+formVersionSchema.pre('save', function preventChanges(next) {
+  if (!this.isNew) {
+    return next(new Error('Form versions cannot be modified'));
+  }
+  next();
+});
+
+/**
+ * Save a copy of the current state of a form.
+ * @param  {Object}   form A Form document
+ * @param  {Function} done Params error, version
+ */
+formVersionSchema.statics.snapshot = function snapshot(form, done) {
+  var version = new this({
+    form: form.id,
+    survey: form.survey,
+    version: form.version,
+    created: form.modified || form.created,
+    type: form.type,
+    questions: form.questions,
+    global: form.global,
+    parcels: form.parcels
+  });
+
+  version.save(done);
+};
+
+var FormVersion = module.exports = mongoose.model('FormVersion', formVersionSchema, 'formVersionCollection');
@@ -0,0 +1,136 @@
+/*jslint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+var bcrypt = require('bcrypt');
+var uuid = require('node-uuid');
+var util = require('../util');
+var Org = require('./Org');
+var Survey = require('./Survey');
+
+// How long people have to accept an invite
+var LIFETIME = 7*24*60*60*1000; // 7 days
+
+// An invitation to join a survey or an org. We email a link with the token to
+// the invitee. Like password reset tokens, we only store a hash of the token,
+// since it's a password equivalent.
+var inviteSchema = new mongoose.Schema({
+  // We don't use the native mongo ID when communicating with clients.
+  _id: { type: mongoose.Schema.Types.ObjectId, select: false },
+  __v: { type: Number, select: false },
+  id: String,
+  // Invites are for a survey or an org, but not both.
+  survey: String,
+  org: String,
+  email: { type: String, required: true },
+  // The role the invitee gets when they accept
+  role: { type: String, required: true },
+  // Transfer invites hand a survey over to the invitee. Accepting one makes
+  // them an owner and the survey's earlier owners editors.
+  transfer: Boolean,
+  hashedToken: { type: String, select: false },
+  expiry: Date,
+  // Set while someone accepts the invite, so it only works once
+  accepted: { type: Date, select: false },
+  created: Date,
+  createdBy: String
+}, {
+  autoIndex: false
+});
+
+// Indexes
+
+inviteSchema.index({ id: 1 });
+// We list the pending invites for a survey or an org.
+inviteSchema.index({ survey: 1, expiry: 1 });
+inviteSchema.index({ org: 1, expiry: 1 });
+// Mongo removes invites once they expire.
+inviteSchema.index({ expiry: 1 }, { expireAfterSeconds: 0 });
+
+// Exactly one of survey or org, with a role that makes sense for it
+inviteSchema.pre('validate', function checkTarget(next) {
+  if (!this.survey === !this.org) {
+    this.invalidate('survey', 'Invites need a survey or an org, but not both');
+  } else {
+    var roles = this.survey ? Survey.ROLES : Org.ROLES;
+    if (roles.indexOf(this.role) === -1) {
+      this.invalidate('role', 'role must be one of ' + roles.join(', '));
+    }
+  }
+  if (this.transfer && (!this.survey || this.role !== 'owner')) {
+    this.invalidate('transfer', 'Transfer invites must make someone a survey owner');
+  }
+  next();
+});
+
+inviteSchema.set('toObject', {
+  transform: function (doc, ret, options) {
+    return {
+      id: ret.id,
+      survey: ret.survey,
+      org: ret.org,
+      email: ret.email,
+      role: ret.role,
+      transfer: ret.transfer,
+      expiry: ret.expiry,
+      created: ret.created,
+      createdBy: ret.createdBy
+    };
+  }
+});
+
+// Set the ID and the timestamps.
+inviteSchema.pre('save', function setId(next) {
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
+  if (!this.created) {
+    this.created = new Date();
+  }
+  next();
+});
+
+/**
+ * Make a new token for the invite, which replaces any old one. Save the
+ * invite to keep it.
+ * @return {String} The token for the invitee's link. This is the only time we
+ *                  have it.
+ */
+inviteSchema.methods.makeToken = function makeToken() {
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
+
+  var secret = uuid.v4(); // random uuid (v1 is time-based)
+  this.hashedToken = bcrypt.hashSync(secret, 10);
+  this.expiry = new Date(Date.now() + LIFETIME);
+  return this.id + '.' + secret;
+};
+
+/**
+ * Find the invite for a token, if the token is valid and the invite hasn't
+ * expired or been accepted.
+ * @param  {String}   value The token from the invitee's link
+ * @param  {Function} done  Called with an error and the invite, which is null
+ *                          if the token is not valid
+ */
+inviteSchema.statics.findByToken = function findByToken(value, done) {
+  var parts = String(value).split('.');
+  if (parts.length !== 2) {
+    return done(null, null);
+  }
+
+  this.findOne({ id: parts[0], accepted: { $exists: false } })
+  .select('+hashedToken')
+  .exec(function (error, invite) {
+    if (error) { return done(error); }
+    if (invite === null ||
+        !bcrypt.compareSync(parts[1], invite.hashedToken) ||
+        invite.expiry.getTime() < Date.now()) {
+      return done(null, null);
+    }
+    done(null, invite);
+  });
+};
+
+var Invite = module.exports = mongoose.model('Invite', inviteSchema, 'inviteCollection');
@@ -4,12 +4,35 @@
 var mongoose = require('mongoose');
 var util = require('../util');
 
+// Org roles
+//   admin: manages the org, its members, and its surveys. Admins own the
+//     org's surveys.
+//   member: edits the org's surveys
+var ROLES = ['admin', 'member'];
+
+// The survey role that each org role gets on the org's surveys
+var SURVEY_ROLES = {
+  admin: 'owner',
+  member: 'editor'
+};
+
+var memberSchema = new mongoose.Schema({
+  user: String,
+  role: { type: String, enum: ROLES }
+}, {
+  _id: false
+});
+
 var orgSchema = new mongoose.Schema({
   // We don't use the Mongoose version number when communicating with clients.
   __v: { type: Number, select: false },
   name: { type: String, required: true, unique: true },
   // For safety, exclude the users list by default.
-  users: { type: [String], select: false }
+  // This is the IDs of all of the members. We keep it in sync with members.
+  users: { type: [String], select: false },
+  // Users and their roles. Orgs from before we had roles only have the users
+  // list, and those users are admins.
+  members: { type: [memberSchema], select: false }
 }, {
   autoIndex: false
 });
@@ -35,4 +58,166 @@ var conversionOptions = {
 orgSchema.set('toObject', conversionOptions);
 orgSchema.set('toJSON', conversionOptions);
 
+orgSchema.statics.ROLES = ROLES;
+
+/**
+ * Get the members of an org.
+ * @param  {Object} org An org, with the users and members fields
+ * @return {Array}      { user, role } objects
+ */
+orgSchema.statics.getMembers = function getMembers(org) {
+  if (org.members && org.members.length > 0) {
+    return org.members.map(function (member) {
+      return {
+        user: member.user,
+        role: member.role
+      };
+    });
+  }
+
+  // Orgs from before we had roles
+  return (org.users || []).map(function (user) {
+    return {
+      user: user,
+      role: 'admin'
+    };
+  });
+};
+
+/**
+ * Get a user's role in an org.
+ * @param  {Object} org    An org, with the users and members fields
+ * @param  {String} userId
+ * @return {String}        The role, or null if the user isn't a member
+ */
+orgSchema.statics.getRole = function getRole(org, userId) {
+  var member = this.getMembers(org).filter(function (item) {
+    return item.user === userId;
+  })[0];
+  return member === undefined ? null : member.role;
+};
+
+/**
+ * Get the role that an org role gets on the org's surveys.
+ * @param  {String} role An org role
+ * @return {String}      A survey role, or null
+ */
+orgSchema.statics.getSurveyRole = function getSurveyRole(role) {
+  return SURVEY_ROLES[role] || null;
+};
+
+/**
+ * Orgs from before we had roles only list their users, who are all admins.
+ * Write those out as members, so we can change members one at a time.
+ * @param  {Object}   org  An org, with the users and members fields
+ * @param  {Function} done Params error
+ */
+orgSchema.statics.upgradeMembers = function upgradeMembers(org, done) {
+  if ((org.members && org.members.length > 0) ||
+      !org.users || org.users.length === 0) {
+    return done(null);
+  }
+
+  this.update({
+    _id: org._id,
+    'members.0': { $exists: false }
+  }, {
+    $set: { members: this.getMembers(org) }
+  }, function (error) {
+    done(error);
+  });
+};
+
+/**
+ * Change a member's role in place, so concurrent changes to other members
+ * don't overwrite each other.
+ * @param  {String}   orgId
+ * @param  {String}   userId
+ * @param  {String}   role
+ * @param  {Function} done   Params error, found (false if the user isn't a
+ *                           member)
+ */
+orgSchema.statics.setMemberRole = function setMemberRole(orgId, userId, role, done) {
+  this.update({
+    _id: orgId,
+    'members.user': userId
+  }, {
+    $set: { 'members.$.role': role }
+  }, function (error, count) {
+    done(error, count > 0);
+  });
+};
+
+/**
+ * Add someone to an org, unless they're already a member.
+ * @param  {String}   orgId
+ * @param  {String}   userId
+ * @param  {String}   role
+ * @param  {Function} done   Params error, added (false if they were already
+ *                           a member)
+ */
+orgSchema.statics.pushMember = function pushMember(orgId, userId, role, done) {
+  this.update({
+    _id: orgId,
+    'members.user': { $ne: userId }
+  }, {
+    $push: { members: { user: userId, role: role } },
+    $addToSet: { users: userId }
+  }, function (error, count) {
+    done(error, count > 0);
+  });
+};
+
+/**
+ * Give a user a role in an org, adding them if they aren't a member yet.
+ * @param  {String}   orgId
+ * @param  {String}   userId
+ * @param  {String}   role
+ * @param  {Function} done   Params error
+ */
+orgSchema.statics.addMember = function addMember(orgId, userId, role, done) {
+  var Org = this;
+
+  function add(retry) {
+    Org.setMemberRole(orgId, userId, role, function (error, found) {
+      if (error || found) { return done(error); }
+
+      Org.pushMember(orgId, userId, role, function (error, added) {
+        if (error) { return done(error); }
+        // Someone else added them in the meantime, so change their role
+        // instead.
+        if (!added && retry) {
+          return add(false);
+        }
+        done(null);
+      });
+    });
+  }
+
+  add(true);
+};
+
+/**
+ * Remove people from an org.
+ * @param  {String}   orgId
+ * @param  {Array}    userIds
+ * @param  {Function} done    Params error, removed (false if that would
+ *                            leave the org without an admin)
+ */
+orgSchema.statics.removeMembers = function removeMembers(orgId, userIds, done) {
+  this.update({
+    _id: orgId,
+    members: {
+      $elemMatch: { role: 'admin', user: { $nin: userIds } }
+    }
+  }, {
+    $pull: {
+      members: { user: { $in: userIds } },
+      users: { $in: userIds }
+    }
+  }, function (error, count) {
+    done(error, count > 0);
+  });
+};
+
 var Org = module.exports = mongoose.model('Org', orgSchema, 'orgCollection');
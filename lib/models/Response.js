@@ -2,12 +2,25 @@
 'use strict';
 
 var mongoose = require('mongoose');
+var __ = require('lodash');
+var filters = require('../filters');
 var util = require('../util');
 
 function validateResponses (val) {
   return val !== undefined;
 }
 
+// The 2dsphere index only accepts real longitude/latitude pairs. It skips
+// responses without a centroid, which get an empty one.
+function validateCentroid(val) {
+  if (val.length === 0) {
+    return true;
+  }
+  return val.length === 2 &&
+    Math.abs(val[0]) <= 180 &&
+    Math.abs(val[1]) <= 90;
+}
+
 var responseSchema = new mongoose.Schema({
   // We don't use the native mongo ID when communicating with clients.
   _id: { type: mongoose.Schema.Types.ObjectId, select: false },
@@ -21,8 +34,14 @@ var responseSchema = new mongoose.Schema({
     finished: Date
   },
   created: Date,
+  // When the response was last edited, and by which user.
+  modified: Date,
+  modifiedBy: String,
   geo_info: {
-    centroid: [Number],
+    centroid: {
+      type: [Number],
+      validate: validateCentroid
+    },
     parcel_id: String,
     points: { type: [], select: false },
     geometry: {
@@ -32,8 +51,15 @@ var responseSchema = new mongoose.Schema({
     humanReadableName: String
   },
   files: [String],
+  // The form and form version used to collect the response
+  form: {
+    id: String,
+    version: Number
+  },
   parcel_id: String,
   object_id: String,
+  // IDs of the survey zones that contain the centroid
+  zones: [String],
   responses: {
     type: Object,
     validate: validateResponses
@@ -44,9 +70,11 @@ var responseSchema = new mongoose.Schema({
 
 // Indexes
 
-// Ensure we have a geo index on the centroid field.
+// Ensure we have a geo index on the centroid field. It's a 2dsphere index,
+// so distances are correct on the globe. Use maintenance/sphereCentroids.js
+// to move existing databases from the old 2d index.
 // We always restrict based on survey ID, so we use a compound index.
-responseSchema.index({ 'geo_info.centroid': '2d', survey: 1 });
+responseSchema.index({ survey: 1, 'geo_info.centroid': '2dsphere' });
 
 // Index the survey ID + creation date, which we use to sort
 // Descending
@@ -57,6 +85,9 @@ responseSchema.index({ survey: 1, created: -1 });
 // Index the survey ID, which we use to look up sets of responses
 responseSchema.index({ survey: 1 });
 
+// Index the survey ID + creation date + ID, which we use for cursor paging
+responseSchema.index({ survey: 1, created: 1, id: 1 });
+
 // Index the collector name
 responseSchema.index({ survey: 1, 'source.collector': 1, created: 1 });
 
@@ -66,6 +97,9 @@ responseSchema.index({ survey: 1, parcel_id: 1 });
 // Index the object ID
 responseSchema.index({ survey: 1, object_id: 1 });
 
+// Index the zones, which we use to filter and to report progress
+responseSchema.index({ survey: 1, zones: 1 });
+
 responseSchema.set('toObject', {
   transform: function (doc, ret, options) {
     return {
@@ -73,6 +107,8 @@ responseSchema.set('toObject', {
       survey: ret.survey,
       source: ret.source,
       created: ret.created,
+      modified: ret.modified,
+      modifiedBy: ret.modifiedBy,
       geo_info: {
         centroid: ret.geo_info.centroid,
         parcel_id: ret.geo_info.parcel_id,
@@ -80,8 +116,10 @@ responseSchema.set('toObject', {
         humanReadableName: ret.geo_info.humanReadableName
       },
       files: ret.files,
+      form: ret.form,
       parcel_id: ret.parcel_id,
       object_id: ret.object_id,
+      zones: ret.zones,
       responses: ret.responses
     };
   }
@@ -93,7 +131,7 @@ responseSchema.pre('save', function parseCentroid(next) {
   // TODO: abstract into a testable function.
   if (this.geo_info !== undefined) {
     var centroid = this.geo_info.centroid;
-    if (centroid !== undefined) {
+    if (centroid !== undefined && centroid.length > 0) {
       centroid[0] = parseFloat(centroid[0]);
       centroid[1] = parseFloat(centroid[1]);
     }
@@ -125,6 +163,24 @@ function collectMultiPolygonPoints(memo, multiPolygon) {
   });
 }
 
+// Find the bounding box of a Polygon or MultiPolygon, as [[w, s], [e, n]].
+function geometryBounds(geometry) {
+  var points = [];
+  if (geometry.type === 'MultiPolygon') {
+    collectMultiPolygonPoints(points, geometry.coordinates);
+  } else {
+    collectPolygonPoints(points, geometry.coordinates);
+  }
+
+  return points.reduce(function (bounds, point) {
+    bounds[0][0] = Math.min(bounds[0][0], point[0]);
+    bounds[0][1] = Math.min(bounds[0][1], point[1]);
+    bounds[1][0] = Math.max(bounds[1][0], point[0]);
+    bounds[1][1] = Math.max(bounds[1][1], point[1]);
+    return bounds;
+  }, [[Infinity, Infinity], [-Infinity, -Infinity]]);
+}
+
 // Collect all of the coordinates into one array, so we can index them.
 responseSchema.pre('save', function collectPoints(next) {
   if (this.geometry !== undefined) {
@@ -142,8 +198,11 @@ responseSchema.pre('save', function collectPoints(next) {
 });
 
 // Set the ID.
+// Edited responses keep their original ID.
 responseSchema.pre('save', function setId(next) {
-  this.id = util.uuidv1();
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
   next();
 });
 
@@ -166,6 +225,80 @@ responseSchema.pre('save', function setObjectId(next) {
   next();
 });
 
+/**
+ * Page through the responses that match a set of conditions. We continue from
+ * the (created, id) of the last item in each chunk, rather than skipping, so
+ * deep chunks stay fast and new responses don't shift the results.
+ * @param  {Object}   conditions  Query conditions
+ * @param  {Object}   options     sort: 'asc' (default) or 'desc';
+ *                                size: number of items per chunk;
+ *                                fields: optional list of fields to select
+ * @param  {Function} handleChunk Params items, next. Call next() to continue,
+ *                                or next(error) to stop.
+ * @param  {Function} done        Params error
+ */
+responseSchema.statics.eachChunk = function eachChunk(conditions, options, handleChunk, done) {
+  var Response = this;
+  var sort = options.sort || 'asc';
+  var size = options.size || 1000;
+
+  function getChunk(cursor) {
+    var chunkConditions = __.clone(conditions);
+    if (cursor !== null) {
+      util.addCursorConditions(chunkConditions, cursor, sort);
+    }
+
+    var query = Response.find(chunkConditions);
+
+    // We always need the fields that make up the cursor.
+    if (options.fields !== undefined) {
+      query.select(['created', 'id'].concat(options.fields).join(' '));
+    }
+
+    query
+    .sort({ created: sort, id: sort })
+    .limit(size)
+    .lean()
+    .exec(function (error, items) {
+      if (error) { return done(error); }
+
+      handleChunk(items, function (error) {
+        if (error) { return done(error); }
+
+        // If we didn't get as many items as we asked for, then this is the
+        // last chunk.
+        if (items.length < size) {
+          return done(null);
+        }
+        var last = items[items.length - 1];
+        getChunk({ created: last.created, id: last.id });
+      });
+    });
+  }
+
+  getChunk(null);
+};
+
+/**
+ * Find the objects, usually parcels, that have responses in a survey.
+ * @param  {String}   survey ID of the survey
+ * @param  {Function} done   Called with an error or an object that maps the
+ *                           object IDs to true
+ */
+responseSchema.statics.getSurveyed = function getSurveyed(survey, done) {
+  this.distinct('object_id', { survey: survey }, function (error, objectIds) {
+    if (error) { return done(error); }
+
+    var surveyed = {};
+    objectIds.forEach(function (objectId) {
+      if (objectId) {
+        surveyed[objectId] = true;
+      }
+    });
+    done(null, surveyed);
+  });
+};
+
 responseSchema.statics.getBounds = function getBounds(survey, done) {
   var bbox = [[-180, -89], [180, 89]];
   this.aggregate([
@@ -210,4 +343,271 @@ responseSchema.statics.getBounds = function getBounds(survey, done) {
   });
 };
 
+/**
+ * Tally the answers to each question, and the responses from each collector.
+ * We only count the most recent response for each base object.
+ * @param  {Object}   conditions Query conditions, including the survey ID
+ * @param  {Function} done       Params error, stats, number of base objects
+ *                               counted. stats maps each question to an object
+ *                               that maps answers to counts, including a
+ *                               'no response' count. stats.Collectors maps
+ *                               collector names to counts.
+ */
+responseSchema.statics.getStats = function getStats(conditions, done) {
+  var stats = {
+    Collectors: {}
+  };
+  var processed = {};
+  var count = 0;
+
+  function summer(memo, num) {
+    return memo + num;
+  }
+
+  function handleDoc(doc) {
+    var key,
+        val;
+
+    // Check if we've already processed an object with this id
+    if (doc.object_id && (processed[doc.object_id] !== undefined)) {
+      return;
+    }
+    processed[doc.object_id] = true;
+    count += 1;
+
+    // Record the collector
+    key = doc.source.collector;
+    val = stats.Collectors[key];
+    if (val !== undefined) {
+      val += 1;
+    } else {
+      val = 1;
+    }
+    stats.Collectors[key] = val;
+
+    // Count the answers
+    if (doc.responses === undefined) {
+      return;
+    }
+    var r = doc.responses;
+    Object.keys(r).forEach(function (key) {
+      var val = r[key];
+      var question = stats[key];
+      if (question === undefined) {
+        question = stats[key] = {};
+        question[val] = 1;
+      } else {
+        var tally = question[val];
+        if (tally === undefined) {
+          tally = 1;
+        } else {
+          tally += 1;
+        }
+        question[val] = tally;
+      }
+    });
+  }
+
+  // Most recent first, so we count the latest response for each object.
+  this.eachChunk(conditions, { sort: 'desc', size: 5000 }, function (chunk, next) {
+    var i;
+    for (i = 0; i < chunk.length; i += 1) {
+      handleDoc(chunk[i]);
+    }
+    next();
+  }, function (error) {
+    if (error) { return done(error); }
+
+    // Calculate "no response" count for each question
+    Object.keys(stats).forEach(function (key) {
+      var stat = stats[key];
+      var sum = __.reduce(stat, summer, 0);
+      var remainder = count - sum;
+
+      stats[key]['no response'] = remainder;
+    });
+
+    done(null, stats, count);
+  });
+};
+
+/**
+ * Count responses in a grid of square cells, so maps can show clusters
+ * instead of thousands of overlapping points. Cells line up with multiples
+ * of the cell size from (-180, -90).
+ * @param  {Object}   conditions Query conditions, including the survey ID
+ * @param  {Object}   options    size: cell size in degrees; question:
+ *                               optional question to break the counts down
+ *                               by answer
+ * @param  {Function} done       Params error, list of cells. Each cell has a
+ *                               bbox, a count, the center of the responses in
+ *                               it, and, with a question, answers: an object
+ *                               that maps answers to counts, including a
+ *                               'no response' count.
+ */
+responseSchema.statics.getGrid = function getGrid(conditions, options, done) {
+  var size = options.size;
+  var project = {
+    _id: '$_id',
+    point: '$geo_info.centroid'
+  };
+  if (options.question !== undefined) {
+    project.answer = '$responses.' + options.question;
+  }
+
+  // Shift coordinates so they're never negative, since $mod keeps the sign.
+  function cellStart(field, offset) {
+    var shifted = { $add: [field, offset] };
+    return { $subtract: [shifted, { $mod: [shifted, size] }] };
+  }
+
+  this.aggregate([
+    {
+      $match: conditions
+    },
+    {
+      $project: project
+    },
+    {
+      $unwind: '$point'
+    },
+    {
+      $group: {
+        _id: '$_id',
+        x: { $first: '$point' },
+        y: { $last: '$point' },
+        answer: { $first: '$answer' }
+      }
+    },
+    {
+      $project: {
+        x: 1,
+        y: 1,
+        answer: 1,
+        cellX: cellStart('$x', 180),
+        cellY: cellStart('$y', 90)
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$cellX', y: '$cellY', answer: '$answer' },
+        count: { $sum: 1 },
+        sumX: { $sum: '$x' },
+        sumY: { $sum: '$y' }
+      }
+    }
+  ], function (error, groups) {
+    if (error) { return done(error); }
+
+    var cells = {};
+    groups.forEach(function (group) {
+      var key = group._id.x + ',' + group._id.y;
+      var cell = cells[key];
+      if (cell === undefined) {
+        cell = cells[key] = {
+          bbox: [
+            group._id.x - 180,
+            group._id.y - 90,
+            group._id.x - 180 + size,
+            group._id.y - 90 + size
+          ],
+          count: 0,
+          sumX: 0,
+          sumY: 0
+        };
+        if (options.question !== undefined) {
+          cell.answers = {};
+        }
+      }
+
+      cell.count += group.count;
+      cell.sumX += group.sumX;
+      cell.sumY += group.sumY;
+
+      if (cell.answers !== undefined) {
+        var answers = group._id.answer;
+        if (answers === undefined || answers === null) {
+          answers = ['no response'];
+        } else if (!util.isArray(answers)) {
+          answers = [answers];
+        }
+        // Multi-select responses count toward each of their answers.
+        answers.forEach(function (answer) {
+          cell.answers[answer] = (cell.answers[answer] || 0) + group.count;
+        });
+      }
+    });
+
+    done(null, __.map(cells, function (cell) {
+      cell.center = [cell.sumX / cell.count, cell.sumY / cell.count];
+      delete cell.sumX;
+      delete cell.sumY;
+      return cell;
+    }));
+  });
+};
+
+/**
+ * Tag the responses that fall in a zone with the zone's ID. We only look at
+ * responses inside the zone's bounding box, so big surveys with small zones
+ * stay fast.
+ * @param  {String}   surveyId
+ * @param  {Object}   zone     A zone Feature, with a Polygon or MultiPolygon
+ *                             geometry
+ * @param  {Function} done     Params error
+ */
+responseSchema.statics.tagZone = function tagZone(surveyId, zone, done) {
+  var Response = this;
+  var conditions = {
+    survey: surveyId,
+    'geo_info.centroid': filters.withinBox(geometryBounds(zone.geometry))
+  };
+  var options = {
+    size: 1000,
+    fields: ['geo_info.centroid']
+  };
+
+  this.eachChunk(conditions, options, function (items, next) {
+    var ids = items.filter(function (item) {
+      return util.pointInPolygon(item.geo_info.centroid, zone.geometry);
+    }).map(function (item) {
+      return item.id;
+    });
+
+    if (ids.length === 0) {
+      return next();
+    }
+
+    Response.update({
+      survey: surveyId,
+      id: { $in: ids }
+    }, {
+      $addToSet: { zones: zone.id }
+    }, {
+      multi: true
+    }, function (error) {
+      next(error);
+    });
+  }, done);
+};
+
+/**
+ * Remove a zone's ID from the responses tagged with it.
+ * @param  {String}   surveyId
+ * @param  {String}   zoneId
+ * @param  {Function} done     Params error
+ */
+responseSchema.statics.untagZone = function untagZone(surveyId, zoneId, done) {
+  this.update({
+    survey: surveyId,
+    zones: zoneId
+  }, {
+    $pull: { zones: zoneId }
+  }, {
+    multi: true
+  }, function (error) {
+    done(error);
+  });
+};
+
 var Response = module.exports = mongoose.model('Response', responseSchema, 'responseCollection');
@@ -0,0 +1,155 @@
+/*jslint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+var util = require('../util');
+
+// A revision records a change made to a response: who made it, when, what
+// kind of change it was, and what the response looked like beforehand.
+var revisionSchema = new mongoose.Schema({
+  // We don't use the native mongo ID when communicating with clients.
+  _id: { type: mongoose.Schema.Types.ObjectId, select: false },
+  __v: { type: Number, select: false },
+  id: String,
+  survey: String,
+  // ID of the response that changed
+  response: String,
+  // Sequence number of this revision, starting at 1 for each response
+  revision: Number,
+  // 'update', 'delete', or 'restore'
+  action: String,
+  // ID of the user who made the change
+  user: String,
+  created: Date,
+  // Top-level fields and answers that differ between the old and new versions
+  changed: [String],
+  // The response as it was before the change. Null if the response did not
+  // exist (for example, before restoring a deleted response).
+  data: { type: Object, default: null }
+}, {
+  autoIndex: false
+});
+
+// Indexes
+
+// We look up the history of a response in order. Revision numbers are unique,
+// so two changes saved at the same time can't get the same number.
+revisionSchema.index({ survey: 1, response: 1, revision: 1 }, { unique: true });
+
+// How many times to try again when another change takes our revision number
+var MAX_RETRIES = 5;
+
+revisionSchema.set('toObject', {
+  transform: function (doc, ret, options) {
+    return {
+      id: ret.id,
+      survey: ret.survey,
+      response: ret.response,
+      revision: ret.revision,
+      action: ret.action,
+      user: ret.user,
+      created: ret.created,
+      changed: ret.changed,
+      data: ret.data
+    };
+  }
+});
+
+// Set the ID.
+revisionSchema.pre('save', function setId(next) {
+  if (!this.id) {
+    this.id = util.uuidv1();
+  }
+  next();
+});
+
+// Set the creation date.
+revisionSchema.pre('save', function setCreated(next) {
+  if (this.created === undefined) {
+    this.created = new Date();
+  }
+  next();
+});
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the fields that differ between two versions of a response. Answers are
+ * listed individually, as 'responses.<question>'.
+ * @param  {Object} before Old version of the response, or null
+ * @param  {Object} after  New version of the response, or null
+ * @return {Array}         Names of the changed fields
+ */
+function diff(before, after) {
+  var changed = [];
+  var fields = ['object_id', 'parcel_id', 'geo_info', 'source', 'files'];
+  before = before || {};
+  after = after || {};
+
+  fields.forEach(function (field) {
+    if (!same(before[field], after[field])) {
+      changed.push(field);
+    }
+  });
+
+  var oldAnswers = before.responses || {};
+  var newAnswers = after.responses || {};
+  var seen = {};
+  Object.keys(oldAnswers).concat(Object.keys(newAnswers)).forEach(function (key) {
+    if (seen[key]) {
+      return;
+    }
+    seen[key] = true;
+    if (!same(oldAnswers[key], newAnswers[key])) {
+      changed.push('responses.' + key);
+    }
+  });
+
+  return changed;
+}
+
+revisionSchema.statics.diff = diff;
+
+/**
+ * Add a revision to the log of a response.
+ * @param  {Object}   options survey, response (the response ID), action, user,
+ *                            before (the old response object or null), and
+ *                            after (the new response object or null)
+ * @param  {Function} done    Params error, revision
+ */
+revisionSchema.statics.record = function record(options, done) {
+  var Revision = this;
+
+  function attempt(retries) {
+    Revision.count({
+      survey: options.survey,
+      response: options.response
+    }, function (error, count) {
+      if (error) { return done(error); }
+
+      var revision = new Revision({
+        survey: options.survey,
+        response: options.response,
+        revision: count + 1,
+        action: options.action,
+        user: options.user,
+        changed: diff(options.before, options.after),
+        data: options.before
+      });
+
+      revision.save(function (error, doc) {
+        // Mongo duplicate key error: another change got this number first.
+        if (error && error.code === 11000 && retries > 0) {
+          return attempt(retries - 1);
+        }
+        done(error, doc);
+      });
+    });
+  }
+
+  attempt(MAX_RETRIES);
+};
+
+var ResponseRevision = module.exports = mongoose.model('ResponseRevision', revisionSchema, 'responseRevisionCollection');
@@ -4,9 +4,32 @@
 var mongoose = require('mongoose');
 var makeSlug = require('slugs');
 var util = require('../util');
-var __ = require('lodash');
+var Org = require('./Org');
+
+// Survey roles, from most to least powerful
+//   owner: manages the survey and its members
+//   editor: changes forms, zones, and assignments, and edits or deletes
+//     responses
+//   collector: adds responses
+//   viewer: reads and exports responses
+var ROLES = ['owner', 'editor', 'collector', 'viewer'];
+
+// The roles that each role includes. Collectors and viewers can't do each
+// other's jobs.
+var ROLE_INCLUDES = {
+  owner: ['owner', 'editor', 'collector', 'viewer'],
+  editor: ['editor', 'collector', 'viewer'],
+  collector: ['collector'],
+  viewer: ['viewer']
+};
+
+var memberSchema = new mongoose.Schema({
+  user: String,
+  role: { type: String, enum: ROLES }
+}, {
+  _id: false
+});
 
-// TODO: zones
 var surveySchema = new mongoose.Schema({
   // We don't use the native mongo ID when communicating with clients.
   _id: { type: mongoose.Schema.Types.ObjectId, select: false },
@@ -21,7 +44,15 @@ var surveySchema = new mongoose.Schema({
   // Location of the survey (eg 'Detroit, MI')
   location: String,
   // For safety, exclude the users list by default.
+  // This is the IDs of all of the members, whatever their role. We keep it in
+  // sync with members, so we can quickly find a user's surveys.
   users: { type: [String], select: false },
+  // Users and their roles. Surveys from before we had roles only have the
+  // users list, and those users are owners.
+  members: { type: [memberSchema], select: false },
+  // ID of the org that owns the survey, if any. Org members get roles on the
+  // survey through their org roles.
+  org: String,
   paperinfo: {
     type: {
       dpi: { type: Number, required: true },
@@ -32,24 +63,41 @@ var surveySchema = new mongoose.Schema({
     },
     required: null
   },
+  // How strictly to check responses against the survey's mobile form:
+  // 'off', 'warn' (save them, but report problems), or 'reject'
+  responseValidation: {
+    type: String,
+    enum: ['off', 'warn', 'reject'],
+    default: 'off'
+  },
+  // Who can read the survey and its responses without being a member:
+  //   'public': anyone
+  //   'link-only': anyone with the survey's ID or link can view it and
+  //     individual responses, but only members can list, search, or export
+  //     responses in bulk
+  //   'private': only members
+  // New surveys are link-only, so their data isn't open until an owner
+  // chooses to make it public.
+  visibility: {
+    type: String,
+    enum: ['public', 'link-only', 'private'],
+    default: 'link-only'
+  },
+  // Whether people without an account can add responses, for public-facing
+  // surveys. If false, only collectors can.
+  anonymousResponses: {
+    type: Boolean,
+    default: true
+  },
+  // Named areas of the survey, like neighborhoods, as a GeoJSON
+  // FeatureCollection. Each zone is a Polygon or MultiPolygon Feature with an
+  // id and a name property. We tag responses with the IDs of the zones they
+  // fall in.
   zones: {
     type: {
       type: String
     },
     features: []
-  },
-  exports: {
-    type: {
-      shapefile: {
-        type: {
-          requested: Date,
-          url: String
-        },
-        required: false
-      }
-    },
-    required: false,
-    select: false
   }
 }, {
   autoIndex: false
@@ -66,6 +114,9 @@ surveySchema.index({ id: 1 });
 // Index the users
 surveySchema.index({ users: 1 });
 
+// Index the org, so we can list an org's surveys
+surveySchema.index({ org: 1 });
+
 surveySchema.set('toObject', {
   transform: function (doc, ret, options) {
     return {
@@ -76,7 +127,11 @@ surveySchema.set('toObject', {
       type: ret.type,
       location: ret.location,
       paperinfo: ret.paperinfo,
-      zones: ret.zones
+      responseValidation: ret.responseValidation,
+      visibility: ret.visibility,
+      anonymousResponses: ret.anonymousResponses,
+      zones: ret.zones,
+      org: ret.org
     };
   }
 });
@@ -121,20 +176,238 @@ surveySchema.pre('save', function setId(next) {
   next();
 });
 
+surveySchema.statics.ROLES = ROLES;
+
 /**
- * Return a survey if it is owned by the user.
- * @param  {String}  surveyId ID of the survey
+ * Check if a role includes another role.
+ * @param  {String}  role     The role someone has
+ * @param  {String}  required The role they need
+ * @return {Boolean}
+ */
+surveySchema.statics.roleIncludes = function roleIncludes(role, required) {
+  var included = ROLE_INCLUDES[role];
+  return included !== undefined && included.indexOf(required) !== -1;
+};
+
+/**
+ * Check if people who aren't members can read a survey.
+ * @param  {Object}  survey  A survey, with the visibility field
+ * @param  {String}  purpose 'bulk' to list, search, or export responses, or
+ *                           'view' or 'collect' to look at the survey
+ * @return {Boolean}
+ */
+surveySchema.statics.isReadableByAnyone = function isReadableByAnyone(survey, purpose) {
+  // Surveys from before we had visibility are link-only, like new ones.
+  // maintenance/ensureStructure.js sets the field on them.
+  var visibility = survey.visibility || 'link-only';
+  if (visibility === 'public') {
+    return true;
+  }
+  return visibility === 'link-only' && purpose !== 'bulk';
+};
+
+/**
+ * Get the members of a survey.
+ * @param  {Object} survey A survey, with the users and members fields
+ * @return {Array}         { user, role } objects
+ */
+surveySchema.statics.getMembers = function getMembers(survey) {
+  if (survey.members && survey.members.length > 0) {
+    return survey.members.map(function (member) {
+      return {
+        user: member.user,
+        role: member.role
+      };
+    });
+  }
+
+  // Surveys from before we had roles
+  return (survey.users || []).map(function (user) {
+    return {
+      user: user,
+      role: 'owner'
+    };
+  });
+};
+
+/**
+ * Get a user's role on a survey.
+ * @param  {Object} survey A survey, with the users and members fields
  * @param  {String} userId
+ * @return {String}        The role, or null if the user isn't a member
+ */
+surveySchema.statics.getRole = function getRole(survey, userId) {
+  var member = this.getMembers(survey).filter(function (item) {
+    return item.user === userId;
+  })[0];
+  return member === undefined ? null : member.role;
+};
+
+/**
+ * Get a user's role on a survey, including the role they get through the org
+ * that owns it.
+ * @param  {Object}   survey A survey, with the users, members, and org fields
+ * @param  {String}   userId
+ * @param  {Function} done   Called with an error or the role, which is null
+ *                           if the user has no role
+ */
+surveySchema.statics.findRole = function findRole(survey, userId, done) {
+  var Survey = this;
+  var role = this.getRole(survey, userId);
+
+  if (!survey.org) {
+    return done(null, role);
+  }
+
+  Org.findOne({ _id: survey.org })
+  .select('+users +members')
+  .lean()
+  .exec(function (error, org) {
+    if (error) { return done(error); }
+    if (org === null) {
+      return done(null, role);
+    }
+
+    var orgRole = Org.getSurveyRole(Org.getRole(org, userId));
+
+    // Use the more powerful role.
+    if (role === null || (orgRole !== null && Survey.roleIncludes(orgRole, role))) {
+      role = orgRole;
+    }
+    done(null, role);
+  });
+};
+
+/**
+ * Surveys from before we had roles only list their users, who are all owners.
+ * Write those out as members, so we can change members one at a time.
+ * @param  {Object}   survey A survey, with the users and members fields
+ * @param  {Function} done   Params error
+ */
+surveySchema.statics.upgradeMembers = function upgradeMembers(survey, done) {
+  if ((survey.members && survey.members.length > 0) ||
+      !survey.users || survey.users.length === 0) {
+    return done(null);
+  }
+
+  this.update({
+    id: survey.id,
+    'members.0': { $exists: false }
+  }, {
+    $set: { members: this.getMembers(survey) }
+  }, function (error) {
+    done(error);
+  });
+};
+
+/**
+ * Change a member's role in place, so concurrent changes to other members
+ * don't overwrite each other.
+ * @param  {String}   surveyId
+ * @param  {String}   userId
+ * @param  {String}   role
+ * @param  {Function} done     Params error, found (false if the user isn't a
+ *                             member)
+ */
+surveySchema.statics.setMemberRole = function setMemberRole(surveyId, userId, role, done) {
+  this.update({
+    id: surveyId,
+    'members.user': userId
+  }, {
+    $set: { 'members.$.role': role }
+  }, function (error, count) {
+    done(error, count > 0);
+  });
+};
+
+/**
+ * Give a user a role on a survey, adding them if they aren't a member yet.
+ * @param  {String}   surveyId
+ * @param  {String}   userId
+ * @param  {String}   role
+ * @param  {Function} done     Params error
+ */
+surveySchema.statics.addMember = function addMember(surveyId, userId, role, done) {
+  var Survey = this;
+
+  function add(retry) {
+    Survey.setMemberRole(surveyId, userId, role, function (error, found) {
+      if (error || found) { return done(error); }
+
+      Survey.update({
+        id: surveyId,
+        'members.user': { $ne: userId }
+      }, {
+        $push: { members: { user: userId, role: role } },
+        $addToSet: { users: userId }
+      }, function (error, count) {
+        if (error) { return done(error); }
+        // Someone else added them in the meantime, so change their role
+        // instead.
+        if (count === 0 && retry) {
+          return add(false);
+        }
+        done(null);
+      });
+    });
+  }
+
+  add(true);
+};
+
+/**
+ * Remove someone from a survey.
+ * @param  {String}   surveyId
+ * @param  {String}   userId
+ * @param  {Boolean}  keepOwner Only remove them if another member is an owner
+ * @param  {Function} done      Params error, removed
+ */
+surveySchema.statics.removeMember = function removeMember(surveyId, userId, keepOwner, done) {
+  var conditions = {
+    id: surveyId,
+    'members.user': userId
+  };
+  if (keepOwner) {
+    conditions.members = {
+      $elemMatch: { role: 'owner', user: { $ne: userId } }
+    };
+  }
+
+  this.update(conditions, {
+    $pull: {
+      members: { user: userId },
+      users: userId
+    }
+  }, function (error, count) {
+    done(error, count > 0);
+  });
+};
+
+/**
+ * Return a survey if the user has a role on it.
+ * @param  {String}   surveyId ID of the survey
+ * @param  {String}   userId
+ * @param  {String}   role     The role the user needs. Roles include less
+ *                             powerful roles, so owners are also editors.
+ *                             If null, any member will do.
  * @param  {Function} callback params error, survey
  *                             error in format { code, message }
  */
- surveySchema.statics.findIfOwnedByUser = function (surveyId, userId, cb) {
+surveySchema.statics.findIfUserHasRole = function (surveyId, userId, role, cb) {
+  var Survey = this;
+
   // Must include a userId parameter
   if(userId === undefined) {
     cb({code: 401, name: "UnauthorizedError", message: "No user specified"});
+    return;
   }
 
-  this.find({ id: surveyId }).select('+users').exec(function(error, surveys) {
+  this.find({ id: surveyId }).select('+users +members').exec(function(error, surveys) {
+    if (error) {
+      cb({code: 500, name: error.name, message: error.message});
+      return;
+    }
+
     if (surveys.length === 0) {
       cb({code: 404, name: "SurveyNotFoundError", message: "Survey not found"});
       return;
@@ -147,17 +420,52 @@ surveySchema.pre('save', function setId(next) {
     }
 
     var survey = surveys[0];
+    Survey.findRole(survey, userId, function (error, userRole) {
+      if (error) {
+        cb({code: 500, name: error.name, message: error.message});
+        return;
+      }
 
-    if (__.contains(survey.users, userId)) {
-      survey.users = undefined; // for security
-      cb(null, survey);
-      return;
-    }
+      if (userRole !== null && (!role || Survey.roleIncludes(userRole, role))) {
+        // for security
+        survey.users = undefined;
+        survey.members = undefined;
+        cb(null, survey, userRole);
+        return;
+      }
 
-    cb({code: 403, name:"ForbiddenError", message: "Access denied"});
+      cb({code: 403, name:"ForbiddenError", message: "Access denied"});
+    });
   });
+};
 
+/**
+ * Return a survey if it is owned by the user.
+ * @param  {String}  surveyId ID of the survey
+ * @param  {String} userId
+ * @param  {Function} callback params error, survey
+ *                             error in format { code, message }
+ */
+surveySchema.statics.findIfOwnedByUser = function (surveyId, userId, cb) {
+  this.findIfUserHasRole(surveyId, userId, 'owner', cb);
 };
 
+/**
+ * Find the zones that contain a point.
+ * @param  {Object} zones  A survey's zones FeatureCollection
+ * @param  {Array}  point  [lon, lat]
+ * @return {Array}         IDs of the zones
+ */
+surveySchema.statics.zonesContaining = function zonesContaining(zones, point) {
+  if (!zones || !util.isArray(zones.features) || !util.isArray(point) || point.length !== 2) {
+    return [];
+  }
+
+  return zones.features.filter(function (zone) {
+    return zone.geometry && util.pointInPolygon(point, zone.geometry);
+  }).map(function (zone) {
+    return zone.id;
+  });
+};
 
 var Survey = module.exports = mongoose.model('Survey', surveySchema, 'surveyCollection');
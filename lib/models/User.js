@@ -3,12 +3,48 @@
 
 var mongoose = require('mongoose');
 var bcrypt = require('bcrypt');
+var crypto = require('crypto');
 var util = require('../util');
 
 function hashToken(item) {
   return bcrypt.hashSync(item, 10);
 }
 
+// Access levels for API tokens
+var TOKEN_ACCESS = ['read', 'write'];
+
+// A personal access token for scripts and other non-browser clients. Clients
+// send "<id>.<secret>", and we only store a hash of the secret, since it's a
+// password equivalent.
+var tokenSchema = new mongoose.Schema({
+  id: String,
+  name: String,
+  hashedToken: String,
+  // Limit the token to one survey. If empty, the token works with all of the
+  // user's surveys.
+  survey: String,
+  // read tokens can only make GET requests.
+  access: { type: String, enum: TOKEN_ACCESS, default: 'read' },
+  created: Date,
+  lastUsed: Date
+}, {
+  _id: false
+});
+
+// Leave out the hashed secret.
+tokenSchema.set('toObject', {
+  transform: function (doc, ret, options) {
+    return {
+      id: ret.id,
+      name: ret.name,
+      survey: ret.survey,
+      access: ret.access,
+      created: ret.created,
+      lastUsed: ret.lastUsed
+    };
+  }
+});
+
 var userSchema = new mongoose.Schema({
   //_id: { type: mongoose.Schema.Types.ObjectId, select: true },
   // We don't use the Mongoose version number when communicating with clients.
@@ -26,7 +62,9 @@ var userSchema = new mongoose.Schema({
       expiry: Date
     },
     required: false
-  }
+  },
+  // API tokens. For safety, exclude them by default.
+  tokens: { type: [tokenSchema], select: false }
 }, {
   autoIndex: false
 });
@@ -34,6 +72,8 @@ var userSchema = new mongoose.Schema({
 // Indexes
 // Make sure email is unique
 userSchema.index({ email: 1 }, { unique: true });
+// Look up users by API token
+userSchema.index({ 'tokens.id': 1 });
 
 userSchema.virtual('password').set(function (password) {
   this.hash = hashToken(password);
@@ -46,6 +86,69 @@ userSchema.methods.validPassword = function validPassword(password) {
 userSchema.methods.hashToken = hashToken;
 userSchema.statics.hashToken = hashToken;
 
+/**
+ * Add an API token to the user. Save the user to keep it.
+ * @param  {Object} options name, survey, and access for the token
+ * @return {Object}         The token, with the value clients should send.
+ *                          This is the only time we have the value.
+ */
+userSchema.methods.addToken = function addToken(options) {
+  var id = util.uuidv1();
+  var secret = crypto.randomBytes(24).toString('hex');
+
+  if (this.tokens === undefined) {
+    this.tokens = [];
+  }
+  this.tokens.push({
+    id: id,
+    name: options.name,
+    hashedToken: hashToken(secret),
+    survey: options.survey,
+    access: options.access,
+    created: new Date()
+  });
+
+  var token = this.tokens[this.tokens.length - 1].toObject();
+  token.value = id + '.' + secret;
+  return token;
+};
+
+/**
+ * Find the user for an API token.
+ * @param  {String}   value The "<id>.<secret>" token value
+ * @param  {Function} done  Called with an error, or the user and the token.
+ *                          The user is null if the token isn't valid.
+ */
+userSchema.statics.findByToken = function findByToken(value, done) {
+  var parts = value.split('.');
+  if (parts.length !== 2) {
+    return done(null, null);
+  }
+
+  this.findOne({ 'tokens.id': parts[0] })
+  .select('+tokens')
+  .exec(function (error, user) {
+    if (error) { return done(error); }
+    if (user === null) {
+      return done(null, null);
+    }
+
+    var token = user.tokens.filter(function (item) {
+      return item.id === parts[0];
+    })[0];
+
+    bcrypt.compare(parts[1], token.hashedToken, function (error, valid) {
+      if (error) { return done(error); }
+      if (!valid) {
+        return done(null, null);
+      }
+      done(null, user, token);
+    });
+  });
+};
+
+userSchema.statics.TOKEN_ACCESS = TOKEN_ACCESS;
+
 // By default, don't include the password hash when turning a User document
 // into an object.
 userSchema.set('toObject', {
@@ -7,6 +7,12 @@ var forms = require('./controllers/forms');
 var users = require('./controllers/users');
 var parcels = require('./controllers/parcels');
 var orgs = require('./controllers/orgs');
+var tiles = require('./controllers/tiles');
+var zones = require('./controllers/zones');
+var assignments = require('./controllers/assignments');
+var tokens = require('./controllers/tokens');
+var members = require('./controllers/members');
+var invites = require('./controllers/invites');
 
 function formatHelper(format) {
   return function setFormat(req, res, next) {
@@ -24,29 +30,80 @@ function enforceHTTPS(req, res, next) {
 }
 
 exports.setup = function setup(app) {
+  // Enforce the survey visibility settings on routes that read survey data.
+  var canView = users.ensureSurveyReadable('view');
+  var canReadAll = users.ensureSurveyReadable('bulk');
+  var canCollect = users.ensureSurveyReadable('collect');
+
   // Surveys
   app.get('/api/surveys', users.ensureAuthenticated, surveys.list);
-  app.get('/api/surveys/:surveyId', surveys.get);
+  app.get('/api/surveys/:surveyId', canCollect, surveys.get);
   app.post('/api/surveys', users.ensureAuthenticated, surveys.post);
-  app.put('/api/surveys/:surveyId', users.ensureAuthenticated, users.ensureSurveyAccess, surveys.put);
-  app.get('/api/surveys/:surveyId/stats', surveys.stats);
+  app.put('/api/surveys/:surveyId', users.ensureAuthenticated, users.ensureSurveyRole('owner'), surveys.put);
+  app.get('/api/surveys/:surveyId/stats', canView, surveys.stats);
+  app.get('/api/surveys/:surveyId/progress', canView, surveys.progress);
+  app.put('/api/surveys/:surveyId/owner', users.ensureAuthenticated, users.ensureSurveyRole('owner'), surveys.transfer);
   app.get('/api/slugs/:slug', surveys.getSlug);
 
+  // Members
+  app.get('/api/surveys/:surveyId/members', users.ensureAuthenticated, users.ensureSurveyRole('viewer'), members.list);
+  app.post('/api/surveys/:surveyId/members', users.ensureAuthenticated, users.ensureSurveyRole('owner'), members.post);
+  app.put('/api/surveys/:surveyId/members/:userId', users.ensureAuthenticated, users.ensureSurveyRole('owner'), members.put);
+  app.del('/api/surveys/:surveyId/members', users.ensureAuthenticated, users.ensureSurveyRole('owner'), members.del);
+  app.del('/api/surveys/:surveyId/members/:userId', users.ensureAuthenticated, users.ensureSurveyRole('owner'), members.del);
+
+  // Invites
+  app.get('/api/surveys/:surveyId/invites', users.ensureAuthenticated, users.ensureSurveyRole('owner'), invites.list);
+  app.post('/api/surveys/:surveyId/invites', users.ensureAuthenticated, users.ensureSurveyRole('owner'), invites.post);
+  app.del('/api/surveys/:surveyId/invites/:inviteId', users.ensureAuthenticated, users.ensureSurveyRole('owner'), invites.del);
+  app.get('/api/orgs/:orgId/invites', users.ensureAuthenticated, orgs.ensureAdmin, invites.list);
+  app.post('/api/orgs/:orgId/invites', users.ensureAuthenticated, orgs.ensureAdmin, invites.post);
+  app.del('/api/orgs/:orgId/invites/:inviteId', users.ensureAuthenticated, orgs.ensureAdmin, invites.del);
+  app.post('/api/invites/accept', enforceHTTPS, users.ensureAuthenticated, invites.accept);
+
+  // Zones
+  app.get('/api/surveys/:surveyId/zones', canCollect, zones.list);
+  app.get('/api/surveys/:surveyId/zones/:zoneId', canCollect, zones.get);
+  app.post('/api/surveys/:surveyId/zones', users.ensureAuthenticated, users.ensureSurveyRole('editor'), zones.post);
+  app.put('/api/surveys/:surveyId/zones/:zoneId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), zones.put);
+  app.del('/api/surveys/:surveyId/zones/:zoneId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), zones.del);
+
+  // Assignments
+  app.get('/api/surveys/:surveyId/assignments', users.ensureAuthenticated, users.ensureSurveyRole('viewer'), assignments.list);
+  app.get('/api/surveys/:surveyId/assignments/mine', canCollect, assignments.mine);
+  app.get('/api/surveys/:surveyId/assignments/:assignmentId', users.ensureAuthenticated, users.ensureSurveyRole('viewer'), assignments.get);
+  app.post('/api/surveys/:surveyId/assignments', users.ensureAuthenticated, users.ensureSurveyRole('editor'), assignments.post);
+  app.put('/api/surveys/:surveyId/assignments/:assignmentId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), assignments.put);
+  app.del('/api/surveys/:surveyId/assignments/:assignmentId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), assignments.del);
+  app.get('/api/surveys/:surveyId/collectors', users.ensureAuthenticated, users.ensureSurveyRole('viewer'), assignments.collectors);
+
   // Responses
-  app.get('/api/surveys/:surveyId/responses', responses.list);
-  app.get('/api/surveys/:surveyId/responses.geojson', formatHelper('geojson'), responses.list);
-  app.get('/api/surveys/:surveyId/responses/:responseId', responses.get);
-  app.del('/api/surveys/:surveyId/responses/:responseId', users.ensureAuthenticated, users.ensureSurveyAccess, responses.del);
-  app.post('/api/surveys/:surveyId/responses', responses.post);
-  app.get('/api/surveys/:surveyId/responses.csv', responses.sendCSV);
-  app.get('/api/surveys/:surveyId/responses.kml', responses.sendKML);
-  app.get('/api/surveys/:surveyId/responses.zip', responses.handleShapefile);
+  app.get('/api/surveys/:surveyId/responses', canReadAll, responses.list);
+  app.get('/api/surveys/:surveyId/responses.geojson', canReadAll, formatHelper('geojson'), responses.list);
+  app.get('/api/surveys/:surveyId/responses/grid', canView, responses.grid);
+  app.post('/api/surveys/:surveyId/responses/search', canReadAll, responses.search);
+  app.get('/api/surveys/:surveyId/responses/:responseId', canView, responses.get);
+  app.put('/api/surveys/:surveyId/responses/:responseId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), responses.put);
+  app.del('/api/surveys/:surveyId/responses/:responseId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), responses.del);
+  app.get('/api/surveys/:surveyId/responses/:responseId/history', users.ensureAuthenticated, users.ensureSurveyRole('viewer'), responses.history);
+  app.post('/api/surveys/:surveyId/responses/:responseId/restore', users.ensureAuthenticated, users.ensureSurveyRole('editor'), responses.restore);
+  // Unless the survey turns it off, anyone can add responses, so collectors
+  // can use the mobile app without an account.
+  app.post('/api/surveys/:surveyId/responses', users.ensureCanRespond, responses.post);
+  app.get('/api/surveys/:surveyId/responses.csv', canReadAll, responses.sendCSV);
+  app.get('/api/surveys/:surveyId/responses.kml', canReadAll, responses.sendKML);
+  app.get('/api/surveys/:surveyId/responses.zip', canReadAll, responses.handleShapefile);
+  app.get('/api/surveys/:surveyId/responses.gpkg', canReadAll, responses.sendGeoPackage);
+  app.get('/api/surveys/:surveyId/responses.xlsx', canReadAll, responses.sendXLSX);
+  app.get('/api/surveys/:surveyId/exports/:jobId', canReadAll, responses.getExportJob);
+  app.get('/api/surveys/:surveyId/tiles/:z/:x/:y.pbf', canReadAll, tiles.responses);
 
   // Forms
-  app.get('/api/surveys/:surveyId/forms', forms.list);
-  app.get('/api/surveys/:surveyId/forms/:formId', forms.get);
-  app.post('/api/surveys/:surveyId/forms', users.ensureAuthenticated, users.ensureSurveyAccess,  forms.post);
-  app.put('/api/surveys/:surveyId/forms/:formId', users.ensureAuthenticated, users.ensureSurveyAccess, forms.put);
+  app.get('/api/surveys/:surveyId/forms', canCollect, forms.list);
+  app.get('/api/surveys/:surveyId/forms/:formId', canCollect, forms.get);
+  app.get('/api/surveys/:surveyId/forms/:formId/versions', canView, forms.versions);
+  app.post('/api/surveys/:surveyId/forms', users.ensureAuthenticated, users.ensureSurveyRole('editor'), forms.post);
+  app.put('/api/surveys/:surveyId/forms/:formId', users.ensureAuthenticated, users.ensureSurveyRole('editor'), forms.put);
 
   // Users
   app.get('/api/user', users.ensureAuthenticated, users.get);
@@ -57,15 +114,26 @@ exports.setup = function setup(app) {
   app.post('/api/user/forgot', users.forgotPassword);
   app.post('/api/user/reset', enforceHTTPS, users.resetPassword);
 
+  // API tokens
+  app.get('/api/user/tokens', users.ensureAuthenticated, tokens.list);
+  app.post('/api/user/tokens', enforceHTTPS, users.ensureAuthenticated, tokens.post);
+  app.put('/api/user/tokens/:tokenId', users.ensureAuthenticated, tokens.put);
+  app.del('/api/user/tokens/:tokenId', users.ensureAuthenticated, tokens.del);
+
   // Orgs
   app.get('/api/orgs', orgs.list);
   app.get('/api/orgs/:orgId', users.ensureAuthenticated, orgs.get);
   app.post('/api/orgs', users.ensureAuthenticated, orgs.post);
   app.put('/api/orgs/:orgId', users.ensureAuthenticated, orgs.put);
+  app.get('/api/orgs/:orgId/members', users.ensureAuthenticated, orgs.listMembers);
+  app.post('/api/orgs/:orgId/members', users.ensureAuthenticated, orgs.addMember);
+  app.del('/api/orgs/:orgId/members/:userId', users.ensureAuthenticated, orgs.removeMember);
+  app.get('/api/orgs/:orgId/surveys', users.ensureAuthenticated, orgs.listSurveys);
   app.get('/api/users/:user/orgs', users.ensureAuthenticated, orgs.list);
   app.get('/api/user/orgs', users.ensureAuthenticated, orgs.listForCurrentUser);
 
   // Parcels
   app.get('/api/parcels', parcels.get);
   app.get('/api/parcels.geojson', parcels.useCache, parcels.getGeoJSON);
+  app.get('/api/parcels/tiles/:z/:x/:y.pbf', parcels.useCache, parcels.getTile);
 };
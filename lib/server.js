@@ -22,6 +22,7 @@ var passport = require('passport');
 
 var settings = require('../settings');
 var routes = require('./routes');
+var users = require('./controllers/users');
 var postgres = require('./postgres');
 
 // Basic app variables
@@ -126,7 +127,7 @@ app.use(express.compress());
 // Add common headers
 app.use(function(req, res, next) {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Headers", "Origin, X-Mime-Type, X-Requested-With, X-File-Name, Content-Type");
+  res.header("Access-Control-Allow-Headers", "Origin, X-Mime-Type, X-Requested-With, X-File-Name, Content-Type, Authorization");
   next();
 });
 
@@ -148,6 +149,9 @@ function setupAuth(db) {
   // persistent login sessions (recommended).
   app.use(passport.initialize());
   app.use(passport.session());
+
+  // Scripts and other clients without a session can use API tokens.
+  app.use(users.tokenAuth);
 }
 
 function setupRoutes() {
@@ -164,12 +168,6 @@ function setupRoutes() {
     remotePrefix: settings.appPrefix
   }));
 
-  // Serve tile stuff
-  app.use(s3({
-    pathPrefix: '/tiles',
-    remotePrefix: settings.tilePrefix
-  }));
-
   // Redirect HTTP dashboard requests to HTTPS
   app.use(function (req, res, next) {
     if (req.path === '/' || req.path === '' || req.path === '/index.html') {
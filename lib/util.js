@@ -42,4 +42,147 @@ util.getPagingParams = function getPagingParams(request) {
   };
 };
 
+// Parse the cursor paging information from a request's query parameters.
+// Cursor paging needs a count and, after the first page, the cursor from the
+// previous page. Returns null if the client isn't using cursor paging.
+util.getCursorParams = function getCursorParams(request) {
+  var count = parseInt(request.query.count, 10);
+
+  if (isNaN(count) || request.query.startIndex !== undefined) {
+    return null;
+  }
+
+  var cursor = null;
+  if (request.query.cursor !== undefined) {
+    cursor = util.decodeCursor(request.query.cursor);
+    if (cursor === null) {
+      return null;
+    }
+  }
+
+  return {
+    count: count,
+    cursor: cursor
+  };
+};
+
+// Make an opaque cursor that points just past an item with created and id
+// fields.
+util.encodeCursor = function encodeCursor(item) {
+  var created = new Date(item.created).toISOString();
+  return (new Buffer(JSON.stringify([created, item.id]))).toString('base64');
+};
+
+// Decode a cursor made by encodeCursor. Returns null if it's invalid.
+util.decodeCursor = function decodeCursor(string) {
+  var info;
+  try {
+    info = JSON.parse((new Buffer(string, 'base64')).toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (!util.isArray(info) || info.length !== 2 || typeof info[1] !== 'string') {
+    return null;
+  }
+
+  var created = new Date(info[0]);
+  if (isNaN(created.getTime())) {
+    return null;
+  }
+
+  return {
+    created: created,
+    id: info[1]
+  };
+};
+
+// Add conditions to select the items after a cursor, when sorting by created
+// and then id, in ascending ('asc') or descending ('desc') order.
+util.addCursorConditions = function addCursorConditions(conditions, cursor, sort) {
+  var op = (sort === 'asc') ? '$gt' : '$lt';
+  var before = {};
+  var tie = {};
+  before.created = {};
+  before.created[op] = cursor.created;
+  tie.created = cursor.created;
+  tie.id = {};
+  tie.id[op] = cursor.id;
+
+  // Don't clobber any existing $or clause.
+  var clause = { $or: [before, tie] };
+  conditions.$and = (conditions.$and || []).concat([clause]);
+  return conditions;
+};
+
+// Escape text for use in XML content or attributes.
+util.escapeXML = function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Check if a [lon, lat] point is inside a ring, by counting crossings of a
+// ray from the point.
+function inRing(point, ring) {
+  var inside = false;
+  var i;
+  var j;
+  for (i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    var a = ring[i];
+    var b = ring[j];
+    if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+        point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Check if a [lon, lat] point is inside a GeoJSON Polygon or MultiPolygon,
+// treating coordinates as planar.
+util.pointInPolygon = function pointInPolygon(point, geometry) {
+  function inPolygon(rings) {
+    if (!inRing(point, rings[0])) {
+      return false;
+    }
+    // Holes
+    return !rings.slice(1).some(function (ring) {
+      return inRing(point, ring);
+    });
+  }
+
+  if (geometry.type === 'Polygon') {
+    return inPolygon(geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(inPolygon);
+  }
+  return false;
+};
+
+/**
+ * Measure how much of a set of parcels has been surveyed.
+ * @param  {Array}  objectIds Object IDs of the parcels
+ * @param  {Object} surveyed  Maps the object IDs with responses to true
+ * @return {Object}           surveyed, remaining, and total counts, and the
+ *                            percent surveyed
+ */
+util.progress = function progress(objectIds, surveyed) {
+  var done = objectIds.filter(function (objectId) {
+    return surveyed[objectId] === true;
+  }).length;
+  var total = objectIds.length;
+
+  return {
+    surveyed: done,
+    remaining: total - done,
+    total: total,
+    percent: total === 0 ? 0 : Math.round(1000 * done / total) / 10
+  };
+};
+
 util.uuidv1 = uuid.v1;
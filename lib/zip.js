@@ -0,0 +1,134 @@
+/*jslint node: true */
+'use strict';
+
+/*
+ * ==================================================
+ * ZIP archives
+ * ==================================================
+ *
+ * Builds a ZIP archive in memory from a list of files. We only need to write
+ * small archives of generated files, like shapefile bundles, so this doesn't
+ * support streaming, ZIP64, or anything else fancy.
+ */
+
+var async = require('async');
+var crc32 = require('buffer-crc32');
+var zlib = require('zlib');
+
+// Flag for UTF-8 filenames
+var UTF8_FLAG = 0x0800;
+// Compression method
+var DEFLATE = 8;
+// Version 2.0 of the spec covers deflate
+var VERSION = 20;
+
+// Convert a date to MS-DOS format.
+function dosTime(date) {
+  return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+}
+
+function dosDate(date) {
+  return ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+}
+
+function localHeader(entry) {
+  var header = new Buffer(30 + entry.name.length);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(UTF8_FLAG, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressed.length, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.name.length, 26);
+  header.writeUInt16LE(0, 28);
+  entry.name.copy(header, 30);
+  return header;
+}
+
+function centralHeader(entry) {
+  var header = new Buffer(46 + entry.name.length);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(UTF8_FLAG, 8);
+  header.writeUInt16LE(DEFLATE, 10);
+  header.writeUInt16LE(entry.time, 12);
+  header.writeUInt16LE(entry.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressed.length, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt16LE(0, 30); // Extra field length
+  header.writeUInt16LE(0, 32); // Comment length
+  header.writeUInt16LE(0, 34); // Disk number
+  header.writeUInt16LE(0, 36); // Internal attributes
+  header.writeUInt32LE(0, 38); // External attributes
+  header.writeUInt32LE(entry.offset, 42);
+  entry.name.copy(header, 46);
+  return header;
+}
+
+function endRecord(count, size, offset) {
+  var record = new Buffer(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(0, 4);
+  record.writeUInt16LE(0, 6);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  record.writeUInt16LE(0, 20);
+  return record;
+}
+
+/**
+ * Make a ZIP archive.
+ * @param  {Array}    files List of objects with name and data (a Buffer or a
+ *                          String) properties
+ * @param  {Function} done  Params error, Buffer with the archive
+ */
+exports.create = function create(files, done) {
+  var now = new Date();
+
+  async.mapSeries(files, function (file, next) {
+    var data = Buffer.isBuffer(file.data) ? file.data : new Buffer(file.data, 'utf8');
+
+    zlib.deflateRaw(data, function (error, compressed) {
+      if (error) { return next(error); }
+      next(null, {
+        name: new Buffer(file.name, 'utf8'),
+        time: dosTime(now),
+        date: dosDate(now),
+        crc: crc32.unsigned(data),
+        size: data.length,
+        compressed: compressed
+      });
+    });
+  }, function (error, entries) {
+    if (error) { return done(error); }
+
+    var buffers = [];
+    var offset = 0;
+
+    entries.forEach(function (entry) {
+      var header = localHeader(entry);
+      entry.offset = offset;
+      buffers.push(header, entry.compressed);
+      offset += header.length + entry.compressed.length;
+    });
+
+    var directoryOffset = offset;
+    var directorySize = 0;
+    entries.forEach(function (entry) {
+      var header = centralHeader(entry);
+      buffers.push(header);
+      directorySize += header.length;
+    });
+
+    buffers.push(endRecord(entries.length, directorySize, directoryOffset));
+    done(null, Buffer.concat(buffers));
+  });
+};
@@ -13,8 +13,13 @@
 var makeSlug = require('slugs');
 var mongoose = require('mongoose');
 
+var Assignment = require('../lib/models/Assignment');
+var ExportJob = require('../lib/models/ExportJob');
 var Form = require('../lib/models/Form');
+var FormVersion = require('../lib/models/FormVersion');
+var Invite = require('../lib/models/Invite');
 var Response = require('../lib/models/Response');
+var ResponseRevision = require('../lib/models/ResponseRevision');
 var Survey = require('../lib/models/Survey');
 var User = require('../lib/models/User');
 
@@ -114,11 +119,27 @@ function ensureStructure(db, callback) {
     });
   }
 
+  // Surveys from before we had visibility were readable by anyone. Make them
+  // link-only, like new surveys, so only members can pull their responses in
+  // bulk. Owners can make them public again.
+  function ensureVisibility(done) {
+    Survey.update({ visibility: { $exists: false } }, {
+      $set: { visibility: 'link-only' }
+    }, { multi: true }, function (error) {
+      done(error);
+    });
+  }
+
   // Wrap the calls in closures, so we can chain them.
   function ensureUser(error) { User.ensureIndexes(error); }
   function ensureResponse(error) { Response.ensureIndexes(error); }
   function ensureForm(error) { Form.ensureIndexes(error); }
   function ensureSurvey(error) { Survey.ensureIndexes(error); }
+  function ensureFormVersion(error) { FormVersion.ensureIndexes(error); }
+  function ensureResponseRevision(error) { ResponseRevision.ensureIndexes(error); }
+  function ensureExportJob(error) { ExportJob.ensureIndexes(error); }
+  function ensureAssignment(error) { Assignment.ensureIndexes(error); }
+  function ensureInvite(error) { Invite.ensureIndexes(error); }
   
   // Chain everything together
   chain([
@@ -126,7 +147,13 @@ function ensureStructure(db, callback) {
     ensureResponse,
     ensureForm,
     ensureSurvey,
-    ensureSlugs
+    ensureFormVersion,
+    ensureResponseRevision,
+    ensureExportJob,
+    ensureAssignment,
+    ensureInvite,
+    ensureSlugs,
+    ensureVisibility
   ], callback)();
 }
 
@@ -0,0 +1,178 @@
+/*jslint node: true */
+
+/*
+ * Maintenance script to move the response centroids from the old 2d index to
+ * a 2dsphere index.
+ *
+ * The 2dsphere index only accepts real longitude/latitude pairs, so first we
+ * fix the centroids we can:
+ *   - String coordinates become numbers.
+ *   - Centroids stored as [lat, lon] get swapped, if that's the only way
+ *     they make sense.
+ * We list any other bad centroids and stop, so someone can look at them.
+ * Otherwise, we drop the 2d index and build the 2dsphere one.
+ *
+ * Usage:
+ * $ node sphereCentroids.js
+ * $ node sphereCentroids.js settings-file.js
+ *
+ */
+'use strict';
+
+var mongoose = require('mongoose');
+var async = require('async');
+
+var Response = require('../lib/models/Response');
+
+var settings;
+if (process.argv.length > 2) {
+  settings = require(process.cwd() + '/' + process.argv[2]);
+} else {
+  settings = require('../settings-test.js');
+}
+
+// Name of the index on { 'geo_info.centroid': '2d', survey: 1 }
+var OLD_INDEX = 'geo_info.centroid_2d_survey_1';
+
+function isLon(value) {
+  return typeof value === 'number' && !isNaN(value) && Math.abs(value) <= 180;
+}
+
+function isLat(value) {
+  return typeof value === 'number' && !isNaN(value) && Math.abs(value) <= 90;
+}
+
+// Get a fixed centroid, or null if we can't fix it.
+function fixCentroid(centroid) {
+  if (!Array.isArray(centroid) || centroid.length !== 2) {
+    return null;
+  }
+
+  var lon = parseFloat(centroid[0]);
+  var lat = parseFloat(centroid[1]);
+
+  if (isLon(lon) && isLat(lat)) {
+    return [lon, lat];
+  }
+
+  if (isLon(lat) && isLat(lon)) {
+    return [lat, lon];
+  }
+
+  return null;
+}
+
+function fixCentroids(done) {
+  var fixed = 0;
+  var bad = [];
+
+  function processChunk(lastId) {
+    var conditions = {};
+    if (lastId !== null) {
+      conditions._id = { $gt: lastId };
+    }
+
+    Response.find(conditions)
+    .select('_id id survey geo_info.centroid')
+    .sort('_id')
+    .limit(1000)
+    .lean()
+    .exec(function (error, docs) {
+      if (error) { return done(error); }
+      if (docs.length === 0) {
+        return done(null, fixed, bad);
+      }
+
+      async.eachLimit(docs, 10, function (doc, next) {
+        var centroid = doc.geo_info && doc.geo_info.centroid;
+        var result = fixCentroid(centroid);
+
+        if (result === null) {
+          bad.push(doc);
+          return next();
+        }
+
+        if (result[0] === centroid[0] && result[1] === centroid[1]) {
+          return next();
+        }
+
+        fixed += 1;
+        Response.collection.update({ _id: doc._id }, {
+          $set: { 'geo_info.centroid': result }
+        }, next);
+      }, function (error) {
+        if (error) { return done(error); }
+        processChunk(docs[docs.length - 1]._id);
+      });
+    });
+  }
+
+  processChunk(null);
+}
+
+function switchIndexes(done) {
+  Response.collection.dropIndex(OLD_INDEX, function (error) {
+    // The old index might already be gone.
+    if (error) {
+      console.log('Could not drop the 2d index: ' + error.message);
+    }
+
+    console.log('Building the 2dsphere index');
+    Response.ensureIndexes(done);
+  });
+}
+
+var opts = {
+  db: {
+    w: 1,
+    safe: true,
+    native_parser: settings.mongo_native_parser
+  }
+};
+
+if (settings.mongo_user !== undefined) {
+  opts.user = settings.mongo_user;
+  opts.pass = settings.mongo_password;
+}
+
+mongoose.connect(settings.mongo_host, settings.mongo_db, settings.mongo_port, opts);
+
+var db = mongoose.connection;
+
+db.on('error', function (error) {
+  console.log('Error connecting to mongo server.');
+  console.log(error);
+  throw error;
+});
+
+db.once('open', function () {
+  fixCentroids(function (error, fixed, bad) {
+    if (error) {
+      console.log(error);
+      db.close();
+      return;
+    }
+
+    console.log('Fixed ' + fixed + ' centroids.');
+
+    if (bad.length > 0) {
+      console.log('Found ' + bad.length + ' centroids we could not fix:');
+      bad.forEach(function (doc) {
+        console.log('  survey ' + doc.survey + ', response ' + doc.id + ': ' +
+                    JSON.stringify(doc.geo_info && doc.geo_info.centroid));
+      });
+      console.log('Fix or remove those responses, then run this again.');
+      db.close();
+      return;
+    }
+
+    switchIndexes(function (error) {
+      if (error) {
+        console.log(error);
+      } else {
+        console.log('Done.');
+      }
+      db.close();
+    });
+  });
+});
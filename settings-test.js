@@ -41,13 +41,6 @@ settings.psqlPass = process.env.PSQL_PASS;
 settings.mobilePrefix = process.env.REMOTE_MOBILE_PREFIX;
 settings.adminPrefix = process.env.REMOTE_ADMIN_PREFIX;
 settings.appPrefix = process.env.REMOTE_APP_PREFIX;
-settings.tilePrefix = process.env.TILESERVER_BASE;
-
-// Tiles
-settings.tilePrefix = process.env.TILESERVER_BASE;
-
-// Shapefile conversion service
-settings.converterBase = process.env.CONVERTER_BASE;
 
 // Web server
 settings.port = 3030;
@@ -37,17 +37,11 @@ settings.s3_dir = process.env.S3_UPLOAD_DIR;
 // Use Heroku-style primary postgresql database environment variable
 settings.psqlConnectionString = process.env.DATABASE_URL;
 
-// Tiles
-settings.tilePrefix = process.env.TILESERVER_BASE;
-
 // Static apps
 settings.mobilePrefix = process.env.REMOTE_MOBILE_PREFIX;
 settings.adminPrefix = process.env.REMOTE_ADMIN_PREFIX;
 settings.appPrefix = process.env.REMOTE_APP_PREFIX || '';
 
-// Shapefile conversion service
-settings.converterBase = process.env.CONVERTER_BASE;
-
 // Web server
 settings.port = process.env.PORT || 3000;
 settings.testSecurePort = 3838;
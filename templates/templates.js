@@ -8,6 +8,8 @@ var templates = module.exports;
 
 templates.sample = 'email/sample.ejs';
 templates.passwordReset = 'email/forgotPassword.ejs';
+templates.invite = 'email/invite.ejs';
+templates.transfer = 'email/transfer.ejs';
 
 /**
  * Render a template
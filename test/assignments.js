@@ -0,0 +1,181 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var request = require('request');
+var should = require('should');
+
+var server = require('./lib/router');
+var fixtures = require('./data/fixtures');
+var settings = require('../settings');
+
+var BASEURL = 'http://localhost:' + settings.port + '/api';
+
+suite('Assignments', function () {
+  var ownerJar;
+  var strangerJar;
+  var surveyId;
+  var url;
+  var aliceId;
+  var bobId;
+
+  suiteSetup(function (done) {
+    server.run(function (error) {
+      if (error) { return done(error); }
+      fixtures.setupUser(function (error, jar1, jar2) {
+        if (error) { return done(error); }
+        ownerJar = jar1;
+        strangerJar = jar2;
+
+        request.post({
+          url: BASEURL + '/surveys',
+          json: fixtures.surveys,
+          jar: ownerJar
+        }, function (error, response, body) {
+          if (error) { return done(error); }
+          surveyId = body.surveys[0].id;
+          url = BASEURL + '/surveys/' + surveyId + '/assignments';
+
+          // Alice surveys one of her parcels.
+          var responses = fixtures.makeResponses(1);
+          responses.responses[0].object_id = 'parcel-1';
+          responses.responses[0].source.collector = 'Alice';
+          request.post({
+            url: BASEURL + '/surveys/' + surveyId + '/responses',
+            json: responses
+          }, done);
+        });
+      });
+    });
+  });
+
+  suiteTeardown(function () {
+    server.stop();
+  });
+
+  test('Assigning parcels to collectors', function (done) {
+    request.post({
+      url: url,
+      jar: ownerJar,
+      json: {
+        assignments: [
+          { collector: 'Alice', parcels: ['parcel-1', 'parcel-2'] },
+          { collector: 'Bob', parcels: ['parcel-3'] }
+        ]
+      }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(201);
+      body.assignments.should.have.lengthOf(2);
+      body.assignments[0].should.have.property('id');
+      body.assignments[0].survey.should.equal(surveyId);
+      body.assignments[0].collector.should.equal('Alice');
+      aliceId = body.assignments[0].id;
+      bobId = body.assignments[1].id;
+      done();
+    });
+  });
+
+  test('Assignments need parcels or a zone', function (done) {
+    request.post({
+      url: url,
+      jar: ownerJar,
+      json: { assignments: [{ collector: 'Carol' }] }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+      done();
+    });
+  });
+
+  test('Only survey owners can assign parcels', function (done) {
+    request.post({
+      url: url,
+      jar: strangerJar,
+      json: { assignments: [{ collector: 'Mallory', parcels: ['parcel-1'] }] }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(403);
+      done();
+    });
+  });
+
+  test('Getting my assignments', function (done) {
+    request.get({
+      url: url + '/mine?collector=Alice'
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+
+      var assignments = JSON.parse(body).assignments;
+      assignments.should.have.lengthOf(1);
+      assignments[0].id.should.equal(aliceId);
+      assignments[0].progress.surveyed.should.equal(1);
+      assignments[0].progress.remaining.should.equal(1);
+      assignments[0].progress.percent.should.equal(50);
+      done();
+    });
+  });
+
+  test('Getting my assignments without saying who I am', function (done) {
+    request.get({ url: url + '/mine' }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+      done();
+    });
+  });
+
+  test('Getting collector completion', function (done) {
+    request.get({
+      url: BASEURL + '/surveys/' + surveyId + '/collectors',
+      jar: ownerJar
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+
+      var collectors = JSON.parse(body).collectors;
+      collectors.should.have.lengthOf(2);
+      collectors[0].name.should.equal('Alice');
+      collectors[0].assignments.should.equal(1);
+      collectors[0].responses.should.equal(1);
+      collectors[0].progress.surveyed.should.equal(1);
+      collectors[1].name.should.equal('Bob');
+      collectors[1].responses.should.equal(0);
+      collectors[1].progress.remaining.should.equal(1);
+      done();
+    });
+  });
+
+  test('Reassigning parcels', function (done) {
+    request.put({
+      url: url + '/' + bobId,
+      jar: ownerJar,
+      json: { assignment: { collector: 'Alice' } }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      body.assignment.collector.should.equal('Alice');
+      body.assignment.parcels.should.eql(['parcel-3']);
+      done();
+    });
+  });
+
+  test('Deleting an assignment', function (done) {
+    request.del({
+      url: url + '/' + bobId,
+      jar: ownerJar
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(204);
+
+      request.get({
+        url: url + '/' + bobId,
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(404);
+        done();
+      });
+    });
+  });
+});
@@ -3,7 +3,10 @@
 'use strict';
 
 var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
 var responses = require('../lib/controllers/responses.js');
+var exporter = require('../lib/exporter.js');
+var csvFormat = require('../lib/formats/csv.js');
 var listToCSVString = responses.listToCSVString;
 var filterToMostRecent = responses.filterToMostRecent;
 
@@ -80,6 +83,117 @@ suite('In csvExport,', function(){
     assert.equal(csv,expected);
   });
   
+  test('fields with quotes, commas, or line breaks should be quoted', function() {
+    var csv = listToCSVString(['say "hi"', 'a,b', 'two\nlines', 'cr\r', 'plain'],
+                              headers, headerCount);
+    var expected = '"say ""hi""","a,b","two\nlines","cr\r",plain';
+    assert.equal(csv, expected);
+  });
+
+  test('the delimiter should be configurable', function() {
+    var csv = listToCSVString(['a,b', 'c\td', 'e'], null, null, { delimiter: '\t' });
+    assert.equal(csv, 'a,b\t"c\td"\te');
+  });
+
+  test('parseDelimiter should accept names and single characters', function() {
+    assert.equal(csvFormat.parseDelimiter(undefined), ',');
+    assert.equal(csvFormat.parseDelimiter('tab'), '\t');
+    assert.equal(csvFormat.parseDelimiter('semicolon'), ';');
+    assert.equal(csvFormat.parseDelimiter('|'), '|');
+    assert.equal(csvFormat.parseDelimiter('"'), null);
+    assert.equal(csvFormat.parseDelimiter('ab'), null);
+  });
+
+  test('makeRow should expand multi-select answers into true/false columns', function() {
+    var item = {
+      "geo_info": {
+        "centroid": [1,2]
+      },
+      "parcel_id": "1234",
+      "created": "2012-05-24T23:16:57.266Z",
+      "responses": {
+        "use": ["restaurant", "bank"],
+        "vacant": "no"
+      }
+    };
+    var options = {
+      choices: {
+        use: ['bank', 'restaurant', 'store']
+      }
+    };
+    var row = exporter.makeRow(item, ['use', 'vacant'], options);
+    assert.deepEqual(row.slice(6), [true, true, false, 'no']);
+
+    item.responses = { vacant: 'yes' };
+    row = exporter.makeRow(item, ['use', 'vacant'], options);
+    assert.deepEqual(row.slice(6), [undefined, undefined, undefined, 'yes']);
+  });
+
+  test('makeRow should put the answers in column order', function() {
+    var item = {
+      "geo_info": {
+        "centroid": [1,2],
+        "humanReadableName": "123 Main St"
+      },
+      "source": {
+        "type": "mobile",
+        "collector": "Someone"
+      },
+      "parcel_id": "1234",
+      "created": "2012-05-24T23:16:57.266Z",
+      "responses": {
+        "use": "service",
+        "use-count": "1"
+      }
+    };
+    var row = exporter.makeRow(item, ['use-count', 'is it vacant?', 'use'], {});
+    assert.deepEqual(row, ['1234', '123 Main St', 'Someone', '2012-05-24T23:16:57.266Z',
+                           'mobile', '1,2', '1', undefined, 'service']);
+  });
+
+  test('labels should fall back to raw values', function () {
+    var labels = {
+      questions: { use: 'What is it used for?' },
+      answers: { use: { service: 'A service business', retail: 'A shop' } }
+    };
+
+    assert.equal(exporter.labelQuestion(labels, 'use'), 'What is it used for?');
+    assert.equal(exporter.labelQuestion(labels, 'use-count'), 'use-count');
+    assert.equal(exporter.labelAnswer(labels, 'use', 'service'), 'A service business');
+    assert.equal(exporter.labelAnswer(labels, 'use', 'other'), 'other');
+    assert.equal(exporter.labelAnswer(labels, 'use', undefined), undefined);
+    assert.deepEqual(exporter.labelAnswer(labels, 'use', ['retail', 'other']), ['A shop', 'other']);
+
+    assert.deepEqual(exporter.labelResponses(labels, { use: 'retail', 'use-count': '1' }), {
+      'What is it used for?': 'A shop',
+      'use-count': '1'
+    });
+
+    var item = {
+      geo_info: { centroid: [1,2] },
+      source: { type: 'mobile' },
+      parcel_id: '1234',
+      created: '2012-05-24T23:16:57.266Z',
+      responses: { use: 'service', 'use-count': '1' }
+    };
+    var row = exporter.makeRow(item, ['use', 'use-count'], { labels: labels });
+    assert.deepEqual(row.slice(-2), ['A service business', '1']);
+  });
+
+  test('writeAndWait should stop if the client goes away', function (done) {
+    var response = new EventEmitter();
+    response.write = function () {
+      return false;
+    };
+
+    exporter.writeAndWait(response, 'a,b\r\n', function (error) {
+      assert(error);
+      assert.equal(response.listeners('drain').length, 0);
+      done();
+    });
+    response.emit('close');
+  });
+
   test('the filterToMostRecent function should only return the most recent of two parcel results', function() {
     var filteredResults = filterToMostRecent(fakeResults);
     
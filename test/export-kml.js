@@ -1,5 +1,6 @@
 var assert = require('assert');
 var responses = require('../lib/controllers/responses.js');
+var kml = require('../lib/formats/kml.js');
 var listToKMLString = responses.listToKMLString;
   
   
@@ -89,4 +90,61 @@ suite('In kmlExport,', function(){
     }
   ];
   
+  test('points should use the centroid', function() {
+    var placemark = listToKMLString(row, headers, { geo_info: { centroid: [-83.1, 42.3] } });
+    assert.notEqual(placemark.indexOf('<Point><coordinates>-83.1,42.3</coordinates></Point>'), -1);
+  });
+
+  test('polygons should use the parcel shape', function() {
+    var geoInfo = {
+      centroid: [1, 2],
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [[0, 0], [4, 0], [4, 4], [0, 0]],
+          [[1, 1], [2, 1], [2, 2], [1, 1]]
+        ]
+      }
+    };
+    var polygon = kml.geometryToKML(geoInfo);
+    assert.equal(polygon, '<Polygon>' +
+      '<outerBoundaryIs><LinearRing><coordinates>0,0 4,0 4,4 0,0</coordinates></LinearRing></outerBoundaryIs>' +
+      '<innerBoundaryIs><LinearRing><coordinates>1,1 2,1 2,2 1,1</coordinates></LinearRing></innerBoundaryIs>' +
+      '</Polygon>');
+
+    geoInfo.geometry = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+        [[[2, 2], [3, 2], [3, 3], [2, 2]]]
+      ]
+    };
+    var multi = kml.geometryToKML(geoInfo);
+    assert.equal(multi.indexOf('<MultiGeometry><Polygon>'), 0);
+    assert.equal(multi.split('<Polygon>').length, 3);
+  });
+
+  test('values should be XML-escaped', function() {
+    var placemark = listToKMLString(['<b>&"\''], ['a<b'], {
+      geo_info: { centroid: [1, 2], humanReadableName: 'Smith & Sons' }
+    });
+    assert.notEqual(placemark.indexOf('<name>Smith &amp; Sons</name>'), -1);
+    assert.notEqual(placemark.indexOf('<Data name="a&lt;b">'), -1);
+    assert.notEqual(placemark.indexOf('<value>&lt;b&gt;&amp;&quot;&apos;</value>'), -1);
+  });
+
+  test('placemarks should be styled by answer', function() {
+    var options = { colorBy: 'use', answers: ['restaurant-or-bar', 'service'] };
+    assert.equal(kml.getStyleId(fakeResults[0], options), 'answer-0');
+    assert.equal(kml.getStyleId(fakeResults[1], options), 'answer-1');
+    assert.equal(kml.getStyleId({ responses: {} }, options), 'no-answer');
+
+    var placemark = listToKMLString(row, headers, fakeResults[1], options);
+    assert.notEqual(placemark.indexOf('<styleUrl>#answer-1</styleUrl>'), -1);
+
+    var styles = kml.makeStyles(options.answers);
+    assert.notEqual(styles.indexOf('<Style id="answer-1">'), -1);
+    assert.notEqual(styles.indexOf('<Style id="no-answer">'), -1);
+  });
+  
 });
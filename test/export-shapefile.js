@@ -110,51 +110,72 @@ suite('Shapefile', function () {
 
 
     test('shapefile for a survey', function (done) {
+      this.timeout(10000);
+      var url = BASEURL + '/surveys/' + surveyId + '/responses.zip';
+
       // Initial request for processing.
       request.get({
-        url: BASEURL + '/surveys/' + surveyId + '/responses.zip',
+        url: url,
         jar: jar
       }, function (error, response, body) {
         should.not.exist(error);
         response.statusCode.should.equal(202);
-
-        // Check back to get the URL.
-        request.get({
-          url: BASEURL + '/surveys/' + surveyId + '/responses.zip',
-          jar: jar,
-          followRedirects: false
-        }, function (error, response, body) {
-          should.not.exist(error);
-          response.statusCode.should.equal(307);
-
-          var location = body.split(': ')[1];
-
-          // Give ourselves 1.5 seconds to get the exported file.
-          var limit = Date.now() + 1.5 * 1000;
-          var found = false;
-
-          async.whilst(
-            function () { return !found && Date.now() < limit; },
-            function (next) {
-              // Check for the exported ZIP file.
-              request.get({ url: location }, function (error, response, body) {
+        response.headers.should.have.property('location');
+
+        var statusUrl = response.headers.location;
+        body = JSON.parse(body);
+        body.job.status.should.equal('pending');
+
+        // Check the job until it's done.
+        var job = body.job;
+        async.whilst(
+          function () { return job.status === 'pending'; },
+          function (next) {
+            setTimeout(function () {
+              request.get({ url: statusUrl, jar: jar }, function (error, response, body) {
+                if (error) { return next(error); }
+                response.statusCode.should.equal(200);
+                job = JSON.parse(body).job;
+                next();
+              });
+            }, 200);
+          },
+          function (error) {
+            if (error) { return done(error); }
+            job.status.should.equal('done');
+
+            // Now we should get redirected to the file.
+            request.get({
+              url: url,
+              jar: jar,
+              followRedirect: false
+            }, function (error, response, body) {
+              should.not.exist(error);
+              response.statusCode.should.equal(307);
+              response.headers.location.should.equal(job.url);
+
+              request.get({ url: job.url }, function (error, response, body) {
                 should.not.exist(error);
                 response.headers.should.have.property('content-type');
-                found = response.headers['content-type'] === 'application/zip';
-                next();
+                response.headers['content-type'].should.equal('application/zip');
+                done();
               });
-            },
-            function (error) {
-              if (error) { return done(error); }
-              found.should.equal(true);
-              done();
-            }
-          );
-        });
+            });
+          }
+        );
       });
-
     });
 
+    test('status of a missing export job', function (done) {
+      request.get({
+        url: BASEURL + '/surveys/' + surveyId + '/exports/doesnotexist',
+        jar: jar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(404);
+        done();
+      });
+    });
 
   });
 });
@@ -0,0 +1,171 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var assert = require('assert');
+var should = require('should');
+var filters = require('../lib/filters');
+
+suite('Filters', function () {
+
+  test('answers should become equality conditions', function () {
+    var conditions = {};
+    var error = filters.apply({
+      responses: { condition: 'poor', use: 'residential' }
+    }, conditions);
+
+    should.not.exist(error);
+    conditions['responses.condition'].should.equal('poor');
+    conditions['responses.use'].should.equal('residential');
+  });
+
+  test('several values for an answer should become set membership', function () {
+    var conditions = {};
+    var error = filters.apply({
+      responses: { condition: ['poor', 'fair'], use: 'residential,commercial' }
+    }, conditions);
+
+    should.not.exist(error);
+    should.deepEqual(conditions['responses.condition'], { $in: ['poor', 'fair'] });
+    should.deepEqual(conditions['responses.use'], { $in: ['residential', 'commercial'] });
+  });
+
+  test('question names should not be operators', function () {
+    var error = filters.apply({ responses: { '$where': 'true' } }, {});
+    should.exist(error);
+    error.name.should.equal('QueryError');
+  });
+
+  test('dates should become a range on the creation date', function () {
+    var conditions = {};
+    var error = filters.apply({
+      after: '2013-01-01T00:00:00Z',
+      until: '2013-02-01T00:00:00Z'
+    }, conditions);
+
+    should.not.exist(error);
+    conditions.created.$gte.getTime().should.equal(Date.UTC(2013, 0, 1));
+    conditions.created.$lt.getTime().should.equal(Date.UTC(2013, 1, 1));
+  });
+
+  test('invalid dates should be an error', function () {
+    var error = filters.apply({ after: 'yesterday-ish' }, {});
+    should.exist(error);
+    error.name.should.equal('QueryError');
+  });
+
+  test('source and file filters', function () {
+    var conditions = {};
+    should.not.exist(filters.apply({ source: 'paper', hasFiles: 'true' }, conditions));
+    conditions['source.type'].should.equal('paper');
+    should.deepEqual(conditions['files.0'], { $exists: true });
+
+    conditions = {};
+    should.not.exist(filters.apply({ hasFiles: 'false' }, conditions));
+    should.deepEqual(conditions['files.0'], { $exists: false });
+
+    should.exist(filters.apply({ hasFiles: 'maybe' }, {}));
+  });
+
+  test('zone filters should match the zone tags', function () {
+    var conditions = {};
+    should.not.exist(filters.apply({ zone: 'a' }, conditions));
+    conditions.zones.should.equal('a');
+
+    conditions = {};
+    should.not.exist(filters.apply({ zone: 'a,b' }, conditions));
+    should.deepEqual(conditions.zones, { $in: ['a', 'b'] });
+  });
+
+  test('filters should not take operators', function () {
+    ['objectId', 'collector', 'source', 'zone'].forEach(function (name) {
+      var query = {};
+      query[name] = { $ne: 'x' };
+      var error = filters.apply(query, {});
+      should.exist(error);
+      error.name.should.equal('QueryError');
+    });
+
+    var conditions = {};
+    should.not.exist(filters.apply({ zone: ['a', 'b'], collector: 'Matt' }, conditions));
+    should.deepEqual(conditions.zones, { $in: ['a', 'b'] });
+    conditions['source.collector'].should.equal('Matt');
+  });
+
+  test('bounding boxes need 4 numbers', function () {
+    var conditions = {};
+    should.not.exist(filters.apply({ bbox: '1,2,3,4' }, conditions));
+    should.deepEqual(conditions['geo_info.centroid'], {
+      '$geoWithin': {
+        '$geometry': {
+          type: 'Polygon',
+          coordinates: [[[1, 2], [3, 2], [3, 4], [1, 4], [1, 2]]]
+        }
+      }
+    });
+
+    should.exist(filters.apply({ bbox: '1,2,3' }, {}));
+    should.exist(filters.apply({ bbox: '1,2,3,x' }, {}));
+  });
+
+  test('bounding boxes too big for a GeoJSON polygon should be planar', function () {
+    should.deepEqual(filters.withinBox([[-200, -10], [100, 10]]), {
+      '$geoWithin': { '$box': [[-180, -10], [100, 10]] }
+    });
+  });
+
+  test('polygons can be GeoJSON', function () {
+    var polygon = {
+      type: 'Polygon',
+      coordinates: [[[-122.5, 37.7], [-122.3, 37.7], [-122.3, 37.8], [-122.5, 37.7]]]
+    };
+
+    var conditions = {};
+    should.not.exist(filters.apply({ polygon: JSON.stringify(polygon) }, conditions));
+    should.deepEqual(conditions['geo_info.centroid'], { '$geoWithin': { '$geometry': polygon } });
+
+    conditions = {};
+    should.not.exist(filters.apply({ polygon: polygon }, conditions));
+    should.deepEqual(conditions['geo_info.centroid'], { '$geoWithin': { '$geometry': polygon } });
+
+    // Rings have to be closed.
+    polygon.coordinates[0].pop();
+    should.exist(filters.apply({ polygon: polygon }, {}));
+    should.exist(filters.apply({ polygon: { type: 'Point', coordinates: [1, 2] } }, {}));
+    should.exist(filters.apply({ polygon: '{"type":' }, {}));
+  });
+
+  test('polygons can be encoded polylines', function () {
+    // The example from Google's documentation of the format
+    should.deepEqual(filters.decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [
+      [-120.2, 38.5],
+      [-120.95, 40.7],
+      [-126.453, 43.252]
+    ]);
+
+    var conditions = {};
+    should.not.exist(filters.apply({ polygon: '_p~iF~ps|U_ulLnnqC_mqNvxq`@' }, conditions));
+    var ring = conditions['geo_info.centroid'].$geoWithin.$geometry.coordinates[0];
+    ring.length.should.equal(4);
+    should.deepEqual(ring[3], ring[0]);
+
+    should.exist(filters.apply({ polygon: '_p~iF' }, {}));
+  });
+
+  test('radius filters should use distances on the globe', function () {
+    var conditions = {};
+    should.not.exist(filters.apply({ lon: '-83.08', lat: '42.33', radius: '500' }, conditions));
+    var centerSphere = conditions['geo_info.centroid'].$geoWithin.$centerSphere;
+    should.deepEqual(centerSphere[0], [-83.08, 42.33]);
+    centerSphere[1].should.be.within(0.0000783, 0.0000786);
+
+    should.exist(filters.apply({ lon: '-83.08', radius: '500' }, {}));
+    should.exist(filters.apply({ lon: '-83.08', lat: '42.33', radius: '-1' }, {}));
+  });
+
+  test('only one spatial filter should apply', function () {
+    var error = filters.apply({ bbox: '1,2,3,4', lon: '1', lat: '2', radius: '10' }, {});
+    should.exist(error);
+    error.name.should.equal('QueryError');
+  });
+});
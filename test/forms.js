@@ -10,6 +10,7 @@ var util = require('util');
 
 var fixtures = require('./data/fixtures');
 var server = require('./lib/router');
+var Form = require('../lib/models/Form');
 var settings = require('../settings.js');
 
 var BASEURL = 'http://localhost:' + settings.port + '/api';
@@ -268,6 +269,7 @@ suite('Forms', function () {
 
   suite('PUT', function () {
     var id;
+    var created;
     var form;
     setup(function (done) {
       request.post({
@@ -277,6 +279,7 @@ suite('Forms', function () {
       }, function (error, response, body) {
         if (error) { return done(error); }
         id = body.forms[0].id;
+        created = body.forms[0].created;
         fs.readFile('test/data/form_mobile.json', function (err, raw) {
           if (err) { return done(err); }
           form = JSON.parse(raw);
@@ -285,6 +288,105 @@ suite('Forms', function () {
       });
     });
 
+    test('Modify a form', function (done) {
+      var modified = JSON.parse(JSON.stringify(data_paper.forms[0]));
+      modified.global.foo = 'bar';
+
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/forms/' + id,
+        json: { form: modified },
+        jar: userAJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        body.form.id.should.equal(id);
+        body.form.version.should.equal(2);
+        body.form.created.should.equal(created);
+        should.deepEqual(body.form.global, modified.global);
+        done();
+      });
+    });
+
+    test('Changing the type of a form', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/forms/' + id,
+        json: { form: form },
+        jar: userAJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
+    test('List the versions of a form', function (done) {
+      var modified = JSON.parse(JSON.stringify(data_paper.forms[0]));
+      modified.global.foo = 'bar';
+
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/forms/' + id,
+        json: { form: modified },
+        jar: userAJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        request.get({
+          url: BASEURL + '/surveys/' + surveyId + '/forms/' + id + '/versions'
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+
+          var parsed = JSON.parse(body);
+          parsed.versions.length.should.equal(2);
+          parsed.versions[0].version.should.equal(1);
+          parsed.versions[1].version.should.equal(2);
+          parsed.versions[0].form.should.equal(id);
+
+          // The original version is unchanged.
+          should.deepEqual(parsed.versions[0].global, data_paper.forms[0].global);
+          should.deepEqual(parsed.versions[1].global, modified.global);
+          done();
+        });
+      });
+    });
+
+    test('Modify a form from before we kept versions', function (done) {
+      var original = JSON.parse(JSON.stringify(data_paper.forms[0]));
+      original.survey = surveyId;
+
+      // Forms like this have no saved versions.
+      Form.create(original, function (error, doc) {
+        should.not.exist(error);
+
+        var modified = JSON.parse(JSON.stringify(data_paper.forms[0]));
+        modified.global.foo = 'bar';
+
+        request.put({
+          url: BASEURL + '/surveys/' + surveyId + '/forms/' + doc.id,
+          json: { form: modified },
+          jar: userAJar
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+
+          request.get({
+            url: BASEURL + '/surveys/' + surveyId + '/forms/' + doc.id + '/versions',
+            jar: userAJar
+          }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+
+            var versions = JSON.parse(body).versions;
+            versions.length.should.equal(2);
+            should.deepEqual(versions[0].global, data_paper.forms[0].global);
+            should.deepEqual(versions[1].global, modified.global);
+            done();
+          });
+        });
+      });
+    });
   });
 
 });
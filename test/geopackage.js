@@ -0,0 +1,86 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var sqlite3 = require('sqlite3');
+var geopackage = require('../lib/formats/geopackage.js');
+
+suite('In geopackageExport,', function () {
+  var square = [[0, 0], [1, 0], [1, 1], [0, 0]];
+
+  test('column names should be unique regardless of case', function () {
+    var names = geopackage.columnNames(['parcel_id', 'use', 'Use', 'fid', 'is it vacant?']);
+    assert.deepEqual(names, ['parcel_id', 'use', 'Use_1', 'fid_1', 'is it vacant?']);
+  });
+
+  test('points should be encoded as WKB', function () {
+    var wkb = geopackage.toWKB({ type: 'Point', coordinates: [1.5, -2] });
+    assert.equal(wkb.length, 21);
+    assert.equal(wkb.readUInt8(0), 1);
+    assert.equal(wkb.readUInt32LE(1), 1);
+    assert.equal(wkb.readDoubleLE(5), 1.5);
+    assert.equal(wkb.readDoubleLE(13), -2);
+  });
+
+  test('multipolygons should be encoded as WKB', function () {
+    var wkb = geopackage.toWKB({ type: 'MultiPolygon', coordinates: [[square], [square]] });
+    // Header, then two polygons with one ring of four points each
+    assert.equal(wkb.length, 9 + 2 * (9 + 4 + 4 * 16));
+    assert.equal(wkb.readUInt32LE(1), 6);
+    assert.equal(wkb.readUInt32LE(5), 2);
+    assert.equal(wkb.readUInt32LE(10), 3);
+  });
+
+  test('geometries should have a GeoPackage header', function () {
+    var encoded = geopackage.encodeGeometry({ type: 'Polygon', coordinates: [square] });
+    assert.equal(encoded.blob.toString('ascii', 0, 2), 'GP');
+    assert.equal(encoded.blob.readInt32LE(4), 4326);
+    assert.deepEqual(encoded.envelope, [0, 1, 0, 1]);
+    assert.equal(encoded.blob.readDoubleLE(16), 1);
+  });
+
+  test('responses without a shape should be points', function () {
+    assert.deepEqual(geopackage.getGeometry({ centroid: [1, 2] }), {
+      type: 'Point',
+      coordinates: [1, 2]
+    });
+    assert.equal(geopackage.getGeometry({}), null);
+  });
+
+  test('the writer should make a feature table', function (done) {
+    var writer = geopackage.makeWriter({ name: 'Survey' }, function (error, file) {
+      if (error) { return done(error); }
+
+      var db = new sqlite3.Database(file);
+      db.all('SELECT * FROM responses ORDER BY fid', function (error, rows) {
+        if (error) { return done(error); }
+
+        assert.equal(rows.length, 2);
+        assert.equal(rows[0].parcel_id, '1');
+        assert.equal(rows[0]['is it vacant?'], 'oui, très');
+        assert.equal(rows[1].use, 'a;b');
+        assert.equal(rows[0].geom.toString('ascii', 0, 2), 'GP');
+
+        db.get('SELECT * FROM gpkg_geometry_columns', function (error, row) {
+          if (error) { return done(error); }
+          assert.equal(row.geometry_type_name, 'GEOMETRY');
+
+          db.close(function () {
+            fs.unlink(file, done);
+          });
+        });
+      });
+    });
+
+    writer.start(['parcel_id', 'use', 'is it vacant?']);
+    writer.write([['1', 'a', 'oui, très'], ['2', ['a', 'b'], 'no']], [
+      { geo_info: { centroid: [1, 2] } },
+      { geo_info: { centroid: [0.5, 0.5], geometry: { type: 'Polygon', coordinates: [square] } } }
+    ], function (error) {
+      if (error) { return done(error); }
+      writer.end();
+    });
+  });
+});
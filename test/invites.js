@@ -0,0 +1,309 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var request = require('request');
+var should = require('should');
+
+var server = require('./lib/router');
+var fixtures = require('./data/fixtures');
+var settings = require('../settings');
+var Invite = require('../lib/models/Invite');
+var User = require('../lib/models/User');
+
+var BASEURL = 'http://localhost:' + settings.port + '/api';
+var BASE_HTTPS = 'https://localhost:' + settings.testSecurePort + '/api';
+var ACCEPT_URL = BASE_HTTPS + '/invites/accept';
+
+request = request.defaults({
+  strictSSL: false
+});
+
+// We only email the token, so set one we know.
+function setToken(invite, changes, done) {
+  var secret = 'THISISAFAKETOKEN';
+  changes.hashedToken = User.hashToken(secret);
+  Invite.update({ id: invite.id }, { $set: changes }, function (error) {
+    done(error, invite.id + '.' + secret);
+  });
+}
+
+function accept(jar, token, done) {
+  request.post({
+    url: ACCEPT_URL,
+    jar: jar,
+    json: { invite: { token: token } }
+  }, function (error, response, body) {
+    should.not.exist(error);
+    done(response, body);
+  });
+}
+
+suite('Invites', function () {
+  var ownerJar;
+  var otherJar;
+  var ownerId;
+  var otherId;
+  var surveyId;
+  var url;
+
+  suiteSetup(function (done) {
+    server.run(function (error) {
+      if (error) { return done(error); }
+      fixtures.setupUser(function (error, jar1, jar2, id1, id2) {
+        if (error) { return done(error); }
+        ownerJar = jar1;
+        otherJar = jar2;
+        ownerId = id1;
+        otherId = id2;
+
+        request.post({
+          url: BASEURL + '/surveys',
+          json: fixtures.surveys,
+          jar: ownerJar
+        }, function (error, response, body) {
+          if (error) { return done(error); }
+          surveyId = body.surveys[0].id;
+          url = BASEURL + '/surveys/' + surveyId + '/invites';
+          done();
+        });
+      });
+    });
+  });
+
+  suiteTeardown(function () {
+    server.stop();
+  });
+
+  suite('Surveys', function () {
+    var invite;
+
+    test('Inviting someone to a survey', function (done) {
+      request.post({
+        url: url,
+        jar: ownerJar,
+        json: { invite: { email: fixtures.users[1].email.toUpperCase(), role: 'editor' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+        body.invite.email.should.equal(fixtures.users[1].email);
+        body.invite.role.should.equal('editor');
+        body.invite.survey.should.equal(surveyId);
+        body.invite.should.not.have.property('hashedToken');
+        invite = body.invite;
+        done();
+      });
+    });
+
+    test('Listing pending invites', function (done) {
+      request.get({ url: url, jar: ownerJar }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        var invites = JSON.parse(body).invites;
+        invites.should.have.lengthOf(1);
+        invites[0].id.should.equal(invite.id);
+        done();
+      });
+    });
+
+    test('Only owners can invite people', function (done) {
+      request.post({
+        url: url,
+        jar: otherJar,
+        json: { invite: { email: 'someone@localdata.com', role: 'viewer' } }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
+
+    test('Roles must be valid', function (done) {
+      request.post({
+        url: url,
+        jar: ownerJar,
+        json: { invite: { email: 'someone@localdata.com', role: 'admin' } }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
+    test('Expired invites do not work', function (done) {
+      setToken(invite, { expiry: new Date(Date.now() - 1000) }, function (error, token) {
+        should.not.exist(error);
+        accept(otherJar, token, function (response) {
+          response.statusCode.should.equal(400);
+          done();
+        });
+      });
+    });
+
+    test('Accepting an invite', function (done) {
+      setToken(invite, { expiry: new Date(Date.now() + 60000) }, function (error, token) {
+        should.not.exist(error);
+        accept(otherJar, token, function (response, body) {
+          response.statusCode.should.equal(200);
+          body.invite.survey.should.equal(surveyId);
+
+          request.get({
+            url: BASEURL + '/surveys/' + surveyId + '/members',
+            jar: otherJar
+          }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+            var members = JSON.parse(body).members;
+            members.filter(function (member) {
+              return member.user._id === otherId;
+            })[0].role.should.equal('editor');
+
+            // Invites only work once.
+            accept(otherJar, token, function (response) {
+              response.statusCode.should.equal(400);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Invites that are already being accepted do not work', function (done) {
+      request.post({
+        url: url,
+        jar: ownerJar,
+        json: { invite: { email: 'someone@localdata.com', role: 'viewer' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+
+        // Someone else claimed the invite first.
+        setToken(body.invite, { accepted: new Date() }, function (error, token) {
+          should.not.exist(error);
+          accept(otherJar, token, function (response) {
+            response.statusCode.should.equal(400);
+
+            request.get({ url: url, jar: ownerJar }, function (error, response, body) {
+              should.not.exist(error);
+              JSON.parse(body).invites.should.have.lengthOf(0);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Revoking an invite', function (done) {
+      request.post({
+        url: url,
+        jar: ownerJar,
+        json: { invite: { email: 'someone@localdata.com', role: 'viewer' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+
+        request.del({
+          url: url + '/' + body.invite.id,
+          jar: ownerJar
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(204);
+
+          request.get({ url: url, jar: ownerJar }, function (error, response, body) {
+            should.not.exist(error);
+            JSON.parse(body).invites.should.have.lengthOf(0);
+            done();
+          });
+        });
+      });
+    });
+
+    test('Transferring a survey', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/owner',
+        jar: ownerJar,
+        json: { owner: { user: otherId } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(202);
+        body.invite.transfer.should.equal(true);
+
+        setToken(body.invite, {}, function (error, token) {
+          should.not.exist(error);
+          accept(otherJar, token, function (response) {
+            response.statusCode.should.equal(200);
+
+            request.get({
+              url: BASEURL + '/surveys/' + surveyId + '/members',
+              jar: otherJar
+            }, function (error, response, body) {
+              should.not.exist(error);
+              var roles = {};
+              JSON.parse(body).members.forEach(function (member) {
+                roles[member.user._id] = member.role;
+              });
+              roles[otherId].should.equal('owner');
+              roles[ownerId].should.equal('editor');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  suite('Orgs', function () {
+    var orgId;
+
+    suiteSetup(function (done) {
+      fixtures.clearOrgs(function (error) {
+        if (error) { return done(error); }
+        fixtures.addOrg('Invite Township', ownerJar, function (error, org) {
+          if (error) { return done(error); }
+          orgId = org.id;
+          done();
+        });
+      });
+    });
+
+    test('Inviting someone to an org', function (done) {
+      request.post({
+        url: BASEURL + '/orgs/' + orgId + '/invites',
+        jar: ownerJar,
+        json: { invite: { email: fixtures.users[1].email, role: 'member' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+        body.invite.org.should.equal(orgId);
+
+        setToken(body.invite, {}, function (error, token) {
+          should.not.exist(error);
+          accept(otherJar, token, function (response) {
+            response.statusCode.should.equal(200);
+
+            request.get({
+              url: BASEURL + '/orgs/' + orgId + '/members',
+              jar: otherJar
+            }, function (error, response) {
+              should.not.exist(error);
+              response.statusCode.should.equal(200);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Only admins can invite people to an org', function (done) {
+      request.post({
+        url: BASEURL + '/orgs/' + orgId + '/invites',
+        jar: otherJar,
+        json: { invite: { email: 'someone@localdata.com', role: 'admin' } }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var request = require('request');
+var should = require('should');
+
+var server = require('./lib/router');
+var fixtures = require('./data/fixtures');
+var settings = require('../settings');
+
+var BASEURL = 'http://localhost:' + settings.port + '/api';
+
+suite('Members', function () {
+  var ownerJar;
+  var otherJar;
+  var ownerId;
+  var otherId;
+  var surveyId;
+  var url;
+
+  var zone = {
+    type: 'Feature',
+    properties: { name: 'Haight' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [-122.435, 37.771],
+        [-122.434, 37.771],
+        [-122.434, 37.772],
+        [-122.435, 37.772],
+        [-122.435, 37.771]
+      ]]
+    }
+  };
+
+  // Try to add a zone, which needs the editor role.
+  function addZone(jar, done) {
+    request.post({
+      url: BASEURL + '/surveys/' + surveyId + '/zones',
+      json: { zone: zone },
+      jar: jar
+    }, function (error, response) {
+      should.not.exist(error);
+      done(response.statusCode);
+    });
+  }
+
+  suiteSetup(function (done) {
+    server.run(function (error) {
+      if (error) { return done(error); }
+      fixtures.setupUser(function (error, jar1, jar2, id1, id2) {
+        if (error) { return done(error); }
+        ownerJar = jar1;
+        otherJar = jar2;
+        ownerId = id1;
+        otherId = id2;
+
+        request.post({
+          url: BASEURL + '/surveys',
+          json: fixtures.surveys,
+          jar: ownerJar
+        }, function (error, response, body) {
+          if (error) { return done(error); }
+          surveyId = body.surveys[0].id;
+          url = BASEURL + '/surveys/' + surveyId + '/members';
+          done();
+        });
+      });
+    });
+  });
+
+  suiteTeardown(function () {
+    server.stop();
+  });
+
+  test('Survey creators are owners', function (done) {
+    request.get({ url: url, jar: ownerJar }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+
+      var members = JSON.parse(body).members;
+      members.should.have.lengthOf(1);
+      members[0].user._id.should.equal(ownerId);
+      members[0].user.email.should.equal(fixtures.users[0].email);
+      members[0].role.should.equal('owner');
+      done();
+    });
+  });
+
+  test('Adding a viewer', function (done) {
+    request.post({
+      url: url,
+      jar: ownerJar,
+      json: { member: { email: fixtures.users[1].email.toUpperCase(), role: 'viewer' } }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(201);
+      body.member.user._id.should.equal(otherId);
+      body.member.role.should.equal('viewer');
+
+      // The survey shows up in the viewer's list.
+      request.get({
+        url: BASEURL + '/surveys',
+        jar: otherJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        var surveys = JSON.parse(body).surveys;
+        surveys.should.have.lengthOf(1);
+        surveys[0].id.should.equal(surveyId);
+        done();
+      });
+    });
+  });
+
+  test('Viewers can read but not edit', function (done) {
+    request.get({ url: url, jar: otherJar }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+
+      addZone(otherJar, function (status) {
+        status.should.equal(403);
+        done();
+      });
+    });
+  });
+
+  test('Editors can edit but not manage members', function (done) {
+    request.put({
+      url: url + '/' + otherId,
+      jar: ownerJar,
+      json: { member: { role: 'editor' } }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      body.member.role.should.equal('editor');
+      body.member.user.email.should.equal(fixtures.users[1].email);
+
+      addZone(otherJar, function (status) {
+        status.should.equal(201);
+
+        request.post({
+          url: url,
+          jar: otherJar,
+          json: { member: { email: fixtures.users[1].email, role: 'owner' } }
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(403);
+          done();
+        });
+      });
+    });
+  });
+
+  test('Roles must be valid', function (done) {
+    request.put({
+      url: url + '/' + otherId,
+      jar: ownerJar,
+      json: { member: { role: 'boss' } }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+      done();
+    });
+  });
+
+  test('Members must have accounts', function (done) {
+    request.post({
+      url: url,
+      jar: ownerJar,
+      json: { member: { email: 'nobody@localdata.com', role: 'viewer' } }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+      done();
+    });
+  });
+
+  test('Surveys keep at least one owner', function (done) {
+    request.put({
+      url: url + '/' + ownerId,
+      jar: ownerJar,
+      json: { member: { role: 'viewer' } }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+
+      request.del({
+        url: url + '/' + ownerId,
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+
+        request.get({ url: url, jar: ownerJar }, function (error, response, body) {
+          should.not.exist(error);
+          JSON.parse(body).members.filter(function (member) {
+            return member.user._id === ownerId;
+          })[0].role.should.equal('owner');
+          done();
+        });
+      });
+    });
+  });
+
+  test('Removing a member', function (done) {
+    request.del({
+      url: url + '/' + otherId,
+      jar: ownerJar
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(204);
+
+      addZone(otherJar, function (status) {
+        status.should.equal(403);
+        done();
+      });
+    });
+  });
+
+  test('Removing a member by email', function (done) {
+    request.post({
+      url: url,
+      jar: ownerJar,
+      json: { member: { email: fixtures.users[1].email, role: 'editor' } }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(201);
+
+      request.del({
+        url: url + '?email=' + encodeURIComponent(fixtures.users[1].email.toUpperCase()),
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(204);
+
+        request.get({ url: url, jar: ownerJar }, function (error, response, body) {
+          should.not.exist(error);
+          JSON.parse(body).members.should.have.lengthOf(1);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var assert = require('assert');
+var mvt = require('../lib/formats/mvt.js');
+
+// Read the fields of a protocol buffer message, as a list of
+// { field, value } where value is a number or a Buffer.
+function readFields(buffer) {
+  var fields = [];
+  var pos = 0;
+
+  function varint() {
+    var value = 0;
+    var scale = 1;
+    var b;
+    do {
+      b = buffer[pos];
+      pos += 1;
+      value += (b & 0x7f) * scale;
+      scale *= 0x80;
+    } while (b >= 0x80);
+    return value;
+  }
+
+  while (pos < buffer.length) {
+    var tag = varint();
+    var type = tag & 0x7;
+    var value;
+    if (type === 0) {
+      value = varint();
+    } else if (type === 1) {
+      value = buffer.slice(pos, pos + 8);
+      pos += 8;
+    } else {
+      var length = varint();
+      value = buffer.slice(pos, pos + length);
+      pos += length;
+    }
+    fields.push({ field: tag >> 3, value: value });
+  }
+  return fields;
+}
+
+function getAll(fields, field) {
+  return fields.filter(function (item) {
+    return item.field === field;
+  }).map(function (item) {
+    return item.value;
+  });
+}
+
+suite('In mvt,', function () {
+  var tile = { z: 16, x: 10482, y: 25330 };
+
+  test('zigzag encoding should keep small numbers small', function () {
+    assert.equal(mvt.zigzag(0), 0);
+    assert.equal(mvt.zigzag(-1), 1);
+    assert.equal(mvt.zigzag(1), 2);
+    assert.equal(mvt.zigzag(-2), 3);
+  });
+
+  test('tile bounds should cover the world at zoom 0', function () {
+    var bounds = mvt.tileBounds(0, 0, 0);
+    assert.equal(bounds[0], -180);
+    assert.equal(bounds[2], 180);
+    assert(Math.abs(bounds[3] - 85.0511287798) < 1e-9);
+    assert(Math.abs(bounds[1] + 85.0511287798) < 1e-9);
+  });
+
+  test('tiles should have valid coordinates', function () {
+    assert(mvt.isValidTile(0, 0, 0, 22));
+    assert(mvt.isValidTile(2, 3, 3, 22));
+    assert(!mvt.isValidTile(2, 4, 0, 22));
+    assert(!mvt.isValidTile(23, 0, 0, 22));
+    assert(!mvt.isValidTile(1.5, 0, 0, 22));
+    assert(!mvt.isValidTile(NaN, 0, 0, 22));
+  });
+
+  test('coordinates should project into the tile', function () {
+    var bounds = mvt.tileBounds(tile.z, tile.x, tile.y);
+    assert.deepEqual(mvt.project([bounds[0], bounds[3]], tile), [0, 0]);
+    assert.deepEqual(mvt.project([bounds[2], bounds[1]], tile), [mvt.EXTENT, mvt.EXTENT]);
+  });
+
+  test('points should be a single move command', function () {
+    var geometry = mvt.encodeGeometry({ type: 'Point', coordinates: [-180, 85.0511287798] },
+                                      { z: 0, x: 0, y: 0 });
+    assert.equal(geometry.type, 1);
+    assert.deepEqual(geometry.commands, [9, 0, 0]);
+  });
+
+  test('exterior rings should wind clockwise in tile coordinates', function () {
+    var bounds = mvt.tileBounds(tile.z, tile.x, tile.y);
+    var w = bounds[0];
+    var s = bounds[1];
+    var e = bounds[2];
+    var n = bounds[3];
+
+    // Counterclockwise on the map, as GeoJSON usually has it
+    var geometry = mvt.encodeGeometry({
+      type: 'Polygon',
+      coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]]
+    }, tile);
+
+    assert.equal(geometry.type, 3);
+    // Top left, top right, bottom right, bottom left
+    assert.deepEqual(geometry.commands, [
+      9, 0, 0,
+      26, mvt.zigzag(mvt.EXTENT), 0, 0, mvt.zigzag(mvt.EXTENT), mvt.zigzag(-mvt.EXTENT), 0,
+      15
+    ]);
+  });
+
+  test('shapes too small to see should be dropped', function () {
+    var geometry = mvt.encodeGeometry({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [0.0000001, 0], [0, 0.0000001], [0, 0]]]
+    }, { z: 1, x: 1, y: 0 });
+    assert.equal(geometry, null);
+  });
+
+  test('layers should share keys and values between features', function () {
+    var point = { type: 'Point', coordinates: [-122.4347, 37.7713] };
+    var data = mvt.encodeTile([{
+      name: 'responses',
+      features: [
+        { geometry: point, properties: { use: 'park', count: 2 } },
+        { geometry: point, properties: { use: 'park', count: -1.5, missing: undefined } }
+      ]
+    }], { z: 0, x: 0, y: 0 });
+
+    var layers = getAll(readFields(data), 3);
+    assert.equal(layers.length, 1);
+
+    var layer = readFields(layers[0]);
+    assert.deepEqual(getAll(layer, 15), [2]);
+    assert.equal(getAll(layer, 1)[0].toString(), 'responses');
+    assert.deepEqual(getAll(layer, 3).map(String), ['use', 'count']);
+    assert.equal(getAll(layer, 4).length, 3);
+    assert.deepEqual(getAll(layer, 5), [mvt.EXTENT]);
+
+    var features = getAll(layer, 2).map(readFields);
+    assert.equal(features.length, 2);
+    assert.deepEqual(getAll(features[1], 3), [1]);
+    // Tags are packed key, value index pairs.
+    assert.deepEqual(Array.prototype.slice.call(getAll(features[1], 2)[0]), [0, 0, 1, 2]);
+  });
+});
@@ -8,12 +8,15 @@ var async = require('async');
 var _ = require('lodash');
 
 var server = require('./lib/router');
+var Invite = require('../lib/models/Invite');
 var Org = require('../lib/models/Org');
+var User = require('../lib/models/User');
 var settings = require('../settings');
 
 var fixtures = require('./data/fixtures');
 
 var BASEURL = 'http://localhost:' + settings.port + '/api';
+var BASE_HTTPS = 'https://localhost:' + settings.testSecurePort + '/api';
 var BASE_LOGOUT_URL = 'http://localhost:' + settings.port + '/logout';
 var USER_URL = BASEURL + '/user';
 var LOGIN_URL = BASEURL + '/login';
@@ -27,6 +30,8 @@ suite('Orgs', function () {
   var otherJar;
   var strangerUser;
   var strangerJar;
+  var otherEmail;
+  var authorizedEmail;
 
   suiteSetup(function (done) {
     // Curry the function for user with async.series
@@ -54,8 +59,10 @@ suite('Orgs', function () {
           if (error) { return done(error); }
           authorizedJar = results[1][0];
           authorizedUser = results[1][1];
+          authorizedEmail = results[1][2].email;
           otherJar = results[2][0];
           otherUser = results[2][1];
+          otherEmail = results[2][2].email;
           strangerJar = results[3][0];
           strangerUser = results[3][1];
           next();
@@ -172,6 +179,19 @@ suite('Orgs', function () {
       });
     });
 
+    test('modify an org without an org', function (done) {
+      request.put({
+        url: BASEURL + '/orgs/' + org.id,
+        jar: authorizedJar,
+        json: {}
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        body.name.should.equal('ValidationError');
+        done();
+      });
+    });
+
     test('modify an org from an unauthorized user', function (done) {
       org.users.push(strangerUser);
       request.put({
@@ -349,5 +369,271 @@ suite('Orgs', function () {
 
   }); // end of GET suite
 
+  suite('Members', function () {
+    var url;
+
+    suiteSetup(function (done) {
+      async.series([
+        fixtures.clearOrgs,
+        function (next) {
+          fixtures.addOrg('Funk Township', authorizedJar, next);
+        }
+      ], function (error, results) {
+        if (error) { return done(error); }
+        url = BASEURL + '/orgs/' + results[1].id + '/members';
+        done();
+      });
+    });
+
+    test('org creators are admins', function (done) {
+      request.get({ url: url, jar: authorizedJar }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        var members = JSON.parse(body).members;
+        members.should.have.length(1);
+        members[0].user._id.should.equal(authorizedUser);
+        members[0].role.should.equal('admin');
+        done();
+      });
+    });
+
+    test('add a member', function (done) {
+      request.post({
+        url: url,
+        jar: authorizedJar,
+        json: { member: { email: otherEmail, role: 'member' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+        body.member.user._id.should.equal(otherUser);
+        body.member.role.should.equal('member');
+
+        request.get({ url: url, jar: otherJar }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+          JSON.parse(body).members.should.have.length(2);
+          done();
+        });
+      });
+    });
+
+    test('members cannot add members', function (done) {
+      request.post({
+        url: url,
+        jar: otherJar,
+        json: { member: { email: otherEmail, role: 'admin' } }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
+
+    test('strangers cannot list members', function (done) {
+      request.get({ url: url, jar: strangerJar }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
 
+    test('orgs keep at least one admin', function (done) {
+      request.del({
+        url: url + '/' + authorizedUser,
+        jar: authorizedJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
+    test('the last admin cannot step down', function (done) {
+      request.post({
+        url: url,
+        jar: authorizedJar,
+        json: { member: { email: authorizedEmail, role: 'member' } }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+
+        request.get({ url: url, jar: authorizedJar }, function (error, response, body) {
+          should.not.exist(error);
+          var members = JSON.parse(body).members;
+          var me = members.filter(function (member) {
+            return member.user._id === authorizedUser;
+          })[0];
+          me.role.should.equal('admin');
+          done();
+        });
+      });
+    });
+
+    test('remove a member', function (done) {
+      request.del({
+        url: url + '/' + otherUser,
+        jar: authorizedJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(204);
+
+        request.get({ url: url, jar: otherJar }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(403);
+          done();
+        });
+      });
+    });
+  }); // end of Members suite
+
+  suite('Surveys', function () {
+    var org;
+    var surveyId;
+
+    // Transfer the survey to a new owner.
+    function transfer(jar, owner, done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/owner',
+        jar: jar,
+        json: { owner: owner }
+      }, done);
+    }
+
+    function listOrgSurveys(done) {
+      request.get({
+        url: BASEURL + '/orgs/' + org.id + '/surveys',
+        jar: otherJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        done(JSON.parse(body).surveys);
+      });
+    }
+
+    suiteSetup(function (done) {
+      async.series([
+        fixtures.clearOrgs,
+        function (next) {
+          fixtures.addOrg('Funk Township', authorizedJar, next);
+        },
+        function (next) {
+          request.post({
+            url: BASEURL + '/surveys',
+            jar: authorizedJar,
+            json: fixtures.surveys
+          }, next);
+        }
+      ], function (error, results) {
+        if (error) { return done(error); }
+        org = results[1];
+        surveyId = results[2][1].surveys[0].id;
+
+        request.post({
+          url: BASEURL + '/orgs/' + org.id + '/members',
+          jar: authorizedJar,
+          json: { member: { email: otherEmail, role: 'member' } }
+        }, done);
+      });
+    });
+
+    test('transfer a survey to an org', function (done) {
+      transfer(authorizedJar, { org: org.id }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        body.survey.org.should.equal(org.id);
+
+        listOrgSurveys(function (surveys) {
+          surveys.should.have.length(1);
+          surveys[0].id.should.equal(surveyId);
+          done();
+        });
+      });
+    });
+
+    test('org members can edit but not manage org surveys', function (done) {
+      request.get({
+        url: BASEURL + '/surveys',
+        jar: otherJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        JSON.parse(body).surveys.should.have.length(1);
+
+        transfer(otherJar, { user: otherUser }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(403);
+          done();
+        });
+      });
+    });
+
+    test('only org admins can give surveys to the org', function (done) {
+      request.post({
+        url: BASEURL + '/surveys',
+        jar: strangerJar,
+        json: fixtures.surveys
+      }, function (error, response, body) {
+        should.not.exist(error);
+        request.put({
+          url: BASEURL + '/surveys/' + body.surveys[0].id + '/owner',
+          jar: strangerJar,
+          json: { owner: { org: org.id } }
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(403);
+          done();
+        });
+      });
+    });
+
+    test('transfer a survey to a user', function (done) {
+      transfer(authorizedJar, { user: strangerUser }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(202);
+        body.invite.transfer.should.equal(true);
+        body.invite.role.should.equal('owner');
+
+        // Nothing changes until the new owner accepts.
+        listOrgSurveys(function (surveys) {
+          surveys.should.have.length(1);
+
+          // We only email the token, so set one we know.
+          var secret = 'THISISAFAKETOKEN';
+          Invite.update({ id: body.invite.id }, {
+            $set: { hashedToken: User.hashToken(secret) }
+          }, function (error) {
+            should.not.exist(error);
+
+            request.post({
+              url: BASE_HTTPS + '/invites/accept',
+              jar: strangerJar,
+              strictSSL: false,
+              json: { invite: { token: body.invite.id + '.' + secret } }
+            }, function (error, response) {
+              should.not.exist(error);
+              response.statusCode.should.equal(200);
+
+              listOrgSurveys(function (surveys) {
+                surveys.should.have.length(0);
+
+                request.get({
+                  url: BASEURL + '/surveys/' + surveyId + '/members',
+                  jar: strangerJar
+                }, function (error, response, body) {
+                  should.not.exist(error);
+                  response.statusCode.should.equal(200);
+                  var members = JSON.parse(body).members;
+                  members.should.have.length(1);
+                  members[0].user._id.should.equal(strangerUser);
+                  members[0].role.should.equal('owner');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }); // end of Surveys suite
 });
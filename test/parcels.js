@@ -124,6 +124,31 @@ suite('Parcels', function () {
       });
     });
 
+    test('Get a vector tile of parcels', function (done) {
+      request({
+        url: BASEURL + '/parcels/tiles/16/17643/24245.pbf',
+        encoding: null
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        response.headers['content-type'].should.equal('application/x-protobuf');
+        response.headers['cache-control'].should.equal('public, max-age=604800');
+        // The tile should have a layer.
+        body.length.should.be.above(0);
+        body[0].should.equal(0x1a);
+
+        done();
+      });
+    });
+
+    test('Get a vector tile that does not exist', function (done) {
+      request({url: BASEURL + '/parcels/tiles/16/70000/0.pbf'}, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
     test('Do not allow unbounded parcel queries', function (done) {
       request({url: BASEURL + '/parcels'}, function (error, response, body) {
         should.not.exist(error);
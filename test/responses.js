@@ -98,6 +98,18 @@ suite('Responses', function () {
       });
     });
 
+    test('Posting JSON to /surveys/' + surveyId + '/responses without a centroid', function (done) {
+      var data = fixtures.makeResponses(1);
+      delete data.responses[0].geo_info.centroid;
+
+      request.post({url: url, json: data}, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+        body.responses[0].geo_info.centroid.should.eql([]);
+        done();
+      });
+    });
+
     test('Posting JSON to /surveys/' + surveyId + '/responses without a responses object', function (done) {
 
       var data = fixtures.makeResponses(1);
@@ -257,6 +269,401 @@ suite('Responses', function () {
     });
   });
 
+  suite('PUT', function () {
+    var surveyId;
+    var original;
+    var ownerJar, strangerJar;
+
+    suiteSetup(function (done) {
+      fixtures.setupUser(function(error, jar1, jar2) {
+        should.not.exist(error);
+
+        ownerJar = jar1;
+        strangerJar = jar2;
+
+        // Create a test survey owned by this user.
+        request.post({url: BASEURL + '/surveys', json: fixtures.surveys, jar: ownerJar}, function (error, response, body) {
+          should.not.exist(error);
+          surveyId = body.surveys[0].id;
+
+          // Add a response
+          request.post({url: BASEURL + '/surveys/' + surveyId + '/responses', json: data_one, jar: ownerJar},
+            function (error, response, body) {
+            should.not.exist(error);
+            original = body.responses[0];
+            done();
+          });
+        });
+      });
+    });
+
+    test('Editing a response', function (done) {
+      var changed = {
+        responses: { site: 'empty-lot' },
+        object_id: '654321'
+      };
+
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id,
+        json: { response: changed },
+        jar: ownerJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        body.response.id.should.equal(original.id);
+        body.response.created.should.equal(original.created);
+        body.response.object_id.should.equal('654321');
+        body.response.parcel_id.should.equal('654321');
+        should.deepEqual(body.response.responses, changed.responses);
+        should.deepEqual(body.response.source, original.source);
+        body.response.should.have.property('modified');
+        body.response.should.have.property('modifiedBy');
+
+        // Make sure the change stuck.
+        request.get({
+          url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+          var parsed = JSON.parse(body);
+          should.deepEqual(parsed.response.responses, changed.responses);
+          done();
+        });
+      });
+    });
+
+    test('Moving a response to another survey', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id,
+        json: { response: { survey: 'another-survey' } },
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
+    test('Editing a nonexistent response', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/nonexistent',
+        json: { response: { responses: {} } },
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(404);
+        done();
+      });
+    });
+
+    test('Editing a response if we\'re not logged in', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id,
+        json: { response: { responses: {} } },
+        jar: request.jar()
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(401);
+        done();
+      });
+    });
+
+    test('Editing a response not owned by this user', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id,
+        json: { response: { responses: {} } },
+        jar: strangerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
+  });
+
+  suite('Validation', function () {
+    var ownerJar;
+    var form;
+
+    function makeSurvey(mode, done) {
+      var survey = JSON.parse(JSON.stringify(fixtures.surveys));
+      survey.surveys[0].responseValidation = mode;
+      request.post({url: BASEURL + '/surveys', json: survey, jar: ownerJar}, function (error, response, body) {
+        if (error) { return done(error); }
+        var surveyId = body.surveys[0].id;
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/forms',
+          json: { forms: [form] },
+          jar: ownerJar
+        }, function (error) {
+          done(error, surveyId);
+        });
+      });
+    }
+
+    function makeData(answers) {
+      var data = fixtures.makeResponses(1);
+      data.responses[0].responses = answers;
+      return data;
+    }
+
+    suiteSetup(function (done) {
+      form = JSON.parse(fs.readFileSync(__dirname + '/data/form_mobile.json'));
+      fixtures.setupUser(function(error, jar1) {
+        should.not.exist(error);
+        ownerJar = jar1;
+        done();
+      });
+    });
+
+    test('Posting answers that match the form, including a sub-question', function (done) {
+      makeSurvey('reject', function (error, surveyId) {
+        should.not.exist(error);
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/responses',
+          json: makeData({ site: 'A park', lot: 'improved', condition: 'good' })
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(201);
+          body.should.not.have.property('warnings');
+
+          // The response records the version of the form it answered.
+          body.responses[0].form.should.have.property('id');
+          body.responses[0].form.version.should.equal(1);
+          done();
+        });
+      });
+    });
+
+    test('Exports take their columns from the form, in form order', function (done) {
+      makeSurvey('off', function (error, surveyId) {
+        should.not.exist(error);
+        var url = BASEURL + '/surveys/' + surveyId + '/responses';
+        request.post({
+          url: url,
+          json: makeData({ condition: 'good', site: 'A park' })
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(201);
+
+          request.get({ url: url + '.csv', jar: ownerJar }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+
+            var headers = body.split('\r\n')[0].split(',');
+            headers.slice(6).should.eql([
+              'site', 'lot', 'occupancy', 'condition', 'fire', 'boarded', 'lawn', 'vod'
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    test('Exporting responses with labels from the form', function (done) {
+      makeSurvey('reject', function (error, surveyId) {
+        should.not.exist(error);
+        var url = BASEURL + '/surveys/' + surveyId + '/responses';
+        request.post({
+          url: url,
+          json: makeData({ site: 'parking' })
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(201);
+
+          request.get({ url: url + '.csv?labels=true', jar: ownerJar }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+
+            var lines = body.split('\r\n');
+            lines[0].split(',').should.include("What's on the site?");
+            lines[1].split(',').should.include('A parking lot');
+
+            request.get({ url: url + '.geojson?labels=true&startIndex=0&count=10', jar: ownerJar }, function (error, response, body) {
+              should.not.exist(error);
+              response.statusCode.should.equal(200);
+
+              var parsed = JSON.parse(body);
+              parsed.features[0].properties.responses.should.eql({
+                "What's on the site?": 'A parking lot'
+              });
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Posting answers that do not match the form', function (done) {
+      makeSurvey('reject', function (error, surveyId) {
+        should.not.exist(error);
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/responses',
+          json: makeData({ site: 'parking', lot: 'improved', condition: 'great', bogus: 'yes' })
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(400);
+          body.name.should.equal('ValidationError');
+
+          var fields = body.errors.map(function (problem) {
+            return problem.field;
+          }).sort();
+          fields.should.eql(['bogus', 'condition', 'lot']);
+          done();
+        });
+      });
+    });
+
+    test('Posting invalid answers to a survey that only warns', function (done) {
+      makeSurvey('warn', function (error, surveyId) {
+        should.not.exist(error);
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/responses',
+          json: makeData({ condition: 'great' })
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(201);
+          body.warnings.length.should.equal(1);
+          body.warnings[0].field.should.equal('condition');
+          done();
+        });
+      });
+    });
+
+    test('Posting invalid answers to a survey without validation', function (done) {
+      makeSurvey('off', function (error, surveyId) {
+        should.not.exist(error);
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/responses',
+          json: makeData({ condition: 'great' })
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(201);
+          body.should.not.have.property('warnings');
+          done();
+        });
+      });
+    });
+  });
+
+  suite('History', function () {
+    var surveyId;
+    var original;
+    var ownerJar, strangerJar;
+
+    suiteSetup(function (done) {
+      fixtures.setupUser(function(error, jar1, jar2) {
+        should.not.exist(error);
+
+        ownerJar = jar1;
+        strangerJar = jar2;
+
+        request.post({url: BASEURL + '/surveys', json: fixtures.surveys, jar: ownerJar}, function (error, response, body) {
+          should.not.exist(error);
+          surveyId = body.surveys[0].id;
+
+          request.post({url: BASEURL + '/surveys/' + surveyId + '/responses', json: data_one, jar: ownerJar},
+            function (error, response, body) {
+            should.not.exist(error);
+            original = body.responses[0];
+
+            // Edit the response once, so there's some history.
+            request.put({
+              url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id,
+              json: { response: { responses: { site: 'empty-lot' } } },
+              jar: ownerJar
+            }, function (error, response) {
+              should.not.exist(error);
+              response.statusCode.should.equal(200);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Get the history of an edited response', function (done) {
+      request.get({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id + '/history',
+        jar: ownerJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        var parsed = JSON.parse(body);
+        parsed.history.length.should.equal(1);
+        parsed.history[0].action.should.equal('update');
+        parsed.history[0].revision.should.equal(1);
+        parsed.history[0].changed.should.include('responses.site');
+        should.deepEqual(parsed.history[0].data.responses, original.responses);
+        done();
+      });
+    });
+
+    test('Restore an earlier version', function (done) {
+      request.post({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id + '/restore',
+        json: {},
+        jar: ownerJar
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        body.response.id.should.equal(original.id);
+        should.deepEqual(body.response.responses, original.responses);
+        done();
+      });
+    });
+
+    test('Undelete a response', function (done) {
+      var url = BASEURL + '/surveys/' + surveyId + '/responses/' + original.id;
+      request.del({ url: url, jar: ownerJar }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(204);
+
+        // The deletion is in the history, with the deleted answers.
+        request.get({ url: url + '/history', jar: ownerJar }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+          var history = JSON.parse(body).history;
+          var last = history[history.length - 1];
+          last.action.should.equal('delete');
+          should.deepEqual(last.data.responses, original.responses);
+
+          request.post({
+            url: url + '/restore',
+            json: {},
+            jar: ownerJar
+          }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+            should.deepEqual(body.response.responses, original.responses);
+
+            request.get({ url: url }, function (error, response, body) {
+              should.not.exist(error);
+              response.statusCode.should.equal(200);
+              var parsed = JSON.parse(body);
+              parsed.response.id.should.equal(original.id);
+              parsed.response.created.should.equal(original.created);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Get the history of a response not owned by this user', function (done) {
+      request.get({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/' + original.id + '/history',
+        jar: strangerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
+  });
+
   suite('GET', function () {
     var surveyId = '123';
     var id;
@@ -340,6 +747,44 @@ suite('Responses', function () {
       });
     });
 
+    test('Get responses filtered by answer and creation date', function (done) {
+      var url = BASEURL + '/surveys/' + surveyId + '/responses?startIndex=0&count=100' +
+        '&responses[site]=parking-lot,vacant-lot&responses[use-count]=1' +
+        '&after=' + encodeURIComponent(new Date(Date.now() - 3600000).toISOString());
+
+      request.get({url: url}, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        var parsed = JSON.parse(body);
+        parsed.responses.length.should.be.above(0);
+        var i;
+        for (i = 0; i < parsed.responses.length; i += 1) {
+          parsed.responses[i].responses.site.should.equal('parking-lot');
+          parsed.responses[i].responses['use-count'].should.equal('1');
+        }
+
+        // Nothing was collected in the future.
+        url = BASEURL + '/surveys/' + surveyId + '/responses?startIndex=0&count=100' +
+          '&after=' + encodeURIComponent(new Date(Date.now() + 3600000).toISOString());
+        request.get({url: url}, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+          JSON.parse(body).responses.length.should.equal(0);
+          done();
+        });
+      });
+    });
+
+    test('Get responses with an invalid filter', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses?startIndex=0&count=100&hasFiles=maybe'},
+                  function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
     test('one response', function (done) {
       request.get({url: BASEURL + '/surveys/' + surveyId + '/responses/' + id},
                   function (error, response, body) {
@@ -424,6 +869,59 @@ suite('Responses', function () {
       });
     });
 
+    test('Page through responses with cursors', function (done) {
+      var seen = {};
+      var pages = 0;
+      var prevTime = Number.MAX_VALUE;
+
+      function getPage(url) {
+        request.get({url: url}, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+
+          var parsed = JSON.parse(body);
+          parsed.responses.length.should.not.be.above(7);
+          pages += 1;
+
+          var i;
+          var created;
+          for (i = 0; i < parsed.responses.length; i += 1) {
+            // We shouldn't see a response twice.
+            seen.should.not.have.property(parsed.responses[i].id);
+            seen[parsed.responses[i].id] = true;
+
+            created = Date.parse(parsed.responses[i].created);
+            created.should.not.be.above(prevTime);
+            prevTime = created;
+          }
+
+          if (parsed.next !== undefined) {
+            parsed.next.should.include('cursor=');
+            getPage(parsed.next);
+            return;
+          }
+
+          // Compare with the full list.
+          request.get({url: BASEURL + '/surveys/' + surveyId + '/responses?startIndex=0&count=100000'}, function (error, response, body) {
+            var full = JSON.parse(body);
+            Object.keys(seen).length.should.equal(full.responses.length);
+            pages.should.be.above(1);
+            done();
+          });
+        });
+      }
+
+      getPage(BASEURL + '/surveys/' + surveyId + '/responses?count=7');
+    });
+
+    test('Get responses with an invalid cursor', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses?count=7&cursor=garbage'}, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
     test('Get responses in ascending creation order', function (done) {
       request.get({url: BASEURL + '/surveys/' + surveyId + '/responses?startIndex=0&count=100000&sort=asc'}, function (error, response, body) {
         should.not.exist(error);
@@ -501,6 +999,158 @@ suite('Responses', function () {
       });
     });
 
+    test('Get response data as CSV with options', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses.csv?delimiter=tab&bom=true&expandMulti=true'},
+                  function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        response.headers['content-type'].should.equal('text/csv');
+
+        body.charAt(0).should.equal('\ufeff');
+        var headers = body.slice(1).split('\r\n')[0].split('\t');
+        headers.slice(0, 6).should.eql(['parcel_id', 'address', 'collector', 'timestamp', 'source', 'centroid']);
+
+        done();
+      });
+    });
+
+    test('Get response data as CSV with an invalid delimiter', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses.csv?delimiter=' + encodeURIComponent('"')},
+                  function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
+    test('Get response counts in a grid', function (done) {
+      var url = BASEURL + '/surveys/' + surveyId + '/responses/grid?bbox=-122.5,37.7,-122.3,37.8&zoom=10&question=use-count';
+      request.get({url: url}, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        response.should.be.json;
+
+        var parsed = JSON.parse(body);
+        parsed.grid.size.should.equal(360 / 1024 / 8);
+        parsed.grid.cells.length.should.equal(1);
+
+        // The fixtures all have the same centroid.
+        var cell = parsed.grid.cells[0];
+        cell.count.should.be.above(19);
+        cell.center[0].should.be.within(cell.bbox[0], cell.bbox[2]);
+        cell.center[1].should.be.within(cell.bbox[1], cell.bbox[3]);
+        cell.answers['1'].should.be.above(0);
+        done();
+      });
+    });
+
+    test('Get responses within a distance of a point', function (done) {
+      // The fixtures are about 20 meters from this point.
+      var url = BASEURL + '/surveys/' + surveyId + '/responses?lon=-122.4345&lat=37.7712';
+      request.get({url: url + '&radius=50'}, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        JSON.parse(body).responses.length.should.be.above(19);
+
+        request.get({url: url + '&radius=5'}, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+          JSON.parse(body).responses.length.should.equal(0);
+          done();
+        });
+      });
+    });
+
+    test('Search for responses inside a polygon', function (done) {
+      request.post({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/search',
+        json: {
+          polygon: {
+            type: 'Polygon',
+            coordinates: [[[-122.44, 37.77], [-122.43, 37.77], [-122.43, 37.78], [-122.44, 37.78], [-122.44, 37.77]]]
+          },
+          count: 5
+        }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        body.responses.length.should.equal(5);
+        body.should.have.property('cursor');
+        body.should.not.have.property('next');
+        done();
+      });
+    });
+
+    test('Search for responses with an invalid polygon', function (done) {
+      request.post({
+        url: BASEURL + '/surveys/' + surveyId + '/responses/search',
+        json: { polygon: { type: 'Polygon', coordinates: [] } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        body.name.should.equal('QueryError');
+        done();
+      });
+    });
+
+    test('Get response counts in a grid without a zoom level', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses/grid?bbox=-122.5,37.7,-122.3,37.8'},
+                  function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
+    test('Get a vector tile of responses', function (done) {
+      var url = BASEURL + '/surveys/' + surveyId + '/tiles/16/10479/25331.pbf?answers=use-count';
+      request.get({url: url, encoding: null}, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        response.headers['content-type'].should.equal('application/x-protobuf');
+        body.length.should.be.above(0);
+
+        var etag = response.headers.etag;
+        request.get({url: url, headers: { 'If-None-Match': etag }}, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(304);
+
+          // Adding a response should invalidate the tile.
+          request.post({url: BASEURL + '/surveys/' + surveyId + '/responses', json: data_one},
+                       function (error) {
+            should.not.exist(error);
+            request.get({url: url, headers: { 'If-None-Match': etag }}, function (error, response) {
+              should.not.exist(error);
+              response.statusCode.should.equal(200);
+              response.headers.etag.should.not.equal(etag);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Get a zoomed-out vector tile of response clusters', function (done) {
+      request.get({
+        url: BASEURL + '/surveys/' + surveyId + '/tiles/10/163/395.pbf',
+        encoding: null
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        response.headers['content-type'].should.equal('application/x-protobuf');
+        body.length.should.be.above(0);
+        done();
+      });
+    });
+
+    test('Get a vector tile that does not exist', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/tiles/2/4/0.pbf'}, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+
     test('Get response data as KML', function (done) {
       request.get({url: BASEURL + '/surveys/' + surveyId + '/responses.kml'},
                   function (error, response, body) {
@@ -517,6 +1167,49 @@ suite('Responses', function () {
       });
     });
 
+    test('Get response data as a GeoPackage', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses.gpkg?latest=true', encoding: null},
+                  function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        response.headers['content-type'].should.equal('application/geopackage+sqlite3');
+        response.headers['content-disposition'].should.equal('attachment; filename=Survey Export.gpkg');
+        body.toString('ascii', 0, 15).should.equal('SQLite format 3');
+
+        done();
+      });
+    });
+
+    test('Get response data as an Excel workbook', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses.xlsx', encoding: null},
+                  function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        response.headers['content-type'].should.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        response.headers['content-disposition'].should.equal('attachment; filename=Survey Export.xlsx');
+        // Workbooks are ZIP files.
+        body.readUInt32LE(0).should.equal(0x04034b50);
+
+        done();
+      });
+    });
+
+    test('Get response data as KML colored by an answer', function (done) {
+      request.get({url: BASEURL + '/surveys/' + surveyId + '/responses.kml?colorBy=site'},
+                  function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        body.should.include('<Style id="no-answer">');
+        body.should.include('<styleUrl>#');
+        body.should.include('<MultiGeometry><Polygon>');
+
+        done();
+      });
+    });
+
 
   });
 });
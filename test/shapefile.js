@@ -0,0 +1,169 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var assert = require('assert');
+var zlib = require('zlib');
+var shapefile = require('../lib/formats/shapefile.js');
+
+// List the files in a ZIP archive, using the central directory.
+function readZip(buffer, done) {
+  var end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+
+  var count = buffer.readUInt16LE(end + 10);
+  var offset = buffer.readUInt32LE(end + 16);
+  var files = {};
+  var names = [];
+  var i;
+
+  for (i = 0; i < count; i += 1) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    var compressedSize = buffer.readUInt32LE(offset + 20);
+    var nameLength = buffer.readUInt16LE(offset + 28);
+    var localOffset = buffer.readUInt32LE(offset + 42);
+    var name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    var dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+
+    files[name] = buffer.slice(dataStart, dataStart + compressedSize);
+    names.push(name);
+    offset += 46 + nameLength;
+  }
+
+  // Decompress the field mapping, to check the archive's contents.
+  zlib.inflateRaw(files['fields.csv'], function (error, data) {
+    done(error, names, data && data.toString('utf8'));
+  });
+}
+
+suite('In shapefileExport,', function () {
+  var square = [[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]];
+
+  test('field names should be short and unique', function () {
+    var names = shapefile.fieldNames([
+      'parcel_id',
+      'restaurant-use',
+      'restaurant-use-2',
+      'RESTAURANT-use-3',
+      'is it vacant?'
+    ]);
+    assert.deepEqual(names, ['parcel_id', 'restaurant', 'restaura_1', 'RESTAURA_2', 'is_it_vaca']);
+  });
+
+  test('polygons should have clockwise outer rings', function () {
+    var counterClockwise = square.slice().reverse();
+    var shape = shapefile.getShape({
+      centroid: [0.5, 0.5],
+      geometry: { type: 'Polygon', coordinates: [counterClockwise] }
+    });
+    assert.equal(shape.type, 5);
+    assert.deepEqual(shape.parts, [square]);
+  });
+
+  test('responses without a shape should be points', function () {
+    var shape = shapefile.getShape({ centroid: [1, 2] });
+    assert.equal(shape.type, 1);
+    assert.deepEqual(shape.point, [1, 2]);
+  });
+
+  test('shape files should have correct lengths', function () {
+    var files = shapefile.writeShapes([
+      { type: 1, point: [1, 2] },
+      { type: 1, point: [3, 4] }
+    ], 1);
+
+    // 100 byte header, then 8 byte record headers and 20 byte points
+    assert.equal(files.shp.length, 156);
+    assert.equal(files.shp.readInt32BE(0), 9994);
+    assert.equal(files.shp.readInt32BE(24), 78);
+    assert.equal(files.shp.readInt32LE(32), 1);
+    assert.equal(files.shp.readDoubleLE(36), 1);
+    assert.equal(files.shp.readDoubleLE(60), 4);
+
+    // The index points at each record.
+    assert.equal(files.shx.length, 116);
+    assert.equal(files.shx.readInt32BE(100), 50);
+    assert.equal(files.shx.readInt32BE(108), 64);
+  });
+
+  test('DBF files should fit the longest value', function () {
+    var dbf = shapefile.writeDBF(['name', 'use'], [
+      ['a', 'restaurant'],
+      ['bb', ['bank', 'store']]
+    ]);
+
+    assert.equal(dbf.readUInt32LE(4), 2);
+    // Header, two field descriptors, and the terminator
+    assert.equal(dbf.readUInt16LE(8), 97);
+    // Deletion flag, then fields of 2 and 10 characters
+    assert.equal(dbf.readUInt16LE(10), 13);
+    assert.equal(dbf.toString('ascii', 97, 110), ' a restaurant');
+    assert.equal(dbf.toString('ascii', 110, 123), ' bbbank;store');
+    assert.equal(dbf.length, 124);
+  });
+
+  test('the writer should make a layer for each geometry type', function (done) {
+    var writer = shapefile.makeWriter({ name: 'survey' }, function (error, buffer) {
+      if (error) { return done(error); }
+
+      readZip(buffer, function (error, names, mapping) {
+        if (error) { return done(error); }
+
+        assert.deepEqual(names, [
+          'fields.csv',
+          'survey_points.shp',
+          'survey_points.shx',
+          'survey_points.dbf',
+          'survey_points.prj',
+          'survey_points.cpg',
+          'survey_polygons.shp',
+          'survey_polygons.shx',
+          'survey_polygons.dbf',
+          'survey_polygons.prj',
+          'survey_polygons.cpg'
+        ]);
+        assert.equal(mapping, 'field,column\r\nparcel_id,parcel_id\r\nis_it_vaca,is it vacant?\r\n');
+        done();
+      });
+    });
+
+    writer.start(['parcel_id', 'is it vacant?']);
+    writer.write([['1', 'yes'], ['2', 'no']], [
+      { geo_info: { centroid: [1, 2] } },
+      { geo_info: { centroid: [0.5, 0.5], geometry: { type: 'MultiPolygon', coordinates: [[square]] } } }
+    ], function () {
+      writer.end();
+    });
+  });
+
+  test('the writer should fail with too many columns for a DBF file', function (done) {
+    var headers = [];
+    var i;
+    for (i = 0; i < 256; i += 1) {
+      headers.push('question ' + i);
+    }
+
+    var writer = shapefile.makeWriter({ name: 'survey' }, function (error) {
+      assert.ok(error instanceof Error);
+      assert.ok(/255 fields/.test(error.message));
+      done();
+    });
+
+    writer.start(headers);
+    writer.write([[]], [{ geo_info: { centroid: [1, 2] } }], function (error) {
+      assert.ok(error instanceof Error);
+      writer.fail(error);
+    });
+  });
+
+  test('writing a DBF file with too many fields should throw', function () {
+    var names = [];
+    var i;
+    for (i = 0; i < 256; i += 1) {
+      names.push('q' + i);
+    }
+    assert.throws(function () {
+      shapefile.writeDBF(names, []);
+    }, /255 fields/);
+  });
+});
@@ -472,6 +472,226 @@ suite('Surveys', function () {
 
   });
 
+  suite('Progress', function () {
+    var surveyId;
+    var url;
+
+    suiteSetup(function (done) {
+      request.post({
+        url: BASEURL + '/surveys',
+        jar: userAJar,
+        json: data_one
+      }, function (error, response, body) {
+        if (error) { return done(error); }
+        surveyId = body.surveys[0].id;
+        url = BASEURL + '/surveys/' + surveyId + '/progress';
+
+        // A zone around some of the test parcels
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/zones',
+          jar: userAJar,
+          json: {
+            zone: {
+              type: 'Feature',
+              properties: { name: 'Test parcels' },
+              geometry: {
+                type: 'Polygon',
+                coordinates: [[
+                  [-83.0805, 42.336],
+                  [-83.08, 42.336],
+                  [-83.08, 42.34],
+                  [-83.0805, 42.34],
+                  [-83.0805, 42.336]
+                ]]
+              }
+            }
+          }
+        }, done);
+      });
+    });
+
+    test('Getting progress for a survey', function (done) {
+      request.get({ url: url + '?unsurveyed=true' }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+
+        var progress = JSON.parse(body).progress;
+        progress.surveyed.should.equal(0);
+        progress.remaining.should.be.above(40);
+        progress.total.should.equal(progress.remaining);
+        progress.percent.should.equal(0);
+        progress.zones.should.have.lengthOf(1);
+        progress.zones[0].name.should.equal('Test parcels');
+        progress.zones[0].remaining.should.equal(progress.remaining);
+        progress.unsurveyed.type.should.equal('FeatureCollection');
+        progress.unsurveyed.features.should.have.lengthOf(progress.remaining);
+
+        // Survey one of the parcels
+        var responses = fixtures.makeResponses(1);
+        responses.responses[0].object_id = progress.unsurveyed.features[0].id;
+        request.post({
+          url: BASEURL + '/surveys/' + surveyId + '/responses',
+          json: responses
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(201);
+
+          request.get({ url: url }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+
+            var updated = JSON.parse(body).progress;
+            updated.surveyed.should.equal(1);
+            updated.remaining.should.equal(progress.remaining - 1);
+            updated.percent.should.be.above(0);
+            updated.should.not.have.property('unsurveyed');
+            done();
+          });
+        });
+      });
+    });
+
+    test('Getting progress for a zone that does not exist', function (done) {
+      request.get({ url: url + '?zone=nope' }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+  });
+
+  suite('Visibility', function () {
+    var surveyId;
+
+    function setSettings(settings, done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId,
+        jar: userAJar,
+        json: { survey: settings }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(200);
+        done(body.survey);
+      });
+    }
+
+    function getStatus(path, jar, done) {
+      request.get({
+        url: BASEURL + '/surveys/' + surveyId + path,
+        jar: jar || false
+      }, function (error, response) {
+        should.not.exist(error);
+        done(response.statusCode);
+      });
+    }
+
+    suiteSetup(function (done) {
+      request.post({
+        url: BASEURL + '/surveys',
+        jar: userAJar,
+        json: data_one
+      }, function (error, response, body) {
+        if (error) { return done(error); }
+        surveyId = body.surveys[0].id;
+        done();
+      });
+    });
+
+    test('Surveys are link-only by default', function (done) {
+      getStatus('', null, function (status) {
+        status.should.equal(200);
+        getStatus('/responses.csv', null, function (status) {
+          status.should.equal(401);
+          done();
+        });
+      });
+    });
+
+    test('Anyone can read public surveys', function (done) {
+      setSettings({ visibility: 'public' }, function (survey) {
+        survey.visibility.should.equal('public');
+
+        getStatus('/responses.csv', null, function (status) {
+          status.should.equal(200);
+          done();
+        });
+      });
+    });
+
+    test('Only members can read private surveys', function (done) {
+      setSettings({ visibility: 'private' }, function (survey) {
+        survey.visibility.should.equal('private');
+
+        getStatus('', null, function (status) {
+          status.should.equal(401);
+          getStatus('/responses?startIndex=0&count=10', userBJar, function (status) {
+            status.should.equal(403);
+            getStatus('/responses.csv', userAJar, function (status) {
+              status.should.equal(200);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('Anyone with the link can view link-only surveys, but not list or export them', function (done) {
+      setSettings({ visibility: 'link-only' }, function () {
+        getStatus('/stats', null, function (status) {
+          status.should.equal(200);
+          getStatus('/responses?startIndex=0&count=10', null, function (status) {
+            status.should.equal(401);
+            getStatus('/responses.csv', null, function (status) {
+              status.should.equal(401);
+              getStatus('/responses.kml', userAJar, function (status) {
+                status.should.equal(200);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    test('Surveys can turn off anonymous responses', function (done) {
+      setSettings({ visibility: 'public', anonymousResponses: false }, function (survey) {
+        survey.anonymousResponses.should.equal(false);
+
+        var url = BASEURL + '/surveys/' + surveyId + '/responses';
+        request.post({
+          url: url,
+          jar: false,
+          json: fixtures.makeResponses(1)
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(401);
+
+          request.post({
+            url: url,
+            jar: userAJar,
+            json: fixtures.makeResponses(1)
+          }, function (error, response) {
+            should.not.exist(error);
+            response.statusCode.should.equal(201);
+            done();
+          });
+        });
+      });
+    });
+
+    test('Visibility must be valid', function (done) {
+      request.put({
+        url: BASEURL + '/surveys/' + surveyId,
+        jar: userAJar,
+        json: { survey: { visibility: 'secret' } }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+  });
+
   suite('PUT: ', function () {
     var url = BASEURL + '/surveys';
 
@@ -504,6 +724,69 @@ suite('Surveys', function () {
       });
     });
 
+    test('PUT cannot change the ID or the members', function (done) {
+      request.get({ url: url, jar: userAJar }, function (error, response, body) {
+        should.not.exist(error);
+        var survey = JSON.parse(body).survey;
+        var surveyId = survey.id;
+
+        survey.id = 'not-the-id';
+        survey.users = ['B'];
+        survey.members = [{ user: 'B', role: 'owner' }];
+        survey.name = 'newer name';
+
+        request.put({
+          url: url,
+          jar: userAJar,
+          json: { survey: survey }
+        }, function (error, response, body) {
+          should.not.exist(error);
+          response.statusCode.should.equal(200);
+          body.survey.id.should.equal(surveyId);
+          body.survey.name.should.equal('newer name');
+
+          request.get({
+            url: url + '/members',
+            jar: userAJar
+          }, function (error, response, body) {
+            should.not.exist(error);
+            response.statusCode.should.equal(200);
+            var members = JSON.parse(body).members;
+            members.should.have.lengthOf(1);
+            members[0].role.should.equal('owner');
+            members[0].user._id.should.not.equal('B');
+            done();
+          });
+        });
+      });
+    });
+
+    test('PUT checks the settings it changes', function (done) {
+      request.put({
+        url: url,
+        jar: userAJar,
+        json: { survey: { responseValidation: 'sometimes' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        body.name.should.equal('ValidationError');
+        done();
+      });
+    });
+
+    test('PUT to /surveys/:id without a survey', function (done) {
+      request.put({
+        url: url,
+        jar: userAJar,
+        json: {}
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        body.name.should.equal('ValidationError');
+        done();
+      });
+    });
+
     test('PUT JSON to /surveys/:id from an unauthorized user', function (done) {
       var url = BASEURL + '/surveys';
 
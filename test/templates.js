@@ -20,6 +20,38 @@ suite('Surveys', function () {
         done();
       });
     });
+
+    test('Render an invite', function (done) {
+      var data = {
+        inviter: 'Matt Hampel',
+        name: 'Parcel survey',
+        role: 'editor',
+        link: 'https://localhost/#invites/abc.123'
+      };
+
+      templates.render('invite', data, function(error, text){
+        should.not.exist(error);
+        text.should.include('Matt Hampel invited you to join Parcel survey');
+        text.should.include(data.link);
+        done();
+      });
+    });
+
+    test('Render a transfer invite', function (done) {
+      var data = {
+        inviter: 'Matt Hampel',
+        name: 'Parcel survey',
+        role: 'owner',
+        link: 'https://localhost/#invites/abc.123'
+      };
+
+      templates.render('transfer', data, function(error, text){
+        should.not.exist(error);
+        text.should.include('Matt Hampel wants to hand Parcel survey over to you');
+        text.should.include(data.link);
+        done();
+      });
+    });
   });
 
 });
@@ -0,0 +1,235 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var request = require('request');
+var should = require('should');
+
+var server = require('./lib/router');
+var fixtures = require('./data/fixtures');
+var settings = require('../settings');
+
+var BASEURL = 'http://localhost:' + settings.port + '/api';
+var BASE_HTTPS = 'https://localhost:' + settings.testSecurePort + '/api';
+var TOKENS_URL = BASE_HTTPS + '/user/tokens';
+
+request = request.defaults({
+  strictSSL: false
+});
+
+function bearer(token) {
+  return { Authorization: 'Bearer ' + token.value };
+}
+
+suite('API tokens', function () {
+  var ownerJar;
+  var strangerJar;
+  var survey;
+  var writeToken;
+  var readToken;
+
+  suiteSetup(function (done) {
+    server.run(function (error) {
+      if (error) { return done(error); }
+      fixtures.setupUser(function (error, jar1, jar2) {
+        if (error) { return done(error); }
+        ownerJar = jar1;
+        strangerJar = jar2;
+
+        request.post({
+          url: BASEURL + '/surveys',
+          json: fixtures.surveys,
+          jar: ownerJar
+        }, function (error, response, body) {
+          if (error) { return done(error); }
+          survey = body.surveys[0];
+          done();
+        });
+      });
+    });
+  });
+
+  suiteTeardown(function () {
+    server.stop();
+  });
+
+  test('Creating tokens', function (done) {
+    request.post({
+      url: TOKENS_URL,
+      jar: ownerJar,
+      json: { token: { name: 'ETL', survey: survey.id, access: 'write' } }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(201);
+      body.token.name.should.equal('ETL');
+      body.token.survey.should.equal(survey.id);
+      body.token.access.should.equal('write');
+      body.token.should.have.property('value');
+      body.token.should.not.have.property('hashedToken');
+      writeToken = body.token;
+
+      request.post({
+        url: TOKENS_URL,
+        jar: ownerJar,
+        json: { token: { name: 'Reports' } }
+      }, function (error, response, body) {
+        should.not.exist(error);
+        response.statusCode.should.equal(201);
+        body.token.access.should.equal('read');
+        readToken = body.token;
+        done();
+      });
+    });
+  });
+
+  test('Tokens must be created over HTTPS', function (done) {
+    request.post({
+      url: BASEURL + '/user/tokens',
+      jar: ownerJar,
+      json: { token: { name: 'Insecure' } }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+      done();
+    });
+  });
+
+  test('Tokens can only be scoped to your own surveys', function (done) {
+    request.post({
+      url: TOKENS_URL,
+      jar: strangerJar,
+      json: { token: { name: 'Sneaky', survey: survey.id } }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+      done();
+    });
+  });
+
+  test('Listing tokens does not reveal them', function (done) {
+    request.get({
+      url: TOKENS_URL,
+      jar: ownerJar
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      var tokens = JSON.parse(body).tokens;
+      tokens.should.have.lengthOf(2);
+      tokens.forEach(function (token) {
+        token.should.not.have.property('value');
+        token.should.not.have.property('hashedToken');
+      });
+      done();
+    });
+  });
+
+  test('Changing a survey with a write token', function (done) {
+    survey.name = 'Changed by a script';
+    request.put({
+      url: BASEURL + '/surveys/' + survey.id,
+      headers: bearer(writeToken),
+      json: { survey: survey }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      body.survey.name.should.equal('Changed by a script');
+      done();
+    });
+  });
+
+  test('Survey tokens only work with their survey', function (done) {
+    request.get({
+      url: BASEURL + '/surveys',
+      headers: bearer(writeToken)
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(403);
+      done();
+    });
+  });
+
+  test('Read tokens cannot make changes', function (done) {
+    request.get({
+      url: BASEURL + '/surveys',
+      headers: bearer(readToken)
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      JSON.parse(body).surveys.should.have.lengthOf(1);
+
+      request.put({
+        url: BASEURL + '/surveys/' + survey.id,
+        headers: bearer(readToken),
+        json: { survey: survey }
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(403);
+        done();
+      });
+    });
+  });
+
+  test('Read tokens can search responses', function (done) {
+    request.post({
+      url: BASEURL + '/surveys/' + survey.id + '/responses/search',
+      headers: bearer(readToken),
+      json: {}
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      body.should.have.property('responses');
+      done();
+    });
+  });
+
+  test('Tokens cannot manage tokens', function (done) {
+    request.get({
+      url: TOKENS_URL,
+      headers: bearer(readToken)
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(403);
+      done();
+    });
+  });
+
+  test('Invalid tokens are rejected', function (done) {
+    request.get({
+      url: BASEURL + '/surveys',
+      headers: { Authorization: 'Bearer ' + readToken.id + '.nope' }
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(401);
+      done();
+    });
+  });
+
+  test('Renaming and revoking a token', function (done) {
+    request.put({
+      url: TOKENS_URL + '/' + readToken.id,
+      jar: ownerJar,
+      json: { token: { name: 'Old reports' } }
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      body.token.name.should.equal('Old reports');
+
+      request.del({
+        url: TOKENS_URL + '/' + readToken.id,
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(204);
+
+        request.get({
+          url: BASEURL + '/surveys',
+          headers: bearer(readToken)
+        }, function (error, response) {
+          should.not.exist(error);
+          response.statusCode.should.equal(401);
+          done();
+        });
+      });
+    });
+  });
+});
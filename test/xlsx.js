@@ -0,0 +1,55 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var assert = require('assert');
+var xlsx = require('../lib/formats/xlsx.js');
+var Form = require('../lib/models/Form.js');
+var formMobile = require('./data/form_mobile.json');
+
+suite('In xlsxExport,', function () {
+
+  test('columns should be named with letters', function () {
+    assert.equal(xlsx.columnName(0), 'A');
+    assert.equal(xlsx.columnName(25), 'Z');
+    assert.equal(xlsx.columnName(26), 'AA');
+    assert.equal(xlsx.columnName(701), 'ZZ');
+    assert.equal(xlsx.columnName(702), 'AAA');
+  });
+
+  test('cells should keep their types', function () {
+    // Text stays text, even if it looks like a number.
+    assert.equal(xlsx.cell('03001529', 'A2'),
+                 '<c r="A2" t="inlineStr"><is><t xml:space="preserve">03001529</t></is></c>');
+    assert.equal(xlsx.cell(2, 'B2'), '<c r="B2"><v>2</v></c>');
+    assert.equal(xlsx.cell(false, 'C2'), '<c r="C2" t="b"><v>0</v></c>');
+    assert.equal(xlsx.cell(undefined, 'D2'), '');
+    assert.equal(xlsx.cell('1970-01-02T00:00:00.000Z', 'E2', { date: true }),
+                 '<c r="E2" s="2"><v>25570</v></c>');
+  });
+
+  test('text should be escaped', function () {
+    assert.equal(xlsx.cell('a < b & "c"\u0001', 'A1'),
+                 '<c r="A1" t="inlineStr"><is><t xml:space="preserve">a &lt; b &amp; &quot;c&quot;</t></is></c>');
+  });
+
+  test('the dictionary should list questions and answers in form order', function () {
+    var dictionary = Form.getDictionary(formMobile.questions);
+    var names = dictionary.map(function (entry) { return entry.name; });
+
+    assert.deepEqual(names.slice(0, 3), ['site', 'lot', 'occupancy']);
+    assert.equal(dictionary[0].text, "What's on the site?");
+    assert.deepEqual(dictionary[0].answers[0], { value: 'single-building', text: 'One building' });
+
+    var sheet = xlsx.dictionarySheet(dictionary);
+    assert.notEqual(sheet.indexOf('Unimproved (no paving or structures)'), -1);
+  });
+
+  test('stats should have a row per answer', function () {
+    var sheet = xlsx.statsSheet({
+      Collectors: { Someone: 2 },
+      site: { parking: 1, 'no response': 1 }
+    });
+    assert.equal(sheet.split('<row ').length - 1, 4);
+  });
+});
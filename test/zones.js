@@ -0,0 +1,218 @@
+/*jslint node: true, indent: 2, white: true, vars: true */
+/*globals suite, test, setup, suiteSetup, suiteTeardown, done, teardown */
+'use strict';
+
+var request = require('request');
+var should = require('should');
+
+var server = require('./lib/router');
+var fixtures = require('./data/fixtures');
+var settings = require('../settings');
+
+var BASEURL = 'http://localhost:' + settings.port + '/api';
+
+suite('Zones', function () {
+  var ownerJar;
+  var strangerJar;
+  var surveyId;
+  var zoneId;
+
+  // Covers the fixture responses, on Haight St.
+  var haight = {
+    type: 'Feature',
+    properties: { name: 'Haight' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [-122.435, 37.771],
+        [-122.434, 37.771],
+        [-122.434, 37.772],
+        [-122.435, 37.772],
+        [-122.435, 37.771]
+      ]]
+    }
+  };
+
+  // Somewhere else in San Francisco
+  var mission = {
+    type: 'Feature',
+    properties: { name: 'Mission' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [-122.42, 37.75],
+        [-122.41, 37.75],
+        [-122.41, 37.76],
+        [-122.42, 37.76],
+        [-122.42, 37.75]
+      ]]
+    }
+  };
+
+  function getResponses(query, done) {
+    request.get({
+      url: BASEURL + '/surveys/' + surveyId + '/responses?startIndex=0&count=100&' + query,
+      jar: ownerJar
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      done(JSON.parse(body).responses);
+    });
+  }
+
+  suiteSetup(function (done) {
+    server.run(function (error) {
+      if (error) { return done(error); }
+      fixtures.setupUser(function (error, jar1, jar2) {
+        if (error) { return done(error); }
+        ownerJar = jar1;
+        strangerJar = jar2;
+
+        request.post({
+          url: BASEURL + '/surveys',
+          json: fixtures.surveys,
+          jar: ownerJar
+        }, function (error, response, body) {
+          if (error) { return done(error); }
+          surveyId = body.surveys[0].id;
+
+          request.post({
+            url: BASEURL + '/surveys/' + surveyId + '/responses',
+            json: fixtures.makeResponses(3)
+          }, done);
+        });
+      });
+    });
+  });
+
+  suiteTeardown(function () {
+    server.stop();
+  });
+
+  test('Adding a zone tags the existing responses', function (done) {
+    request.post({
+      url: BASEURL + '/surveys/' + surveyId + '/zones',
+      json: { zone: haight },
+      jar: ownerJar
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(201);
+      body.zone.should.have.property('id');
+      body.zone.properties.name.should.equal('Haight');
+      zoneId = body.zone.id;
+
+      getResponses('zone=' + zoneId, function (responses) {
+        responses.length.should.equal(3);
+        responses[0].zones.should.eql([zoneId]);
+        done();
+      });
+    });
+  });
+
+  test('New responses are tagged with their zones', function (done) {
+    request.post({
+      url: BASEURL + '/surveys/' + surveyId + '/responses',
+      json: fixtures.makeResponses(1)
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(201);
+      body.responses[0].zones.should.eql([zoneId]);
+      done();
+    });
+  });
+
+  test('Listing zones', function (done) {
+    request.get({
+      url: BASEURL + '/surveys/' + surveyId + '/zones'
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      var parsed = JSON.parse(body);
+      parsed.zones.type.should.equal('FeatureCollection');
+      parsed.zones.features.length.should.equal(1);
+      parsed.zones.features[0].id.should.equal(zoneId);
+      done();
+    });
+  });
+
+  test('Zones need a name and a polygon', function (done) {
+    request.post({
+      url: BASEURL + '/surveys/' + surveyId + '/zones',
+      json: { zone: { type: 'Feature', properties: {}, geometry: haight.geometry } },
+      jar: ownerJar
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(400);
+
+      request.post({
+        url: BASEURL + '/surveys/' + surveyId + '/zones',
+        json: { zone: { type: 'Feature', properties: { name: 'Point' }, geometry: { type: 'Point', coordinates: [0, 0] } } },
+        jar: ownerJar
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(400);
+        done();
+      });
+    });
+  });
+
+  test('Other users cannot change zones', function (done) {
+    request.post({
+      url: BASEURL + '/surveys/' + surveyId + '/zones',
+      json: { zone: mission },
+      jar: strangerJar
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(403);
+      done();
+    });
+  });
+
+  test('Moving a zone retags the responses', function (done) {
+    request.put({
+      url: BASEURL + '/surveys/' + surveyId + '/zones/' + zoneId,
+      json: { zone: { geometry: mission.geometry } },
+      jar: ownerJar
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      body.zone.id.should.equal(zoneId);
+      body.zone.properties.name.should.equal('Haight');
+
+      getResponses('zone=' + zoneId, function (responses) {
+        responses.length.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  test('Filtering stats by zone', function (done) {
+    request.get({
+      url: BASEURL + '/surveys/' + surveyId + '/stats?zone=' + zoneId
+    }, function (error, response, body) {
+      should.not.exist(error);
+      response.statusCode.should.equal(200);
+      var parsed = JSON.parse(body);
+      parsed.stats.Collectors.should.eql({});
+      done();
+    });
+  });
+
+  test('Deleting a zone', function (done) {
+    request.del({
+      url: BASEURL + '/surveys/' + surveyId + '/zones/' + zoneId,
+      jar: ownerJar
+    }, function (error, response) {
+      should.not.exist(error);
+      response.statusCode.should.equal(204);
+
+      request.get({
+        url: BASEURL + '/surveys/' + surveyId + '/zones/' + zoneId
+      }, function (error, response) {
+        should.not.exist(error);
+        response.statusCode.should.equal(404);
+        done();
+      });
+    });
+  });
+});